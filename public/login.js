@@ -37,6 +37,7 @@
       const j = await res.json();
       if (j && j.ok && j.token) {
         localStorage.setItem('vivero_token', j.token);
+        localStorage.setItem('vivero_refresh', j.refreshToken);
         // redirige al dashboard
         window.location.href = '/index.html';
       } else {
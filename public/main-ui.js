@@ -45,21 +45,211 @@ function requireAuthOnProtectedPages() {
   }
 }
 
+// Rol del usuario (viewer / operator / admin). El CSS oculta los controles marcados con
+// data-role="operator" / data-role="admin" que el rol actual no puede usar (el backend igual valida).
+function applyUserRole(role) {
+  document.documentElement.dataset.userRole = role || 'viewer';
+}
+
+// --- Sesión: access token de vida corta (vivero_token) + refresh token rotativo (vivero_refresh) ---
+function clearSession() {
+  localStorage.removeItem('vivero_token');
+  localStorage.removeItem('vivero_refresh');
+  localStorage.removeItem('token');
+  sessionStorage.clear();
+}
+
+function goToLogin() {
+  clearSession();
+  window.location.href = '/login.html';
+}
+
+// Contenido del JWT (sin verificar; solo para leer exp / role en el cliente)
+function tokenPayload(token) {
+  try {
+    return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Rol leído del token (solo para no mostrar controles mientras llega /api/auth/me)
+function roleFromToken() {
+  const payload = tokenPayload(localStorage.getItem('vivero_token'));
+  return payload ? payload.role : null;
+}
+
+let refreshPromise = null;
+let refreshTimer = null;
+
+// Renueva el access token con el refresh token. Devuelve true, false (sesión rechazada por el backend)
+// o null (sin conexión). Varias llamadas simultáneas comparten la misma petición, y entre pestañas se turnan
+// con un Web Lock: el refresh token está en localStorage compartido y cada uso lo rota.
+function refreshAccessToken() {
+  if (!refreshPromise) {
+    const before = localStorage.getItem('vivero_token');
+    const run = async () => {
+      // otra pestaña renovó mientras esperábamos el lock: usar su token (el refresh que teníamos ya no sirve)
+      const current = localStorage.getItem('vivero_token');
+      const payload = tokenPayload(current);
+      if (current && current !== before && payload && payload.exp * 1000 - Date.now() > 60000) {
+        scheduleTokenRefresh();
+        return true;
+      }
+      const refreshToken = localStorage.getItem('vivero_refresh');
+      if (!refreshToken) return false;
+      try {
+        const r = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+        if (!r.ok) return r.status === 401 ? false : null;
+        const j = await r.json();
+        localStorage.setItem('vivero_token', j.token);
+        localStorage.setItem('vivero_refresh', j.refreshToken);
+        scheduleTokenRefresh();
+        return true;
+      } catch (e) {
+        console.warn('refreshAccessToken error', e);
+        return null;
+      }
+    };
+    refreshPromise = (navigator.locks ? navigator.locks.request('vivero-refresh', run) : run())
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+}
+
+// Programa la renovación un minuto antes de que venza el access token
+function scheduleTokenRefresh() {
+  clearTimeout(refreshTimer);
+  const payload = tokenPayload(localStorage.getItem('vivero_token'));
+  if (!payload || !payload.exp) return;
+  refreshTimer = setTimeout(async function renew() {
+    const ok = await refreshAccessToken();
+    if (ok === false) goToLogin();
+    else if (ok === null) refreshTimer = setTimeout(renew, 30000); // sin conexión: reintentar
+  }, Math.max(0, payload.exp * 1000 - Date.now() - 60000));
+}
+
+// Si otra pestaña renovó el token, reprogramar según el nuevo vencimiento (así no refrescan todas a la vez)
+window.addEventListener('storage', e => {
+  if (e.key === 'vivero_token' && e.newValue) scheduleTokenRefresh();
+});
+
+// Antes de llamar a la API: renovar el access token si está por vencer
+async function ensureFreshToken() {
+  const payload = tokenPayload(localStorage.getItem('vivero_token'));
+  if (!payload) return false;
+  if (payload.exp * 1000 - Date.now() < 30000) {
+    const ok = await refreshAccessToken();
+    if (ok === false) { goToLogin(); return false; }
+  }
+  scheduleTokenRefresh();
+  return true;
+}
+
+// "Salir": revoca la sesión en el backend (access y refresh token dejan de servir) y vuelve al login
+async function endSession() {
+  try {
+    await fetch('/api/auth/logout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + (localStorage.getItem('vivero_token') || '') },
+      body: JSON.stringify({ refreshToken: localStorage.getItem('vivero_refresh') })
+    });
+  } catch (e) {
+    console.warn('logout error', e);
+  }
+  goToLogin();
+}
+
+// Eventos globales (alertas, config-update, device-status) perdidos que el servidor ya no puede reenviar:
+// cada vista registra aquí cómo recargar por HTTP lo que muestra.
+const resyncHandlers = [];
+function onResync(fn) {
+  resyncHandlers.push(fn);
+}
+
+// Socket.IO autenticado: el token se lee en cada (re)conexión. Si vence, se renueva y se reconecta;
+// si la sesión fue revocada (logout en otra pestaña, admin, cuenta desactivada) se vuelve al login.
+// Al (re)conectar retoma el canal global desde el último seq visto (ver src/realtime.js).
+function connectSocket() {
+  const socket = io({ auth: cb => cb({ token: localStorage.getItem('vivero_token') }) });
+  const resume = { epoch: null, global: null };
+  socket.onAny((event, d) => {
+    if (!d || !d.global || typeof d.seq !== 'number') return;
+    resume.epoch = d.epoch;
+    resume.global = d.seq;
+  });
+  socket.on('connect', () => {
+    socket.emit('subscribe', { sections: [], since: resume }, res => {
+      if (!res || !res.ok) return;
+      resume.epoch = res.epoch;
+      resume.global = res.global.seq;
+      if (res.global.mode === 'reset') resyncHandlers.forEach(fn => fn());
+    });
+  });
+  async function reconnectWithFreshToken() {
+    const ok = await refreshAccessToken();
+    if (ok === false) goToLogin();
+    else setTimeout(() => socket.connect(), ok ? 0 : 5000);
+  }
+  socket.on('connect_error', err => { if (err && err.message === 'unauthorized') reconnectWithFreshToken(); });
+  socket.on('session-expired', reconnectWithFreshToken);
+  socket.on('session-revoked', goToLogin);
+  return socket;
+}
+
+// Suscripción a secciones (rooms del servidor). Al conectar recibe 'section-snapshot' con el estado completo;
+// al reconectar pide lo que se perdió desde el último seq visto (el servidor reenvía esos eventos o, si ya no
+// los tiene, manda un snapshot).
+function subscribeSections(socket, sections) {
+  const since = { epoch: null, seqs: {} };
+  function send() {
+    socket.emit('subscribe', { sections, since }, res => {
+      if (res && res.errors) console.warn('subscribe', res.errors);
+    });
+  }
+  socket.onAny((event, d) => {
+    if (!d || d.global || !d.section || typeof d.seq !== 'number' || !sections.includes(d.section)) return;
+    since.epoch = d.epoch;
+    since.seqs[d.section] = d.seq;
+  });
+  socket.on('connect', send);
+  if (socket.connected) send();
+}
+
+// Confirma el rol actual con el backend (un cambio de rol o una cuenta desactivada aplican sin volver a entrar)
+async function refreshUserRole() {
+  if (!(await ensureFreshToken())) return;
+  applyUserRole(roleFromToken());
+  try {
+    const r = await fetch('/api/auth/me', { headers: { 'Authorization': 'Bearer ' + localStorage.getItem('vivero_token') } });
+    if (r.status === 401) {
+      goToLogin();
+      return;
+    }
+    const j = await r.json();
+    if (j && j.user) applyUserRole(j.user.role);
+  } catch (e) {
+    console.warn('refreshUserRole error', e);
+  }
+}
+
 
 const mainUI = (() => {
   const BASE = ''; // la UI se sirve desde el mismo dominio
-  const socket = io();
-  const state = { sections: {}, soilTrend: [] };
+  const socket = connectSocket();
+  const state = { sections: {}, registry: null, soilTrend: [] };
 
 
   function isLogged() {
   return !!localStorage.getItem('vivero_token');
 }
 function logout() {
-  localStorage.removeItem('vivero_token');
-  localStorage.removeItem('token');
-  sessionStorage.clear();
-  window.location.href = '/login.html';
+  socket.disconnect();
+  endSession();
 }
 
 async function checkSessionAndUpdateUI() {
@@ -135,15 +325,41 @@ function showStatus(message, kind='info', timeout=4000) {
   }
 }
 
+// Helper: headers con el token de sesión para endpoints protegidos (JWT)
+function authHeaders(extra) {
+  const headers = Object.assign({}, extra || {});
+  const token = localStorage.getItem('vivero_token');
+  if (token) headers['Authorization'] = 'Bearer ' + token;
+  return headers;
+}
+
 
 
-  // Cargar lista de secciones desde Firebase via proxy
+  // Cargar registro de secciones (nombre, enabled, umbrales) desde /api/config/sections
+  async function loadRegistry(includeArchived) {
+    const qs = includeArchived ? '?include=archived' : '';
+    const data = await fetchJson(`${BASE}/api/config/sections${qs}`, { headers: authHeaders() });
+    state.registry = (data && data.sections) || {};
+    return data;
+  }
+
+  // Nombre visible de una sección (registro) o su id si no está registrada
+  function sectionName(id) {
+    return (state.registry && state.registry[id] && state.registry[id].name) || id;
+  }
+
+  // Cargar lista de secciones: ids desde el registro, último estado desde GET /api/sections
   async function loadSectionsList() {
     try {
-      // Asumimos que en la DB hay /vivero/secciones con keys
-      const data = await fetchJson(`${BASE}/firebase-proxy?path=/vivero/secciones`);
-      // data is object of sections
-      state.sections = data || {};
+      const [data] = await Promise.all([
+        fetchJson(`${BASE}/api/sections`, { headers: authHeaders() }),
+        loadRegistry().catch(e => { console.warn('loadRegistry error', e); })
+      ]);
+      const current = (data && data.sections) || {};
+      // solo secciones registradas y no archivadas
+      const ids = state.registry ? Object.keys(state.registry) : Object.keys(current);
+      state.sections = {};
+      ids.forEach(k => { state.sections[k] = (current[k] && current[k].state) || {}; });
       return state.sections;
     } catch (e) {
       console.warn('loadSectionsList error', e);
@@ -151,6 +367,83 @@ function showStatus(message, kind='info', timeout=4000) {
     }
   }
 
+  // Último estado de una sección (GET /api/sections/:id -> section.state)
+  async function loadSectionState(id) {
+    const data = await fetchJson(`${BASE}/api/sections/${encodeURIComponent(id)}`, { headers: authHeaders() });
+    return data && data.section ? data.section.state : null;
+  }
+
+  // Humedad de suelo para mostrar: % calibrado (con el valor crudo entre paréntesis) o solo el crudo
+  function soilText(d) {
+    if (d.humedad_suelo_pct !== undefined && d.humedad_suelo_pct !== null) return `${d.humedad_suelo_pct}% (${d.humedad_suelo ?? '-'})`;
+    return d.humedad_suelo ?? '-';
+  }
+
+  // Cargar historial de una sección (GET /api/history/:section)
+  // opts: { from, to, fields, resolution } — from/to en ISO o ms
+  async function loadHistory(section, opts = {}) {
+    const qs = new URLSearchParams();
+    ['from', 'to', 'fields', 'resolution'].forEach(k => {
+      if (opts[k] !== undefined && opts[k] !== null && opts[k] !== '') qs.set(k, opts[k]);
+    });
+    const data = await fetchJson(`${BASE}/api/history/${encodeURIComponent(section)}?${qs.toString()}`, { headers: authHeaders() });
+    return (data && data.points) || [];
+  }
+
+  // Valor numérico de un punto de historial (crudo o agregado -> usamos el promedio)
+  function pointValue(point, field) {
+    const v = point ? point[field] : null;
+    if (v === null || v === undefined) return null;
+    return typeof v === 'object' ? v.avg : v;
+  }
+
+  // Textos para fallas marcadas por el watchdog del servidor
+  const FAULT_LABELS = {
+    watchdog_timeout: 'Válvula cerrada por watchdog: superó el tiempo máximo abierta',
+    stale_sensor: 'Sensor sin datos: válvula bloqueada por seguridad'
+  };
+
+  function faultText(fault) {
+    return fault ? (FAULT_LABELS[fault] || fault) : '';
+  }
+
+  // Modos de operación por sección y cuenta regresiva de riegos manuales temporizados
+  const MODE_LABELS = { auto: 'Automático', manual: 'Manual', off: 'Apagado' };
+
+  function modeText(d) {
+    return MODE_LABELS[d && d.modo] || MODE_LABELS.auto;
+  }
+
+  // <span data-until="ms"> se actualiza cada segundo con el tiempo restante (mm:ss)
+  function countdownHtml(until) {
+    return until ? `<span class="countdown" data-until="${until}"></span>` : '';
+  }
+
+  function tickCountdowns() {
+    document.querySelectorAll('[data-until]').forEach(el => {
+      const left = Math.max(0, Number(el.dataset.until) - Date.now());
+      const m = Math.floor(left / 60000), sec = Math.floor((left % 60000) / 1000);
+      el.textContent = left ? `${m}:${String(sec).padStart(2, '0')}` : '0:00';
+    });
+  }
+  setInterval(tickCountdowns, 1000);
+
+  // Estado de la válvula: deseado vs. reportado por el dispositivo y estado del último comando
+  const COMMAND_LABELS = { pending: 'pendiente', confirmed: 'confirmado', failed: 'sin confirmar' };
+
+  function valveText(d) {
+    const desired = d.valvula ?? '-';
+    const cmd = d.comando;
+    if (cmd && cmd.status === 'pending') return `${desired} (pendiente)`;
+    if (cmd && cmd.status === 'failed') return `${desired} (sin confirmar)`;
+    if (d.valvula_reportada && d.valvula_reportada !== d.valvula) return `${desired} (reporta ${d.valvula_reportada})`;
+    return desired;
+  }
+
+  function mismatchText(d) {
+    return d.mismatch ? `La válvula reporta "${d.valvula_reportada}" pero se pidió "${d.valvula}"` : '';
+  }
+
   // Render tarjeta compacta para dashboard
   function renderQuickSections(containerEl) {
     containerEl.innerHTML = '';
@@ -162,7 +455,10 @@ function showStatus(message, kind='info', timeout=4000) {
       if (d.valvula === 'on') valvesOpen++;
       const card = document.createElement('div');
       card.className = 'section-card';
-      card.innerHTML = `<div><h4>${k}</h4><div class="meta">Hum. suelo: ${d.humedad_suelo ?? '-'} · Temp: ${d.temp ?? '-'}</div></div>
+      card.innerHTML = `<div><h4>${escapeAttr(sectionName(k))}</h4><div class="meta">Hum. suelo: ${soilText(d)} · Temp: ${d.temp ?? '-'}</div>
+        <div class="meta">Modo: ${modeText(d)} · Válvula: ${valveText(d)}${d.manual_hasta ? ` · quedan ${countdownHtml(d.manual_hasta)}` : ''}</div>
+        ${d.fault ? `<div class="meta fault">⚠ ${faultText(d.fault)}</div>` : ''}
+        ${d.mismatch ? `<div class="meta fault">⚠ ${mismatchText(d)}</div>` : ''}</div>
         <div class="controls"><a href="/section.html?id=${encodeURIComponent(k)}" class="btn">Abrir</a></div>`;
       containerEl.appendChild(card);
     });
@@ -170,8 +466,10 @@ function showStatus(message, kind='info', timeout=4000) {
   }
 
   // Dashboard init
+  // El dashboard es solo de main-ui.js: un socket y una suscripción por página
   async function initDashboard() {
     document.getElementById('backend-url').textContent = location.origin;
+    document.getElementById('logout-btn').addEventListener('click', logout);
     // load initial
     await loadSectionsList();
     renderQuickSections(document.getElementById('quick-sections'));
@@ -180,12 +478,17 @@ function showStatus(message, kind='info', timeout=4000) {
     const soilChart = new Chart(ctx, { type:'line', data:{ labels:[], datasets:[{label:'Humedad suelo', data:[], fill:false}] }, options:{responsive:true}});
     // compute KPIs
     updateKPIs();
-    // socket updates
-    socket.on('sensor-update', d => {
-      // update local state and UI
-      state.sections[d.section] = d.payload;
+    // estado en vivo: snapshot al suscribirse y el estado que trae cada evento de la sección
+    const applyState = d => {
+      if (!state.sections[d.section] || !d.state) return false; // sección archivada o fuera del registro
+      state.sections[d.section] = d.state;
       renderQuickSections(document.getElementById('quick-sections'));
       updateKPIs();
+      return true;
+    };
+    socket.on('section-snapshot', applyState);
+    socket.on('sensor-update', d => {
+      if (!applyState(d)) return;
       // add trend point
       soilChart.data.labels.push(new Date().toLocaleTimeString());
       soilChart.data.datasets[0].data.push(d.payload.humedad_suelo || 0);
@@ -197,6 +500,30 @@ function showStatus(message, kind='info', timeout=4000) {
         const p = document.createElement('div'); p.textContent = `${d.section}: ${d.suggestion.suggestionText}`; alerts.prepend(p);
       }
     });
+    // cierres del watchdog / fallas de sensor: recargar estado y avisar
+    const onFault = d => {
+      applyState(d);
+      if (!d.reason && d.fault === undefined) return;
+      const fault = d.fault !== undefined ? d.fault : (FAULT_LABELS[d.reason] ? d.reason : null);
+      if (fault) {
+        const alerts = document.getElementById('alerts');
+        const p = document.createElement('div'); p.textContent = `${sectionName(d.section)}: ${faultText(fault)}`; alerts.prepend(p);
+      }
+    };
+    socket.on('control-update', onFault);
+    socket.on('section-fault', onFault);
+    socket.on('mode-update', applyState);
+    socket.on('command-retry', applyState);
+    socket.on('command-update', d => {
+      applyState(d);
+      if (d.mismatch || (d.command && d.command.status === 'failed')) {
+        const alerts = document.getElementById('alerts');
+        const p = document.createElement('div');
+        p.textContent = `${sectionName(d.section)}: ${d.mismatch ? mismatchText(state.sections[d.section] || {}) || 'estado de válvula no coincide' : 'el dispositivo no confirmó el comando'}`;
+        alerts.prepend(p);
+      }
+    });
+    subscribeSections(socket, Object.keys(state.sections));
   }
 
   function updateKPIs() {
@@ -224,11 +551,23 @@ function showStatus(message, kind='info', timeout=4000) {
     document.getElementById('refresh-btn').addEventListener('click', async ()=> { await reloadSections(); });
     document.getElementById('filter-input').addEventListener('input', e => filterSections(e.target.value));
     await reloadSections();
-    socket.on('sensor-update', d => { state.sections[d.section]=d.payload; reloadSections(); });
+    const onState = d => {
+      if (!state.sections[d.section] || !d.state) return;
+      state.sections[d.section] = d.state;
+      renderSectionsList();
+      filterSections(document.getElementById('filter-input').value);
+    };
+    socket.on('section-snapshot', onState);
+    socket.on('sensor-update', onState);
+    subscribeSections(socket, Object.keys(state.sections));
   }
 
  async function reloadSections() {
   await loadSectionsList();
+  renderSectionsList();
+ }
+
+ function renderSectionsList() {
   const container = document.getElementById('sections-container');
   if (!container) {
     console.warn('reloadSections: sections-container no encontrado en DOM');
@@ -240,7 +579,7 @@ function showStatus(message, kind='info', timeout=4000) {
     const v = state.sections[k] || {};
     const el = document.createElement('div');
     el.className = 'section-card';
-    el.innerHTML = `<div><h4>${k}</h4><div class="meta">Hum: ${v.humedad_suelo ?? '-'} · Temp: ${v.temp ?? '-'}</div></div>
+    el.innerHTML = `<div><h4>${escapeAttr(sectionName(k))}</h4><div class="meta">${state.registry?.[k]?.enabled === false ? 'Deshabilitada · ' : ''}Hum: ${soilText(v)} · Temp: ${v.temp ?? '-'}</div></div>
       <div class="controls"><a href="/section.html?id=${encodeURIComponent(k)}" class="btn">Ver</a></div>`;
     container.appendChild(el);
   });
@@ -264,9 +603,21 @@ function showStatus(message, kind='info', timeout=4000) {
     const id = params.get('id');
     if (!id) { document.getElementById('section-title').textContent = 'Sección no especificada'; return; }
     document.getElementById('section-title').textContent = id;
+    loadRegistry(true).then(() => {
+      const meta = state.registry[id];
+      if (!meta) return;
+      document.getElementById('section-title').textContent = meta.name + (meta.archived ? ' (archivada)' : (meta.enabled ? '' : ' (deshabilitada)'));
+    }).catch(e => console.warn('loadRegistry error', e));
     const btnOn = document.getElementById('btn-on'), btnOff = document.getElementById('btn-off');
     btnOn.addEventListener('click', ()=> uiControl(id,'on'));
     btnOff.addEventListener('click', ()=> uiControl(id,'off'));
+    document.querySelectorAll('[data-mode]').forEach(b => b.addEventListener('click', () => setSectionMode(id, b.dataset.mode)));
+    const btnTimed = document.getElementById('btn-timed');
+    if (btnTimed) btnTimed.addEventListener('click', () => {
+      const minutes = Number(document.getElementById('manual-minutes').value);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > 240) { showStatus('Minutos inválidos (1-240)', 'error'); return; }
+      uiControl(id, 'on', minutes);
+    });
 
     // charts
     const ctxSoil = document.getElementById('chart-soil').getContext('2d');
@@ -275,17 +626,51 @@ function showStatus(message, kind='info', timeout=4000) {
     const ctxTemp = document.getElementById('chart-temp').getContext('2d');
     const tempChart = new Chart(ctxTemp, { type:'line', data:{labels:[], datasets:[{label:'Temp', data:[]}, {label:'Humedad amb', data:[]}]}, options:{responsive:true}});
 
-    // load recent (simple: query proxy last node — we assume realtime DB keeps last record at /vivero/secciones/<id>)
-    async function refresh() {
+    // historial real de las últimas 24h (promedios cada 15 minutos)
+    const MAX_POINTS = 150;
+    try {
+      const points = await loadHistory(id, { resolution: '15m' });
+      points.forEach(p => {
+        const label = new Date(p.ts).toLocaleString([], { day:'2-digit', month:'2-digit', hour:'2-digit', minute:'2-digit' });
+        soilChart.data.labels.push(label);
+        soilChart.data.datasets[0].data.push(pointValue(p, 'humedad_suelo'));
+        tempChart.data.labels.push(label);
+        tempChart.data.datasets[0].data.push(pointValue(p, 'temp'));
+        tempChart.data.datasets[1].data.push(pointValue(p, 'humedad_amb'));
+      });
+      soilChart.update(); tempChart.update();
+    } catch (e) {
+      console.warn('loadHistory error', e);
+    }
+
+    // último estado de la sección (valores, válvula, modo, comando): el que trae el evento en vivo o, sin él, por HTTP
+    async function refresh(live) {
       try {
-        const data = await fetchJson(`/firebase-proxy?path=/vivero/secciones/${encodeURIComponent(id)}`);
+        const data = live || await loadSectionState(id);
         if (!data) return;
         document.getElementById('last-read').textContent = data.ultima_actualizacion || '--';
+        const faultEl = document.getElementById('section-fault');
+        if (faultEl) faultEl.textContent = data.fault ? faultText(data.fault) : 'OK';
+        const valveEl = document.getElementById('section-valve');
+        if (valveEl) valveEl.textContent = valveText(data);
+        const cmdEl = document.getElementById('section-command');
+        if (cmdEl) cmdEl.textContent = data.comando ? `${data.comando.action} · ${COMMAND_LABELS[data.comando.status] || data.comando.status}` : '--';
+        const mismatchEl = document.getElementById('section-mismatch');
+        if (mismatchEl) {
+          mismatchEl.textContent = mismatchText(data);
+          mismatchEl.style.display = data.mismatch ? 'block' : 'none';
+        }
+        const modeEl = document.getElementById('section-mode');
+        if (modeEl) modeEl.textContent = modeText(data);
+        document.querySelectorAll('[data-mode]').forEach(b => b.classList.toggle('active', b.dataset.mode === (data.modo || 'auto')));
+        const cdEl = document.getElementById('manual-countdown');
+        if (cdEl) cdEl.innerHTML = data.manual_hasta ? countdownHtml(data.manual_hasta) : '--';
+        tickCountdowns();
         // push points
         const now = new Date().toLocaleTimeString();
         if (data.humedad_suelo !== undefined) { soilChart.data.labels.push(now); soilChart.data.datasets[0].data.push(data.humedad_suelo); }
         if (data.temp !== undefined) { tempChart.data.labels.push(now); tempChart.data.datasets[0].data.push(data.temp); tempChart.data.datasets[1].data.push(data.humedad_amb || 0); }
-        if (soilChart.data.labels.length>30) { soilChart.data.labels.shift(); soilChart.data.datasets[0].data.shift(); tempChart.data.labels.shift(); tempChart.data.datasets[0].data.shift(); tempChart.data.datasets[1].data.shift(); }
+        if (soilChart.data.labels.length>MAX_POINTS) { soilChart.data.labels.shift(); soilChart.data.datasets[0].data.shift(); tempChart.data.labels.shift(); tempChart.data.datasets[0].data.shift(); tempChart.data.datasets[1].data.shift(); }
         soilChart.update(); tempChart.update();
 
        const logs = document.getElementById('recent-logs');
@@ -311,7 +696,7 @@ if (logs) {
       <div style="font-size:13px;color:var(--muted)">Device: ${data.device_id ?? '-'}</div>
     </div>
     <div style="margin-top:6px">
-      <strong>Humedad suelo:</strong> ${data.humedad_suelo ?? '-'} &nbsp; | &nbsp;
+      <strong>Humedad suelo:</strong> ${soilText(data)} &nbsp; | &nbsp;
       <strong>Luminosidad:</strong> ${data.luminosidad ?? '-'} &nbsp; | &nbsp;
       <strong>Temp:</strong> ${data.temp ?? '-'} °C &nbsp; | &nbsp;
       <strong>Humedad amb:</strong> ${data.humedad_amb ?? '-'}
@@ -331,8 +716,143 @@ if (logs) {
       } catch(e){ console.warn(e) }
     }
 
-    await refresh();
-    socket.on('sensor-update', d => { if (d.section===id){ refresh(); } });
+    // el estado inicial llega como snapshot al suscribirse; después, con cada evento de la sección
+    socket.on('section-snapshot', d => { if (d.section === id) refresh(d.state); });
+    socket.on('sensor-update', d => { if (d.section===id){ refresh(d.state); } });
+    socket.on('control-update', d => {
+      if (d.section !== id) return;
+      if (FAULT_LABELS[d.reason]) showStatus(faultText(d.reason), 'error', 8000);
+      refresh(d.state);
+    });
+    socket.on('section-fault', d => { if (d.section === id) refresh(d.state); });
+    socket.on('mode-update', d => { if (d.section === id) refresh(d.state); });
+    socket.on('command-update', d => {
+      if (d.section !== id) return;
+      if (d.command && d.command.status === 'confirmed') showStatus(`Dispositivo confirmó: válvula ${d.command.action}`, 'success');
+      if (d.command && d.command.status === 'failed') showStatus('El dispositivo no confirmó el comando', 'error', 8000);
+      refresh(d.state);
+    });
+    socket.on('command-retry', d => { if (d.section === id) refresh(d.state); });
+    subscribeSections(socket, [id]);
+
+    await initSchedules(id);
+  }
+
+  // --- Programas de riego de la sección (section.html) ---
+  const WEEKDAY_LABELS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+  async function initSchedules(section) {
+    const nextEl = document.getElementById('next-runs');
+    const listEl = document.getElementById('schedule-programs');
+    if (!nextEl || !listEl) return;
+
+    const weekdaysEl = document.getElementById('sched-weekdays');
+    weekdaysEl.innerHTML = WEEKDAY_LABELS.map((l, i) =>
+      `<label><input type="checkbox" value="${i}" ${i === 0 ? '' : 'checked'} /> ${l}</label>`).join('');
+    document.getElementById('sched-add').addEventListener('click', () => addSchedule(section));
+
+    await renderSchedules(section);
+    socket.on('schedule-update', d => { if (d.section === section) renderSchedules(section); });
+  }
+
+  async function renderSchedules(section) {
+    const nextEl = document.getElementById('next-runs');
+    const listEl = document.getElementById('schedule-programs');
+    try {
+      const q = `section=${encodeURIComponent(section)}`;
+      const [next, list] = await Promise.all([
+        fetchJson(`${BASE}/api/schedules/next?${q}&count=8`, { headers: authHeaders() }),
+        fetchJson(`${BASE}/api/schedules?${q}`, { headers: authHeaders() })
+      ]);
+
+      nextEl.innerHTML = '';
+      (next.runs || []).forEach(r => {
+        const item = document.createElement('div');
+        item.className = 'schedule-item' + (r.blocked ? ' blocked' : '');
+        const start = new Date(r.start);
+        item.innerHTML = `<span>${start.toLocaleDateString([], { weekday:'short', day:'2-digit', month:'2-digit' })} ${start.toLocaleTimeString([], { hour:'2-digit', minute:'2-digit' })}</span>
+          <span class="muted">${r.blocked ? 'bloqueado' : r.durationMin + ' min'}</span>`;
+        nextEl.appendChild(item);
+      });
+      if (!nextEl.children.length) nextEl.innerHTML = '<div class="muted">Sin riegos programados</div>';
+
+      listEl.innerHTML = '';
+      const running = list.active && list.active[section];
+      (list.programs || []).forEach(p => {
+        const item = document.createElement('div');
+        item.className = 'schedule-item';
+        const days = p.weekdays.length === 7 ? 'todos los días' : p.weekdays.map(d => WEEKDAY_LABELS[d]).join(' ');
+        const blackout = (p.blackouts || []).map(b => `${b.from}-${b.to}`).join(', ');
+        const status = running && running.programId === p.id
+          ? ` · regando hasta ${new Date(running.endsAt).toLocaleTimeString([], { hour:'2-digit', minute:'2-digit' })}`
+          : (p.lastResult ? ` · último: ${p.lastResult.status}` : '');
+        item.innerHTML = `<span><strong>${p.startTimes.join(', ')}</strong> · ${p.durationMin} min · ${days}${blackout ? ` · bloqueo ${blackout}` : ''}
+          <span class="muted">${p.enabled ? '' : ' · pausado'}${status}</span></span>
+          <span class="controls" data-role="operator">
+            <button class="btn ghost" data-toggle>${p.enabled ? 'Pausar' : 'Activar'}</button>
+            <button class="btn ghost" data-delete>Borrar</button>
+          </span>`;
+        item.querySelector('[data-toggle]').addEventListener('click', () => saveSchedule(section, p.id, { enabled: !p.enabled }));
+        item.querySelector('[data-delete]').addEventListener('click', () => deleteSchedule(section, p.id));
+        listEl.appendChild(item);
+      });
+      if (!listEl.children.length) listEl.innerHTML = '<div class="muted">No hay programas para esta sección</div>';
+    } catch (e) {
+      console.warn('renderSchedules error', e);
+    }
+  }
+
+  async function addSchedule(section) {
+    const times = document.getElementById('sched-times').value.split(',').map(t => t.trim()).filter(Boolean)
+      .map(t => t.length === 4 ? '0' + t : t); // '6:30' -> '06:30'
+    const blackout = document.getElementById('sched-blackout').value.trim();
+    const body = {
+      section,
+      startTimes: times,
+      durationMin: Number(document.getElementById('sched-duration').value),
+      weekdays: Array.from(document.querySelectorAll('#sched-weekdays input:checked')).map(el => Number(el.value)),
+      dateFrom: document.getElementById('sched-from').value || null,
+      dateTo: document.getElementById('sched-to').value || null,
+      skipIfWet: document.getElementById('sched-skip-wet').checked,
+      blackouts: blackout ? blackout.split(',').map(b => {
+        const [from, to] = b.split('-').map(x => x.trim());
+        return { from, to };
+      }) : []
+    };
+    await saveSchedule(section, null, body);
+  }
+
+  // Crea (id null) o actualiza un programa y refresca la vista
+  async function saveSchedule(section, id, body) {
+    try {
+      const r = await fetch(id ? `${BASE}/api/schedules/${encodeURIComponent(id)}` : `${BASE}/api/schedules`, {
+        method: id ? 'PUT' : 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(body)
+      });
+      const j = await r.json().catch(()=>null);
+      if (!r.ok || !j || !j.ok) {
+        showStatus(`Error guardando programa: ${(j && (j.details || []).join(', ')) || (j && j.error) || r.status}`, 'error', 8000);
+        return;
+      }
+      showStatus('Programa guardado', 'success');
+      await renderSchedules(section);
+    } catch (e) {
+      console.error('saveSchedule error', e);
+      showStatus('Error de conexión', 'error');
+    }
+  }
+
+  async function deleteSchedule(section, id) {
+    if (!confirm('¿Borrar este programa de riego?')) return;
+    try {
+      const r = await fetch(`${BASE}/api/schedules/${encodeURIComponent(id)}`, { method: 'DELETE', headers: authHeaders() });
+      if (!r.ok) { showStatus(`Error borrando programa: ${r.status}`, 'error'); return; }
+      await renderSchedules(section);
+    } catch (e) {
+      console.error('deleteSchedule error', e);
+      showStatus('Error de conexión', 'error');
+    }
   }
   // --- Logout ---
 
@@ -341,7 +861,7 @@ if (logs) {
 
   // UI control that posts to proxy endpoint
  // UI control that posts to proxy endpoint (mejorado: loader, optimistic update, mensajes)
-async function uiControl(section, action) {
+async function uiControl(section, action, durationMin) {
   try {
     // UI: deshabilitar botones y mostrar "Enviando..."
     const btnOn = document.getElementById('btn-on');
@@ -350,44 +870,35 @@ async function uiControl(section, action) {
     if (btnOff) btnOff.disabled = true;
     showStatus(`Enviando comando ${action} a ${section}...`, 'info');
 
-    // Optimistic: mostrar estado en pantalla inmediatamente
-    const valEl = document.getElementById(`${section}-val`) || document.getElementById('last-read');
-    if (valEl) {
-      // si existe la etiqueta específica de válvula la actualizamos visualmente
-      try { document.querySelector(`#${section}-val`).textContent = action; } catch(e){}
-    }
+    // Sin actualización optimista: el estado se muestra como "pendiente" hasta que el Pico confirme
+    // (eventos command-update del servidor)
 
     const token = localStorage.getItem('vivero_token');
 const headers = { 'Content-Type': 'application/json' };
 if (token) headers['Authorization'] = 'Bearer ' + token;
 
+const body = { section, action };
+if (durationMin) body.durationMin = durationMin;
 const res = await fetch(`/api/ui/control`, {
   method: 'POST',
   headers,
-  body: JSON.stringify({ section, action })
+  body: JSON.stringify(body)
 });
 
 
     if (!res.ok) {
       const txt = await res.text().catch(()=>null);
-      showStatus(`Error control: ${res.status} ${txt||''}`, 'error');
+      let msg = txt || '';
+      try { msg = JSON.parse(txt).error || msg; } catch (e) {}
+      showStatus(`Error control: ${res.status} ${msg}`, 'error', 8000);
       // restaurar botones
       if (btnOn) btnOn.disabled = false;
       if (btnOff) btnOff.disabled = false;
       return;
     }
 
-    const j = await res.json();
-    showStatus(`Acción enviada: ${section} -> ${action}`, 'success');
-
-    // opcional: actualizar UI local con la respuesta
-    if (j && j.ok) {
-      // actualizamos el DOM si existe
-      try {
-        const elem = document.getElementById(`${section}-val`);
-        if (elem) elem.textContent = action;
-      } catch(e){}
-    }
+    await res.json();
+    showStatus(`Acción enviada: ${section} -> ${action}${durationMin ? ` por ${durationMin} min` : ''} (esperando confirmación del dispositivo)`, 'success');
 
     // re-habilitar botones (el socket actualizará el estado definitivo)
     if (btnOn) btnOn.disabled = false;
@@ -403,41 +914,946 @@ const res = await fetch(`/api/ui/control`, {
   }
 }
 
+  // Cambiar modo de operación de una sección (auto / manual / off)
+  async function setSectionMode(section, mode) {
+    try {
+      const r = await fetch(`${BASE}/api/ui/mode`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ section, mode })
+      });
+      const j = await r.json().catch(()=>null);
+      if (!r.ok || !j || !j.ok) { showStatus(`Error cambiando modo: ${(j && j.error) || r.status}`, 'error'); return; }
+      showStatus(`${sectionName(section)}: modo ${MODE_LABELS[mode]}`, 'success');
+    } catch (e) {
+      console.error('setSectionMode error', e);
+      showStatus('Error de conexión', 'error');
+    }
+  }
+
   // Reports page
   async function initReports() {
     const canvas = document.getElementById('report-soil').getContext('2d');
     const chart = new Chart(canvas, { type:'bar', data:{ labels:[], datasets:[{label:'Humedad promedio', data:[]}] }});
+    const fromEl = document.getElementById('from');
+    const toEl = document.getElementById('to');
+    // por defecto: últimos 7 días
+    const today = new Date();
+    if (!toEl.value) toEl.value = today.toISOString().slice(0, 10);
+    if (!fromEl.value) fromEl.value = new Date(today.getTime() - 6 * 24 * 3600 * 1000).toISOString().slice(0, 10);
+
+    await loadSectionsList();
+    renderExportSections();
+    initAudit();
+    initWater();
+    document.getElementById('export-csv').addEventListener('click', () => downloadExport('csv'));
+    document.getElementById('export-json').addEventListener('click', () => downloadExport('json'));
+    // agregación y columnas solo aplican a lecturas
+    document.getElementById('export-type').addEventListener('change', e => {
+      const readings = e.target.value === 'readings';
+      document.getElementById('export-resolution').disabled = !readings;
+      document.querySelectorAll('#export-fields input').forEach(el => { el.disabled = !readings; });
+    });
+
     document.getElementById('gen-report').addEventListener('click', async () => {
-      // simple demo: average current sections
+      const range = reportRange();
+      if (!range) { showStatus('Rango de fechas inválido', 'error'); return; }
       await loadSectionsList();
-      const keys = Object.keys(state.sections);
-      chart.data.labels = keys;
-      chart.data.datasets[0].data = keys.map(k => state.sections[k]?.humedad_suelo || 0);
+      const keys = Object.keys(state.sections).sort();
+      const averages = [];
+      for (const k of keys) {
+        try {
+          // promedios diarios -> promedio ponderado por cantidad de lecturas
+          const points = await loadHistory(k, { from: range.from, to: range.to, fields: 'humedad_suelo', resolution: '1d' });
+          let sum = 0, n = 0;
+          points.forEach(p => {
+            if (p.humedad_suelo) { sum += p.humedad_suelo.avg * p.count; n += p.count; }
+          });
+          averages.push(n ? Number((sum / n).toFixed(1)) : 0);
+        } catch (e) {
+          console.warn('report history error', k, e);
+          averages.push(0);
+        }
+      }
+      chart.data.labels = keys.map(sectionName);
+      chart.data.datasets[0].data = averages;
       chart.update();
     });
   }
 
+  // --- Consumo de agua (reports.html -> barras apiladas por sección, usa el periodo seleccionado) ---
+  let waterChart = null;
+
+  function waterLabel(start, period) {
+    const d = new Date(start);
+    if (period === 'month') return d.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+    return period === 'week' ? `Semana ${d.toLocaleDateString()}` : d.toLocaleDateString();
+  }
+
+  async function loadWater() {
+    const range = reportRange();
+    if (!range || !waterChart) return;
+    const period = document.getElementById('water-period').value;
+    const summary = document.getElementById('water-summary');
+    try {
+      const qs = new URLSearchParams({ from: range.from, to: range.to, period });
+      const data = await fetchJson(`${BASE}/api/water?${qs.toString()}`, { headers: authHeaders() });
+      const starts = (data.totals || []).map(b => b.start);
+      const ids = Object.keys(data.sections || {}).sort();
+      waterChart.data.labels = starts.map(s => waterLabel(s, period));
+      waterChart.data.datasets = ids.map(id => {
+        const byStart = {};
+        data.sections[id].buckets.forEach(b => { byStart[b.start] = b.liters; });
+        return { label: sectionName(id), data: starts.map(s => byStart[s] || 0), stack: 'agua' };
+      });
+      waterChart.update();
+      const unmetered = (data.totals || []).reduce((a, b) => a + b.unmetered, 0);
+      summary.textContent = ids.map(id => `${sectionName(id)}: ${data.sections[id].liters} L (${data.sections[id].minutes} min)`).join(' · ') +
+        (unmetered ? ` — ${unmetered} riego(s) sin caudal configurado no suman litros` : '');
+    } catch (e) {
+      console.warn('loadWater error', e);
+      summary.textContent = 'No se pudo cargar el consumo de agua.';
+    }
+  }
+
+  function initWater() {
+    const canvas = document.getElementById('report-water');
+    if (!canvas) return;
+    waterChart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: { labels: [], datasets: [] },
+      options: { scales: { x: { stacked: true }, y: { stacked: true, title: { display: true, text: 'Litros' } } } }
+    });
+    document.getElementById('water-period').addEventListener('change', loadWater);
+    document.getElementById('gen-report').addEventListener('click', loadWater);
+    loadWater();
+  }
+
+  // --- Auditoría de válvulas (reports.html -> tabla paginada, usa el periodo seleccionado) ---
+  const AUDIT_PAGE_SIZE = 25;
+  // cursores de las páginas visitadas: audit.cursors[i] = cursor para pedir la página i
+  const audit = { cursors: [null], page: 0, next: null };
+
+  function readingsText(r) {
+    if (!r) return '';
+    const parts = [];
+    if (r.humedad_suelo !== undefined) parts.push(`suelo ${r.humedad_suelo}`);
+    if (r.temp !== undefined) parts.push(`${r.temp}°C`);
+    if (r.humedad_amb !== undefined) parts.push(`amb ${r.humedad_amb}%`);
+    return parts.join(' · ');
+  }
+
+  async function loadAuditPage(page) {
+    const body = document.getElementById('audit-rows');
+    if (!body) return;
+    const range = reportRange();
+    if (!range) { showStatus('Rango de fechas inválido', 'error'); return; }
+    const qs = new URLSearchParams({ from: range.from, to: range.to, limit: AUDIT_PAGE_SIZE });
+    ['section', 'source', 'action'].forEach(k => {
+      const v = document.getElementById(`audit-${k}`).value;
+      if (v) qs.set(k, v);
+    });
+    if (audit.cursors[page]) qs.set('cursor', audit.cursors[page]);
+    try {
+      const data = await fetchJson(`${BASE}/api/audit?${qs.toString()}`, { headers: authHeaders() });
+      audit.page = page;
+      audit.next = data.next;
+      audit.cursors[page + 1] = data.next;
+      body.innerHTML = '';
+      (data.entries || []).forEach(e => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `<td>${new Date(e.ts).toLocaleString()}</td>
+          <td>${escapeAttr(sectionName(e.section))}</td>
+          <td>${e.previous} → <strong>${e.valvula}</strong></td>
+          <td>${escapeAttr(FAULT_LABELS[e.reason] ? faultText(e.reason) : (e.reason || '-'))}</td>
+          <td>${escapeAttr(e.source)}</td>
+          <td>${escapeAttr(e.ip || e.device_id || '-')}</td>
+          <td class="muted">${readingsText(e.readings)}</td>`;
+        body.appendChild(tr);
+      });
+      if (!body.children.length) body.innerHTML = '<tr><td colspan="7" class="muted">Sin acciones en el periodo</td></tr>';
+      document.getElementById('audit-page').textContent = `Página ${page + 1}`;
+      document.getElementById('audit-prev').disabled = page === 0;
+      document.getElementById('audit-next').disabled = !data.next;
+    } catch (e) {
+      console.warn('loadAuditPage error', e);
+      body.innerHTML = '<tr><td colspan="7" class="muted">No se pudo cargar el registro.</td></tr>';
+    }
+  }
+
+  function initAudit() {
+    const sectionSel = document.getElementById('audit-section');
+    if (!sectionSel || document.documentElement.dataset.userRole === 'viewer') return;
+    Object.keys(state.sections).sort().forEach(k => {
+      const opt = document.createElement('option');
+      opt.value = k; opt.textContent = sectionName(k);
+      sectionSel.appendChild(opt);
+    });
+    // nueva búsqueda: se descartan los cursores de la búsqueda anterior
+    const search = () => { audit.cursors = [null]; loadAuditPage(0); };
+    document.getElementById('audit-search').addEventListener('click', search);
+    document.getElementById('gen-report').addEventListener('click', search);
+    document.getElementById('audit-prev').addEventListener('click', () => { if (audit.page > 0) loadAuditPage(audit.page - 1); });
+    document.getElementById('audit-next').addEventListener('click', () => { if (audit.next) loadAuditPage(audit.page + 1); });
+    search();
+  }
+
+  // Checkboxes de secciones para exportar (todas marcadas por defecto)
+  function renderExportSections() {
+    const box = document.getElementById('export-sections');
+    if (!box) return;
+    box.innerHTML = '';
+    Object.keys(state.sections).sort().forEach(k => {
+      const label = document.createElement('label');
+      label.innerHTML = `<input type="checkbox" value="${escapeAttr(k)}" checked> ${escapeAttr(sectionName(k))}`;
+      box.appendChild(label);
+    });
+  }
+
+  function checkedValues(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input[type=checkbox]:checked`)).map(el => el.value);
+  }
+
+  // Descarga la exportación (el endpoint requiere JWT, por eso usamos fetch + blob en vez de un link directo)
+  async function downloadExport(format) {
+    const range = reportRange();
+    if (!range) { showStatus('Rango de fechas inválido', 'error'); return; }
+    const sections = checkedValues('export-sections');
+    if (!sections.length) { showStatus('Selecciona al menos una sección', 'error'); return; }
+    const type = document.getElementById('export-type').value;
+    const qs = new URLSearchParams({ format, from: range.from, to: range.to, sections: sections.join(',') });
+    if (type === 'readings') {
+      const fields = checkedValues('export-fields');
+      if (!fields.length) { showStatus('Selecciona al menos una columna', 'error'); return; }
+      qs.set('fields', fields.join(','));
+      qs.set('resolution', document.getElementById('export-resolution').value);
+    }
+    try {
+      showStatus('Generando exportación...', 'info');
+      const r = await fetch(`${BASE}/api/export/${type}?${qs.toString()}`, { headers: authHeaders() });
+      if (!r.ok) {
+        const txt = await r.text().catch(()=>null);
+        showStatus(`Error exportando: ${r.status} ${txt || ''}`, 'error');
+        return;
+      }
+      const blob = await r.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `vivero-${type}-${range.from.slice(0, 10)}_${range.to.slice(0, 10)}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showStatus('Exportación descargada', 'success');
+    } catch (e) {
+      console.error('downloadExport error', e);
+      showStatus('Error de conexión al exportar', 'error');
+    }
+  }
+
+  // Rango seleccionado en reports.html (inputs date) -> { from, to } en ISO, días completos en hora local
+  function reportRange() {
+    const fromVal = document.getElementById('from')?.value;
+    const toVal = document.getElementById('to')?.value;
+    if (!fromVal || !toVal) return null;
+    const from = new Date(`${fromVal}T00:00:00`);
+    const to = new Date(`${toVal}T23:59:59.999`);
+    if (isNaN(from) || isNaN(to) || from > to) return null;
+    return { from: from.toISOString(), to: to.toISOString() };
+  }
+
+  // Umbrales por sección (settings.html -> #thresholds-list)
+  const THRESHOLD_LABELS = {
+    soilThreshold: 'Umbral humedad suelo',
+    hysteresis: 'Margen de cierre (histéresis)',
+    tempHigh: 'Temp. alta (°C)',
+    tempLow: 'Temp. baja (°C)',
+    maxOpenMin: 'Máx. válvula abierta (min)',
+    staleSensorMin: 'Sensor sin datos tras (min)',
+    minOnSec: 'Mín. encendida (s)',
+    minOffSec: 'Mín. apagada (s)',
+    manualDefaultMin: 'Riego manual por defecto (min)'
+  };
+
+  // Calibración del sensor de suelo (soilDry / soilWet vacíos = sin calibrar)
+  const CALIBRATION_LABELS = {
+    soilDry: 'Suelo seco (lectura cruda)',
+    soilWet: 'Suelo saturado (lectura cruda)',
+    soilOffset: 'Ajuste (%)'
+  };
+
+  async function loadThresholds() {
+    const list = document.getElementById('thresholds-list');
+    if (!list) return;
+    try {
+      const data = await loadRegistry(true);
+      renderThresholds(list, data.sections || {}, data.ranges || {});
+    } catch (e) {
+      console.warn('loadThresholds error', e);
+      list.innerHTML = '<div class="muted">No se pudieron cargar los umbrales.</div>';
+    }
+  }
+
+  function renderThresholds(list, sections, ranges) {
+    list.innerHTML = '';
+    Object.keys(sections).sort().forEach(k => {
+      const cfg = sections[k] || {};
+      const row = document.createElement('div');
+      row.className = 'threshold-row' + (cfg.archived ? ' archived' : '');
+      row.dataset.section = k;
+      const inputs = Object.keys(THRESHOLD_LABELS).map(f => {
+        const [min, max] = ranges[f] || [];
+        return `<label>${THRESHOLD_LABELS[f]}
+          <input type="number" data-field="${f}" value="${cfg[f] ?? ''}" ${min !== undefined ? `min="${min}" max="${max}"` : ''} step="any" />
+        </label>`;
+      }).join('');
+      row.innerHTML = `
+        <div class="threshold-head">
+          <h4>${k}${cfg.archived ? ' <small class="muted">(archivada)</small>' : ''}</h4>
+          <button class="btn ghost" data-role="admin" data-action="${cfg.archived ? 'restore' : 'archive'}">${cfg.archived ? 'Restaurar' : 'Archivar'}</button>
+        </div>
+        <div class="threshold-fields">
+          <label>Nombre <input type="text" data-meta="name" value="${escapeAttr(cfg.name)}" /></label>
+          <label>Descripción <input type="text" data-meta="description" value="${escapeAttr(cfg.description)}" /></label>
+          <label><input type="checkbox" data-meta="enabled" ${cfg.enabled ? 'checked' : ''} /> Habilitada</label>
+        </div>
+        <div class="threshold-fields">${inputs}</div>
+        <div class="threshold-fields">
+          <label>Unidad de umbrales de suelo
+            <select data-cal="soilUnit">
+              <option value="raw" ${cfg.soilUnit !== 'pct' ? 'selected' : ''}>Lectura cruda (ADC)</option>
+              <option value="pct" ${cfg.soilUnit === 'pct' ? 'selected' : ''}>% calibrado</option>
+            </select>
+          </label>
+          ${Object.keys(CALIBRATION_LABELS).map(f => `<label>${CALIBRATION_LABELS[f]}
+            <input type="number" data-cal="${f}" value="${cfg[f] ?? ''}" step="any" />
+          </label>`).join('')}
+        </div>
+        <div class="threshold-fields">
+          <label>Riego automático
+            <select data-strategy="autoStrategy">
+              <option value="threshold" ${cfg.autoStrategy !== 'et' ? 'selected' : ''}>Umbral fijo</option>
+              <option value="et" ${cfg.autoStrategy === 'et' ? 'selected' : ''}>Según evapotranspiración (ET)</option>
+            </select>
+          </label>
+          <label>Coef. de cultivo (Kc)
+            <input type="number" data-strategy="cropCoefficient" value="${cfg.cropCoefficient ?? 1}" min="0.1" max="2" step="0.05" />
+          </label>
+          <label>Caudal válvula (L/min)
+            <input type="number" data-water="flowRateLpm" value="${cfg.flowRateLpm ?? ''}" min="0.01" max="1000" step="any" />
+          </label>
+        </div>`;
+      row.querySelector('button[data-action]').addEventListener('click', e => archiveSection(k, e.target.dataset.action === 'archive'));
+      list.appendChild(row);
+    });
+  }
+
+  function escapeAttr(v) {
+    return String(v ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  // Muestra errores de validación { <id>: [errores] } devueltos por el backend
+  function showValidationError(prefix, r, j) {
+    const details = j && j.details
+      ? Object.keys(j.details).map(k => `${k}: ${j.details[k].join(', ')}`).join(' · ')
+      : (j && j.error) || r.status;
+    showStatus(`${prefix}: ${details}`, 'error', 8000);
+  }
+
+  async function saveThresholds() {
+    const rows = document.querySelectorAll('#thresholds-list .threshold-row:not(.archived)');
+    const sections = {};
+    rows.forEach(row => {
+      const cfg = {};
+      row.querySelectorAll('input[data-field]').forEach(input => {
+        if (input.value !== '') cfg[input.dataset.field] = Number(input.value);
+      });
+      row.querySelectorAll('input[data-meta]').forEach(input => {
+        cfg[input.dataset.meta] = input.type === 'checkbox' ? input.checked : input.value.trim();
+      });
+      // calibración: campo vacío = sin calibrar (null)
+      row.querySelectorAll('[data-cal]').forEach(input => {
+        const f = input.dataset.cal;
+        if (f === 'soilUnit') cfg[f] = input.value;
+        else cfg[f] = input.value === '' ? (f === 'soilOffset' ? 0 : null) : Number(input.value);
+      });
+      row.querySelectorAll('[data-strategy]').forEach(input => {
+        const f = input.dataset.strategy;
+        if (f === 'autoStrategy') cfg[f] = input.value;
+        else if (input.value !== '') cfg[f] = Number(input.value);
+      });
+      // caudal vacío = sin dato (el consumo solo se calcula con caudalímetro)
+      row.querySelectorAll('[data-water]').forEach(input => {
+        cfg[input.dataset.water] = input.value === '' ? null : Number(input.value);
+      });
+      sections[row.dataset.section] = cfg;
+    });
+    try {
+      const r = await fetch(`${BASE}/api/config/sections`, {
+        method: 'PUT',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ sections })
+      });
+      const j = await r.json().catch(()=>null);
+      if (!r.ok || !j || !j.ok) {
+        showValidationError('Error guardando umbrales', r, j);
+        return;
+      }
+      showStatus('Umbrales guardados', 'success');
+    } catch (e) {
+      console.error('saveThresholds error', e);
+      showStatus('Error de conexión al guardar', 'error');
+    }
+  }
+
+  // Archivar (retirar) o restaurar una sección; el historial se conserva
+  async function archiveSection(id, archive) {
+    if (archive && !confirm(`¿Archivar la sección ${id}? Se cerrará su válvula y dejará de aceptar datos.`)) return;
+    try {
+      const r = archive
+        ? await fetch(`${BASE}/api/config/sections/${encodeURIComponent(id)}`, { method: 'DELETE', headers: authHeaders() })
+        : await fetch(`${BASE}/api/config/sections/${encodeURIComponent(id)}`, {
+          method: 'PATCH',
+          headers: authHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ archived: false, enabled: true })
+        });
+      const j = await r.json().catch(()=>null);
+      if (!r.ok || !j || !j.ok) { showValidationError('Error actualizando sección', r, j); return; }
+      showStatus(archive ? `Sección ${id} archivada` : `Sección ${id} restaurada`, 'success');
+      await loadThresholds();
+    } catch (e) {
+      console.error('archiveSection error', e);
+      showStatus('Error de conexión', 'error');
+    }
+  }
+
+  // Alta de sección nueva (settings.html -> #new-section-form)
+  async function createSection() {
+    const idEl = document.getElementById('new-section-id');
+    const nameEl = document.getElementById('new-section-name');
+    const descEl = document.getElementById('new-section-desc');
+    const body = { id: idEl.value.trim().toLowerCase(), name: nameEl.value.trim() || idEl.value.trim(), description: descEl.value.trim() };
+    try {
+      const r = await fetch(`${BASE}/api/config/sections`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(body)
+      });
+      const j = await r.json().catch(()=>null);
+      if (!r.ok || !j || !j.ok) { showValidationError('Error creando sección', r, j); return; }
+      idEl.value = ''; nameEl.value = ''; descEl.value = '';
+      showStatus(`Sección ${body.id} creada`, 'success');
+      await loadThresholds();
+    } catch (e) {
+      console.error('createSection error', e);
+      showStatus('Error de conexión', 'error');
+    }
+  }
+
+  // --- Dispositivos (settings.html -> #devices-list) ---
+  async function loadDevices() {
+    const list = document.getElementById('devices-list');
+    if (!list) return;
+    try {
+      const data = await fetchJson(`${BASE}/api/devices`, { headers: authHeaders() });
+      renderDevices(list, (data && data.devices) || []);
+    } catch (e) {
+      console.warn('loadDevices error', e);
+      list.innerHTML = '<div class="muted">No se pudieron cargar los dispositivos.</div>';
+    }
+  }
+
+  function renderDevices(list, devices) {
+    if (!devices.length) {
+      list.innerHTML = '<div class="muted">Sin dispositivos registrados.</div>';
+      return;
+    }
+    list.innerHTML = '';
+    devices.forEach(d => {
+      const row = document.createElement('div');
+      row.className = 'device-row' + (d.revoked ? ' revoked' : '');
+      const seen = d.lastSeen ? `${new Date(d.lastSeen).toLocaleString()} (${d.lastSection || '-'})` : 'nunca';
+      row.innerHTML = `
+        <div>
+          <strong>${escapeAttr(d.name)}</strong> <small class="muted">${escapeAttr(d.id)} · key …${escapeAttr(d.keyHint)}</small>
+          ${d.revoked ? '<span class="device-revoked">revocada</span>' : ''}
+          <div class="muted">Secciones: ${(d.sections || []).map(s => escapeAttr(sectionName(s))).join(', ')} · Último contacto: ${seen}</div>
+        </div>
+        <div class="device-actions">
+          <button class="btn ghost" data-action="rotate">Rotar key</button>
+          ${d.revoked ? '' : '<button class="btn ghost" data-action="revoke">Revocar</button>'}
+        </div>`;
+      row.querySelectorAll('button[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => deviceKeyAction(d.id, btn.dataset.action));
+      });
+      list.appendChild(row);
+    });
+  }
+
+  // La key completa solo la entrega el backend al crear/rotar: se muestra una vez para copiarla al Pico
+  function showDeviceKey(id, key) {
+    const box = document.getElementById('device-key-box');
+    if (!box) return;
+    box.style.display = '';
+    box.innerHTML = `API key de <strong>${escapeAttr(id)}</strong> (cópiala ahora, no se volverá a mostrar):<br><code>${escapeAttr(key)}</code>`;
+  }
+
+  async function deviceKeyAction(id, action) {
+    const question = action === 'revoke'
+      ? `¿Revocar la key de ${id}? El dispositivo dejará de poder enviar datos.`
+      : `¿Rotar la key de ${id}? La key actual dejará de funcionar de inmediato.`;
+    if (!confirm(question)) return;
+    try {
+      const r = await fetch(`${BASE}/api/devices/${encodeURIComponent(id)}/${action}`, { method: 'POST', headers: authHeaders() });
+      const j = await r.json().catch(()=>null);
+      if (!r.ok || !j || !j.ok) { showStatus(`Error: ${(j && j.error) || r.status}`, 'error'); return; }
+      if (j.key) showDeviceKey(id, j.key);
+      showStatus(action === 'revoke' ? `Key de ${id} revocada` : `Key de ${id} rotada`, 'success');
+      await loadDevices();
+    } catch (e) {
+      console.error('deviceKeyAction error', e);
+      showStatus('Error de conexión', 'error');
+    }
+  }
+
+  async function createDevice() {
+    const idEl = document.getElementById('new-device-id');
+    const nameEl = document.getElementById('new-device-name');
+    const sectionsEl = document.getElementById('new-device-sections');
+    const body = {
+      id: idEl.value.trim(),
+      name: nameEl.value.trim() || idEl.value.trim(),
+      sections: sectionsEl.value.split(',').map(s => s.trim()).filter(Boolean)
+    };
+    try {
+      const r = await fetch(`${BASE}/api/devices`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(body)
+      });
+      const j = await r.json().catch(()=>null);
+      if (!r.ok || !j || !j.ok) {
+        showStatus(`Error registrando dispositivo: ${j && j.details ? j.details.join(', ') : (j && j.error) || r.status}`, 'error', 8000);
+        return;
+      }
+      idEl.value = ''; nameEl.value = ''; sectionsEl.value = '';
+      showDeviceKey(body.id, j.key);
+      showStatus(`Dispositivo ${body.id} registrado`, 'success');
+      await loadDevices();
+    } catch (e) {
+      console.error('createDevice error', e);
+      showStatus('Error de conexión', 'error');
+    }
+  }
+
+  // --- Usuarios (settings.html -> #users-list, solo admin) ---
+  const ROLE_LABELS = { viewer: 'Lectura', operator: 'Operador', admin: 'Administrador' };
+
+  async function loadUsers() {
+    const list = document.getElementById('users-list');
+    if (!list) return;
+    try {
+      const data = await fetchJson(`${BASE}/api/users`, { headers: authHeaders() });
+      renderUsers(list, (data && data.users) || []);
+    } catch (e) {
+      console.warn('loadUsers error', e);
+      list.innerHTML = '<div class="muted">No se pudieron cargar los usuarios.</div>';
+    }
+  }
+
+  function roleOptions(selected) {
+    return Object.keys(ROLE_LABELS).map(r => `<option value="${r}" ${r === selected ? 'selected' : ''}>${ROLE_LABELS[r]}</option>`).join('');
+  }
+
+  function renderUsers(list, users) {
+    list.innerHTML = '';
+    users.forEach(u => {
+      const row = document.createElement('div');
+      row.className = 'device-row' + (u.disabled ? ' revoked' : '');
+      row.innerHTML = `
+        <div>
+          <strong>${escapeAttr(u.name || u.email)}</strong> <small class="muted">${escapeAttr(u.email)}</small>
+          <div class="muted">Último ingreso: ${u.lastLogin ? new Date(u.lastLogin).toLocaleString() : 'nunca'}</div>
+        </div>
+        <div class="device-actions">
+          <select class="minutes-input" data-user-role>${roleOptions(u.role)}</select>
+          <button class="btn ghost" data-action="password">Restablecer clave</button>
+          <button class="btn ghost" data-action="logout">Cerrar sesiones</button>
+          <button class="btn ghost" data-action="toggle">${u.disabled ? 'Activar' : 'Desactivar'}</button>
+        </div>`;
+      row.querySelector('[data-user-role]').addEventListener('change', e => updateUser(u.email, { role: e.target.value }));
+      row.querySelector('[data-action="toggle"]').addEventListener('click', () => updateUser(u.email, { disabled: !u.disabled }));
+      row.querySelector('[data-action="password"]').addEventListener('click', () => resetPassword(u.email));
+      row.querySelector('[data-action="logout"]').addEventListener('click', () => {
+        if (confirm(`¿Cerrar todas las sesiones de ${u.email}?`)) sendUserRequest(`${BASE}/api/users/${encodeURIComponent(u.email)}/logout`, 'POST', {}, `Sesiones de ${u.email} cerradas`);
+      });
+      list.appendChild(row);
+    });
+  }
+
+  async function sendUserRequest(url, method, body, okMessage) {
+    try {
+      const r = await fetch(url, {
+        method,
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(body)
+      });
+      const j = await r.json().catch(()=>null);
+      if (!r.ok || !j || !j.ok) {
+        showStatus(`Error: ${j && j.details ? j.details.join(', ') : (j && j.error) || r.status}`, 'error', 8000);
+        return false;
+      }
+      showStatus(okMessage, 'success');
+      return true;
+    } catch (e) {
+      console.error('sendUserRequest error', e);
+      showStatus('Error de conexión', 'error');
+      return false;
+    }
+  }
+
+  async function updateUser(email, fields) {
+    await sendUserRequest(`${BASE}/api/users/${encodeURIComponent(email)}`, 'PATCH', fields, `Usuario ${email} actualizado`);
+    await loadUsers();
+  }
+
+  async function resetPassword(email) {
+    const password = prompt(`Nueva contraseña para ${email} (mínimo 8 caracteres):`);
+    if (!password) return;
+    await sendUserRequest(`${BASE}/api/users/${encodeURIComponent(email)}/password`, 'POST', { password }, `Contraseña de ${email} restablecida`);
+  }
+
+  async function createUser() {
+    const emailEl = document.getElementById('new-user-email');
+    const nameEl = document.getElementById('new-user-name');
+    const roleEl = document.getElementById('new-user-role');
+    const passEl = document.getElementById('new-user-pass');
+    const body = { email: emailEl.value.trim(), name: nameEl.value.trim(), role: roleEl.value, password: passEl.value };
+    if (await sendUserRequest(`${BASE}/api/users`, 'POST', body, `Usuario ${body.email} creado`)) {
+      emailEl.value = ''; nameEl.value = ''; passEl.value = '';
+      await loadUsers();
+    }
+  }
+
   // Settings page
   async function initSettings() {
-    document.getElementById('save-settings').addEventListener('click', ()=> alert('Guardado (demo)'));
-    const simulate = document.getElementById('simulate');
-    simulate.addEventListener('change', async (e) => {
-      // llamar al backend para habilitar simulación global (implementar si lo deseas)
-      alert('Cambio guardado (demo)');
+    await loadThresholds();
+    await refreshUserRole();
+    // dispositivos y usuarios solo los puede leer un admin
+    if (document.documentElement.dataset.userRole === 'admin') {
+      await loadDevices();
+      await loadUsers();
+    }
+    const userBtn = document.getElementById('new-user-btn');
+    if (userBtn) userBtn.addEventListener('click', createUser);
+    const deviceBtn = document.getElementById('new-device-btn');
+    if (deviceBtn) deviceBtn.addEventListener('click', createDevice);
+    document.getElementById('save-settings').addEventListener('click', saveThresholds);
+    const createBtn = document.getElementById('new-section-btn');
+    if (createBtn) createBtn.addEventListener('click', createSection);
+    if (document.documentElement.dataset.userRole === 'admin') await loadSimulator();
+    const simulateBtn = document.getElementById('simulate-save');
+    if (simulateBtn) simulateBtn.addEventListener('click', saveSimulator);
+  }
+
+  // --- Simulador (settings.html -> tarjeta Simulación, solo admin) ---
+  const SIM_FAULT_LABELS = {
+    none: 'Sin falla',
+    stuck_sensor: 'Sensor de suelo congelado',
+    dropout: 'Sin lecturas',
+    valve_stuck: 'Válvula no obedece'
+  };
+
+  async function loadSimulator() {
+    try {
+      const data = await fetchJson(`${BASE}/api/simulator`, { headers: authHeaders() });
+      const cfg = data.config;
+      document.getElementById('simulate').checked = !!cfg.enabled;
+      [['interval', 'intervalSec'], ['noise', 'noise'], ['speed', 'speed']].forEach(([id, f]) => {
+        const input = document.getElementById(`simulate-${id}`);
+        input.value = cfg[f];
+        input.min = data.limits[f][0];
+        input.max = data.limits[f][1];
+      });
+      renderSimulatorFaults(cfg.faults || {}, data.faults || Object.keys(SIM_FAULT_LABELS));
+    } catch (e) {
+      console.warn('loadSimulator error', e);
+    }
+  }
+
+  // Una falla por sección activa (las del registro ya cargado por loadThresholds)
+  function renderSimulatorFaults(faults, options) {
+    const list = document.getElementById('simulate-faults');
+    if (!list) return;
+    list.innerHTML = '';
+    Object.keys(state.registry || {}).sort().filter(k => !state.registry[k].archived).forEach(k => {
+      const row = document.createElement('div');
+      row.className = 'device-row';
+      row.innerHTML = `
+        <div><strong>${escapeAttr(sectionName(k))}</strong></div>
+        <div class="device-actions">
+          <select class="minutes-input" data-sim-fault="${escapeAttr(k)}">
+            ${options.map(f => `<option value="${f}" ${f === (faults[k] || 'none') ? 'selected' : ''}>${SIM_FAULT_LABELS[f] || f}</option>`).join('')}
+          </select>
+        </div>`;
+      list.appendChild(row);
+    });
+  }
+
+  async function saveSimulator() {
+    const faults = {};
+    document.querySelectorAll('[data-sim-fault]').forEach(select => {
+      if (select.value !== 'none') faults[select.dataset.simFault] = select.value;
+    });
+    const body = {
+      enabled: document.getElementById('simulate').checked,
+      intervalSec: Number(document.getElementById('simulate-interval').value),
+      noise: Number(document.getElementById('simulate-noise').value),
+      speed: Number(document.getElementById('simulate-speed').value),
+      faults
+    };
+    const msg = body.enabled ? 'Simulación activa' : 'Simulación detenida';
+    if (await sendUserRequest(`${BASE}/api/simulator`, 'PUT', body, msg)) await loadSimulator();
+  }
+
+  // --- Salud de dispositivos (devices.html): estado online / offline, firmware, último contacto y diagnósticos.
+  // Se actualiza en vivo con 'device-status' y se recarga cada minuto (diagnósticos y "hace X min").
+  const DEVICE_STATUS_LABELS = { online: 'En línea', offline: 'Sin conexión', unknown: 'Nunca visto', revoked: 'Revocado' };
+  const healthDevices = new Map();
+
+  function timeAgo(iso) {
+    const ts = Date.parse(iso || '');
+    if (!Number.isFinite(ts)) return 'nunca';
+    const min = Math.max(0, Math.round((Date.now() - ts) / 60000));
+    if (min < 1) return 'hace menos de 1 min';
+    if (min < 60) return `hace ${min} min`;
+    return min < 1440 ? `hace ${Math.round(min / 60)} h` : `hace ${Math.round(min / 1440)} d`;
+  }
+
+  function uptimeText(seconds) {
+    if (typeof seconds !== 'number') return '-';
+    const d = Math.floor(seconds / 86400), h = Math.floor(seconds % 86400 / 3600), m = Math.floor(seconds % 3600 / 60);
+    return d ? `${d} d ${h} h` : h ? `${h} h ${m} min` : `${m} min`;
+  }
+
+  function renderHealth() {
+    const rows = document.getElementById('health-rows');
+    if (!rows) return;
+    const list = [...healthDevices.values()].sort((a, b) => a.id.localeCompare(b.id));
+    rows.innerHTML = '';
+    list.forEach(d => {
+      const diag = d.diagnostics || {};
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td><span class="device-status ${escapeAttr(d.status)}">${DEVICE_STATUS_LABELS[d.status] || escapeAttr(d.status)}</span></td>
+        <td><strong>${escapeAttr(d.name || d.id)}</strong> <small class="muted">${escapeAttr(d.id)}</small></td>
+        <td>${(d.sections || []).map(s => escapeAttr(sectionName(s))).join(', ') || '-'}</td>
+        <td>${escapeAttr(d.firmware || '-')}</td>
+        <td>${configText(d)} <button class="btn ghost" data-role="admin" data-config-device>Configurar</button></td>
+        <td title="${d.lastSeen ? new Date(d.lastSeen).toLocaleString() : ''}">${timeAgo(d.lastSeen)}${d.lastIp ? ` <small class="muted">${escapeAttr(d.lastIp)}</small>` : ''}</td>
+        <td>${typeof diag.rssi === 'number' ? `${diag.rssi} dBm` : '-'}</td>
+        <td>${uptimeText(diag.uptime_s)}</td>
+        <td>${typeof diag.free_mem === 'number' ? `${(diag.free_mem / 1024).toFixed(1)} KB` : '-'}</td>
+        <td>${typeof diag.vcc === 'number' ? `${diag.vcc} V` : '-'}</td>`;
+      tr.querySelector('[data-config-device]').addEventListener('click', () => openDeviceConfig(d));
+      rows.appendChild(tr);
+    });
+    if (!list.length) rows.innerHTML = '<tr><td colspan="10" class="muted">Sin dispositivos registrados.</td></tr>';
+    const summary = document.getElementById('health-summary');
+    if (summary) {
+      const count = status => list.filter(d => d.status === status).length;
+      summary.textContent = `${count('online')} en línea · ${count('offline')} sin conexión · ${count('unknown')} nunca vistos`;
+    }
+  }
+
+  // Versión de configuración remota vigente y si el dispositivo ya la aplicó
+  function configText(d) {
+    if (!d.configVersion) return '<span class="muted">de fábrica</span>';
+    if (d.configApplied === d.configVersion) return `v${d.configVersion} ✓`;
+    return `v${d.configVersion} <small class="muted">(pendiente${d.configApplied !== null ? `, aplicada v${d.configApplied}` : ''})</small>`;
+  }
+
+  // --- Configuración remota de un dispositivo (devices.html -> #device-config-card, solo admin) ---
+  let configDeviceId = null;
+
+  async function openDeviceConfig(d) {
+    try {
+      const data = await fetchJson(`${BASE}/api/devices/${encodeURIComponent(d.id)}/config`, { headers: authHeaders() });
+      configDeviceId = d.id;
+      document.getElementById('device-config-name').textContent = d.name || d.id;
+      document.querySelectorAll('#device-config-card [data-config]').forEach(input => {
+        const field = input.dataset.config;
+        if (input.type === 'checkbox') {
+          input.checked = !!data.document.config[field];
+        } else {
+          input.value = data.document.config[field];
+          input.min = data.limits[field][0];
+          input.max = data.limits[field][1];
+        }
+      });
+      const applied = data.applied ? `aplicada v${data.applied.version} (${new Date(data.applied.at).toLocaleString()})` : 'sin confirmar';
+      document.getElementById('device-config-version').textContent = data.document.version
+        ? `Versión v${data.document.version} de ${data.updatedBy || '-'} · ${applied}`
+        : `Sin cambios: el dispositivo usa la configuración de su firmware · ${applied}`;
+      const card = document.getElementById('device-config-card');
+      card.hidden = false;
+      card.scrollIntoView({ behavior: 'smooth' });
+    } catch (e) {
+      console.warn('openDeviceConfig error', e);
+      showStatus('No se pudo cargar la configuración del dispositivo', 'error');
+    }
+  }
+
+  async function saveDeviceConfig() {
+    if (!configDeviceId) return;
+    const body = {};
+    document.querySelectorAll('#device-config-card [data-config]').forEach(input => {
+      body[input.dataset.config] = input.type === 'checkbox' ? input.checked : Number(input.value);
     });
+    const id = configDeviceId;
+    if (await sendUserRequest(`${BASE}/api/devices/${encodeURIComponent(id)}/config`, 'PUT', body, `Configuración de ${id} guardada`)) {
+      await loadHealth();
+      const device = healthDevices.get(id);
+      if (device) await openDeviceConfig(device);
+    }
+  }
+
+  async function loadHealth() {
+    try {
+      const data = await fetchJson(`${BASE}/api/devices/health`, { headers: authHeaders() });
+      healthDevices.clear();
+      (data.devices || []).forEach(d => healthDevices.set(d.id, d));
+      const footer = document.getElementById('health-footer');
+      if (footer) footer.textContent = `Un dispositivo pasa a offline si no envía datos ni heartbeat por más de ${data.offlineAfterMin} min`;
+      renderHealth();
+    } catch (e) {
+      console.warn('loadHealth error', e);
+      showStatus('No se pudo cargar la salud de los dispositivos', 'error');
+    }
+  }
+
+  async function initDevices() {
+    await loadSectionsList();
+    document.getElementById('health-refresh').addEventListener('click', loadHealth);
+    document.getElementById('device-config-save').addEventListener('click', saveDeviceConfig);
+    document.getElementById('device-config-close').addEventListener('click', () => {
+      document.getElementById('device-config-card').hidden = true;
+      configDeviceId = null;
+    });
+    socket.on('device-status', d => {
+      const current = healthDevices.get(d.id);
+      if (current) {
+        Object.assign(current, { status: d.status, statusChangedAt: d.at, lastSeen: d.lastSeen });
+        renderHealth();
+      }
+      showStatus(`${d.name || d.id}: ${DEVICE_STATUS_LABELS[d.status] || d.status}`, d.status === 'offline' ? 'error' : 'info');
+    });
+    onResync(loadHealth);
+    await loadHealth();
+    setInterval(loadHealth, 60 * 1000);
+  }
+
+  // Centro de notificaciones (campana en el header de todas las páginas): alertas abiertas del servidor,
+  // con reconocer / resolver para operadores. Se actualiza en vivo con los eventos 'alert' / 'alert-update'.
+  const SEVERITY_LABELS = { info: 'Info', warning: 'Advertencia', critical: 'Crítica' };
+  const openAlerts = new Map();
+
+  function renderNotifications() {
+    const badge = document.getElementById('notif-badge');
+    const list = document.getElementById('notif-list');
+    if (!badge || !list) return;
+    const alerts = [...openAlerts.values()].sort((a, b) => b.createdAt - a.createdAt);
+    const pending = alerts.filter(a => a.status === 'active').length;
+    badge.textContent = pending;
+    badge.hidden = pending === 0;
+    list.innerHTML = '';
+    alerts.forEach(a => {
+      const item = document.createElement('div');
+      item.className = `notif-item severity-${a.severity}${a.status === 'acknowledged' ? ' acknowledged' : ''}`;
+      item.innerHTML = `<div><strong>${SEVERITY_LABELS[a.severity] || a.severity}</strong>
+          <small class="muted">${new Date(a.createdAt).toLocaleString()}${a.occurrences > 1 ? ` · ${a.occurrences} veces` : ''}</small></div>
+        <div class="notif-message"></div>
+        <small class="muted">${a.status === 'acknowledged' ? `Reconocida por ${escapeAttr(a.ackBy)}` : ''}</small>
+        <div class="notif-actions" data-role="operator">
+          ${a.status === 'active' ? '<button class="btn ghost" data-alert-action="ack">Reconocer</button>' : ''}
+          <button class="btn ghost" data-alert-action="resolve">Resolver</button>
+        </div>`;
+      item.querySelector('.notif-message').textContent = a.message;
+      item.querySelectorAll('[data-alert-action]').forEach(btn => {
+        btn.addEventListener('click', () => alertAction(a.id, btn.dataset.alertAction));
+      });
+      list.appendChild(item);
+    });
+    if (!alerts.length) list.innerHTML = '<div class="muted">Sin alertas abiertas</div>';
+  }
+
+  function trackAlert(alert) {
+    if (alert.open) openAlerts.set(alert.id, alert);
+    else openAlerts.delete(alert.id);
+    renderNotifications();
+  }
+
+  async function alertAction(id, action) {
+    try {
+      const r = await fetch(`${BASE}/api/alerts/${encodeURIComponent(id)}/${action}`, { method: 'POST', headers: authHeaders() });
+      const j = await r.json().catch(()=>null);
+      if (!r.ok || !j || !j.ok) { showStatus(`Error: ${(j && j.error) || r.status}`, 'error'); return; }
+      trackAlert(j.alert);
+    } catch (e) {
+      console.error('alertAction error', e);
+      showStatus('Error de conexión', 'error');
+    }
+  }
+
+  async function initNotifications() {
+    const header = document.querySelector('.header');
+    if (!header || document.getElementById('notif-center')) return;
+    const center = document.createElement('div');
+    center.id = 'notif-center';
+    center.innerHTML = `<button id="notif-btn" class="btn ghost" title="Alertas">🔔 <span id="notif-badge" class="notif-badge" hidden>0</span></button>
+      <div id="notif-panel" class="card notif-panel" hidden>
+        <h3>Alertas abiertas</h3>
+        <div id="notif-list"></div>
+      </div>`;
+    header.appendChild(center);
+    document.getElementById('notif-btn').addEventListener('click', () => {
+      const panel = document.getElementById('notif-panel');
+      panel.hidden = !panel.hidden;
+    });
+
+    socket.on('alert', d => {
+      trackAlert(d);
+      showStatus(`Alerta: ${d.message}`, d.severity === 'critical' ? 'error' : 'info', 8000);
+    });
+    socket.on('alert-update', trackAlert);
+    onResync(loadAlerts);
+    await loadAlerts();
+  }
+
+  async function loadAlerts() {
+    try {
+      const data = await fetchJson(`${BASE}/api/alerts?status=open`, { headers: authHeaders() });
+      openAlerts.clear();
+      (data.alerts || []).forEach(a => openAlerts.set(a.id, a));
+      renderNotifications();
+    } catch (e) {
+      console.warn('loadAlerts error', e);
+    }
   }
 
   return {
-    initDashboard, initSections, initSectionView, initReports, initSettings
+    initDashboard, initSections, initSectionView, initDevices, initReports, initSettings, initNotifications
   };
 })();
 // Auto-inicializador: detecta la página y llama a la init correspondiente
-document.addEventListener('DOMContentLoaded', () => {
-  // validar sesión en páginas protegidas
+document.addEventListener('DOMContentLoaded', async () => {
+  // validar sesión en páginas protegidas (y renovar el access token si venció antes de llamar a la API)
   requireAuthOnProtectedPages();
+  await refreshUserRole();
 
   // inicializar tema y mostrar botón login/logout
   initThemeToggle();
+  mainUI.initNotifications();
 
   // actualizar UI de sesión (el auth-area se genera por mainUI más adelante)
   // Llamamos a checkSessionAndUpdateUI desde dentro de mainUI una vez que la init correspondiente corra.
@@ -449,6 +1865,8 @@ document.addEventListener('DOMContentLoaded', () => {
     if (mainUI.initSections) mainUI.initSections();
   } else if (p === 'section.html') {
     if (mainUI.initSectionView) mainUI.initSectionView();
+  } else if (p === 'devices.html') {
+    if (mainUI.initDevices) mainUI.initDevices();
   } else if (p === 'reports.html') {
     if (mainUI.initReports) mainUI.initReports();
   } else if (p === 'settings.html') {
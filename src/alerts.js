@@ -0,0 +1,293 @@
+// src/alerts.js
+// Motor de alertas: revisa periódicamente secciones y dispositivos y abre alertas con severidad.
+// - Deduplicación: hay como máximo una alerta abierta por clave (sección o dispositivo + tipo); mientras la
+//   condición sigue, solo se actualiza lastSeenAt / occurrences (y la severidad si empeora).
+// - Se resuelve sola cuando la condición desaparece por RESOLVE_AFTER_MS (evita alertas intermitentes).
+// - Los usuarios pueden reconocerla (ack: "la estoy viendo", sigue abierta) o resolverla a mano; si la
+//   condición persiste se abre una alerta nueva en la siguiente revisión.
+// Estructura en la DB: /vivero/alertas/<pushId> = {
+//   key, type, severity, section, device_id, message, value, status: 'active'|'acknowledged'|'resolved', open,
+//   createdAt, lastSeenAt, occurrences, ackAt, ackBy, resolvedAt, resolvedBy ('auto' o email) }
+// Índice recomendado en las reglas de Firebase: "vivero": { "alertas": { ".indexOn": ["createdAt", "open"] } }
+
+const { soilValue } = require('./telemetry');
+const { deviceStatus, OFFLINE_MIN } = require('./health');
+
+const ALERTS_ROOT = '/vivero/alertas';
+const SEVERITIES = ['info', 'warning', 'critical'];
+const TICK_MS = 30 * 1000;
+const RESOLVE_AFTER_MS = 5 * 60 * 1000;
+const LAST_SEEN_WRITE_MS = 5 * 60 * 1000;
+// grados por encima / debajo del límite a partir de los cuales la temperatura es crítica
+const TEMP_CRITICAL_MARGIN = 5;
+// minutos con el suelo bajo el umbral para alertar (por defecto; el servidor lo toma de ALERT_SOIL_DRY_MIN)
+const SOIL_DRY_MIN = 60;
+const MAX_PAGE = 200;
+
+const TYPE_LABELS = {
+  temp_high: 'Temperatura alta',
+  temp_low: 'Temperatura baja',
+  soil_dry: 'Suelo seco',
+  valve_stuck: 'Válvula trabada',
+  no_data: 'Sección sin datos',
+  device_offline: 'Dispositivo sin conexión'
+};
+
+// ¿`severity` alcanza el mínimo `min`?
+function meetsSeverity(severity, min) {
+  return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(min);
+}
+
+// Condiciones de alerta de una sección. state: /vivero/secciones/<id>, cfg: registro.
+// drySince: ms desde que el suelo está bajo el umbral (lo lleva el motor), o null
+function sectionConditions(cfg, state, now, drySince, soilDryMin = SOIL_DRY_MIN) {
+  const conditions = [];
+  const name = cfg.name || cfg.id;
+  const lastReading = Date.parse(state.ultima_lectura || '');
+  if (!Number.isFinite(lastReading) || now - lastReading > cfg.staleSensorMin * 60000) {
+    // sin datos recientes no tiene sentido evaluar temperatura ni suelo
+    conditions.push({ type: 'no_data', severity: 'warning', message: `${name}: sin lecturas hace más de ${cfg.staleSensorMin} min` });
+  } else {
+    const temp = state.temp;
+    if (typeof temp === 'number' && temp >= cfg.tempHigh) {
+      conditions.push({
+        type: 'temp_high', value: temp,
+        severity: temp >= cfg.tempHigh + TEMP_CRITICAL_MARGIN ? 'critical' : 'warning',
+        message: `${name}: temperatura ${temp} °C (límite ${cfg.tempHigh} °C)`
+      });
+    }
+    if (typeof temp === 'number' && temp <= cfg.tempLow) {
+      conditions.push({
+        type: 'temp_low', value: temp,
+        severity: temp <= cfg.tempLow - TEMP_CRITICAL_MARGIN ? 'critical' : 'warning',
+        message: `${name}: temperatura ${temp} °C (mínimo ${cfg.tempLow} °C)`
+      });
+    }
+    if (cfg.enabled && drySince !== null && now - drySince >= soilDryMin * 60000) {
+      conditions.push({
+        type: 'soil_dry', value: soilValue(cfg, state), severity: 'warning',
+        message: `${name}: humedad de suelo bajo el umbral hace ${Math.round((now - drySince) / 60000)} min`
+      });
+    }
+  }
+
+  const command = state.comando || {};
+  if (command.status === 'failed') {
+    conditions.push({ type: 'valve_stuck', severity: 'critical', message: `${name}: el dispositivo no confirmó el comando "${command.action}"` });
+  } else if (state.mismatch) {
+    conditions.push({
+      type: 'valve_stuck', severity: 'critical',
+      message: `${name}: válvula reportada "${state.valvula_reportada}" pero se pidió "${state.valvula || 'off'}"`
+    });
+  } else if (state.fault === 'watchdog_timeout') {
+    conditions.push({ type: 'valve_stuck', severity: 'critical', message: `${name}: válvula cerrada por el watchdog tras ${cfg.maxOpenMin} min abierta` });
+  }
+  return conditions;
+}
+
+// Dispositivo registrado offline: sin contacto hace más de offlineMin (ver src/health.js; los nunca vistos no alertan)
+function deviceConditions(device, now, offlineMin = OFFLINE_MIN) {
+  if (device.revoked || deviceStatus(device, now, offlineMin) !== 'offline') return [];
+  return [{
+    type: 'device_offline', severity: 'critical',
+    message: `${device.name || device.id}: sin contacto desde ${device.lastSeen} (más de ${offlineMin} min)`
+  }];
+}
+
+// Asunto y texto del correo de una alerta
+function alertEmail(alert) {
+  const label = TYPE_LABELS[alert.type] || alert.type;
+  return {
+    subject: `[Vivero][${alert.severity}] ${label}${alert.section ? ` (${alert.section})` : ''}`,
+    text: `${alert.message}\n\nSeveridad: ${alert.severity}\nDesde: ${new Date(alert.createdAt).toISOString()}\n` +
+      'Reconocer o resolver desde el centro de notificaciones de la aplicación.'
+  };
+}
+
+function encodeCursor(ts, key) {
+  return `${ts}:${key}`;
+}
+
+function decodeCursor(cursor) {
+  const m = /^(\d+):([\w-]+)$/.exec(String(cursor || ''));
+  return m ? { ts: Number(m[1]), key: m[2] } : null;
+}
+
+// deps: { db, getSections() -> secciones activas, getDevices() -> dispositivos registrados,
+//         notify(event, data), deliver(alert) -> Promise (correo; solo alertas nuevas o que empeoran),
+//         soilDryMin?, deviceOfflineMin? (el mismo offlineMin del monitor de salud) }
+function createAlertEngine(deps) {
+  const { db, getSections, getDevices, notify, deliver, soilDryMin = SOIL_DRY_MIN, deviceOfflineMin = OFFLINE_MIN } = deps;
+  const open = {}; // key -> alerta abierta (con id)
+  const clearSince = {}; // key -> ms desde que la condición no aparece
+  const drySince = {}; // section -> ms desde que el suelo está bajo el umbral
+  let timer = null;
+  let ticking = false;
+
+  const alertRef = id => db.ref(`${ALERTS_ROOT}/${id}`);
+
+  async function load() {
+    const snap = await db.ref(ALERTS_ROOT).orderByChild('open').equalTo(true).once('value');
+    snap.forEach(child => { open[child.val().key] = Object.assign({ id: child.key }, child.val()); });
+  }
+
+  function send(alert) {
+    Promise.resolve(deliver(alert)).catch(err => console.error('Error enviando alerta por correo', alert.key, err.message));
+  }
+
+  async function raise(key, subject, condition, now) {
+    delete clearSince[key];
+    const current = open[key];
+    if (!current) {
+      const alert = Object.assign({ key, section: null, device_id: null }, subject, condition, {
+        value: condition.value ?? null, status: 'active', open: true, createdAt: now, lastSeenAt: now, occurrences: 1
+      });
+      const ref = db.ref(ALERTS_ROOT).push();
+      await ref.set(alert);
+      open[key] = Object.assign({ id: ref.key }, alert);
+      notify('alert', publicAlert(open[key]));
+      send(open[key]);
+      return;
+    }
+    const worse = SEVERITIES.indexOf(condition.severity) > SEVERITIES.indexOf(current.severity);
+    const fields = { occurrences: current.occurrences + 1, lastSeenAt: now };
+    if (worse) Object.assign(fields, { severity: condition.severity, message: condition.message, value: condition.value ?? null });
+    Object.assign(current, fields);
+    // lastSeenAt se guarda cada tanto; un cambio de severidad se guarda y avisa de inmediato
+    if (worse || now - (current.savedAt || current.createdAt) >= LAST_SEEN_WRITE_MS) {
+      current.savedAt = now;
+      await alertRef(current.id).update(fields);
+    }
+    if (worse) {
+      notify('alert-update', publicAlert(current));
+      send(current);
+    }
+  }
+
+  async function close(key, by, now = Date.now()) {
+    const alert = open[key];
+    if (!alert) return null;
+    const fields = { status: 'resolved', open: false, resolvedAt: now, resolvedBy: by };
+    await alertRef(alert.id).update(fields);
+    delete open[key];
+    delete clearSince[key];
+    const resolved = Object.assign(alert, fields);
+    notify('alert-update', publicAlert(resolved));
+    return publicAlert(resolved);
+  }
+
+  async function tick(now = Date.now()) {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const all = (await db.ref('/vivero/secciones').once('value')).val() || {};
+      const seen = new Set();
+      for (const cfg of getSections()) {
+        const state = all[cfg.id] || {};
+        const soil = soilValue(cfg, state);
+        if (soil !== null && soil <= cfg.soilThreshold) drySince[cfg.id] = drySince[cfg.id] || now;
+        else delete drySince[cfg.id];
+        for (const condition of sectionConditions(cfg, state, now, drySince[cfg.id] || null, soilDryMin)) {
+          const key = `${cfg.id}:${condition.type}`;
+          seen.add(key);
+          await raise(key, { section: cfg.id }, condition, now);
+        }
+      }
+      for (const device of getDevices()) {
+        for (const condition of deviceConditions(device, now, deviceOfflineMin)) {
+          const key = `device:${device.id}:${condition.type}`;
+          seen.add(key);
+          await raise(key, { device_id: device.id }, condition, now);
+        }
+      }
+      for (const key of Object.keys(open)) {
+        if (seen.has(key)) continue;
+        clearSince[key] = clearSince[key] || now;
+        if (now - clearSince[key] >= RESOLVE_AFTER_MS) await close(key, 'auto', now);
+      }
+    } catch (err) {
+      console.error('Error revisando alertas', err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function findOpen(id) {
+    return Object.values(open).find(a => a.id === id) || null;
+  }
+
+  // Reconocer una alerta abierta: deja de estar 'active' pero sigue abierta hasta resolverse
+  async function acknowledge(id, email) {
+    const alert = findOpen(id);
+    if (!alert) return null;
+    if (alert.status === 'acknowledged') return publicAlert(alert);
+    const fields = { status: 'acknowledged', ackAt: Date.now(), ackBy: email };
+    await alertRef(id).update(fields);
+    Object.assign(alert, fields);
+    notify('alert-update', publicAlert(alert));
+    return publicAlert(alert);
+  }
+
+  async function resolve(id, email) {
+    const alert = findOpen(id);
+    return alert ? close(alert.key, email) : null;
+  }
+
+  // Alertas abiertas, de la más nueva a la más antigua
+  function listOpen() {
+    return Object.values(open).sort((a, b) => b.createdAt - a.createdAt).map(publicAlert);
+  }
+
+  // Historial paginado (abiertas y resueltas), de la más nueva a la más antigua.
+  // Devuelve { alerts, next } (next = cursor para la página siguiente o null)
+  async function listHistory(limit, cursor) {
+    const size = Math.min(Math.max(limit || 50, 1), MAX_PAGE);
+    const end = decodeCursor(cursor);
+    const ref = db.ref(ALERTS_ROOT).orderByChild('createdAt');
+    const query = end ? ref.endAt(end.ts, end.key).limitToLast(size + 1) : ref.limitToLast(size);
+    const snap = await query.once('value');
+    const page = [];
+    snap.forEach(child => {
+      if (!end || child.key !== end.key) page.push(Object.assign({ id: child.key }, child.val()));
+    });
+    page.sort((a, b) => b.createdAt - a.createdAt || (a.id < b.id ? 1 : -1));
+    const last = page[page.length - 1];
+    return { alerts: page.map(publicAlert), next: page.length >= size && last ? encodeCursor(last.createdAt, last.id) : null };
+  }
+
+  return {
+    async start() {
+      await load();
+      timer = setInterval(tick, TICK_MS);
+      tick();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    tick,
+    acknowledge,
+    resolve,
+    listOpen,
+    listHistory
+  };
+}
+
+// Sin campos internos del motor
+function publicAlert(alert) {
+  const out = Object.assign({}, alert);
+  delete out.savedAt;
+  return out;
+}
+
+module.exports = {
+  ALERTS_ROOT,
+  SEVERITIES,
+  SOIL_DRY_MIN,
+  TYPE_LABELS,
+  meetsSeverity,
+  sectionConditions,
+  deviceConditions,
+  alertEmail,
+  createAlertEngine
+};
@@ -0,0 +1,102 @@
+// src/audit.js
+// Registro de auditoría append-only de acciones sobre válvulas (quién, por qué y desde dónde).
+// Estructura en la DB: /vivero/auditoria/<pushId> = {
+//   ts, section, previous, valvula, reason, source, sourceType, ip, device_id, command_id,
+//   readings: { humedad_suelo, temp, humedad_amb, luminosidad, ultima_lectura }
+// }
+// `source` conserva el detalle ('ui:<email>', 'device:<id>', 'schedule:<programa>', 'watchdog', 'auto', ...)
+// y `sourceType` es la parte antes de ':' para poder filtrar. Las entradas nunca se modifican ni borran.
+// Índice recomendado en las reglas de Firebase: "vivero": { "auditoria": { ".indexOn": ["ts"] } }
+
+const history = require('./history');
+
+const AUDIT_ROOT = '/vivero/auditoria';
+const SOURCE_TYPES = ['auto', 'ui', 'api', 'device', 'schedule', 'watchdog', 'manual_timer'];
+const MAX_PAGE = 200;
+const SCAN_PAGE = 200;
+
+function sourceType(source) {
+  return String(source || 'auto').split(':')[0];
+}
+
+// Lecturas vigentes en la sección al momento de la acción (lo que "disparó" la decisión)
+function readingsFrom(state) {
+  const readings = {};
+  history.HISTORY_FIELDS.concat('ultima_lectura').forEach(f => {
+    if (state[f] !== undefined && state[f] !== null) readings[f] = state[f];
+  });
+  return readings;
+}
+
+// Agrega una entrada al registro. state: nodo de la sección antes del cambio.
+// meta: { ip? } (origen de la petición para acciones manuales)
+function appendValveAction(db, entry, state = {}, meta = {}) {
+  const record = {
+    ts: entry.ts || Date.now(),
+    section: entry.section,
+    previous: entry.previous || 'off',
+    valvula: entry.valvula,
+    reason: entry.reason || null,
+    source: entry.source || 'auto',
+    sourceType: sourceType(entry.source),
+    ip: meta.ip || null,
+    device_id: state.device_id || null,
+    command_id: entry.commandId || null,
+    readings: readingsFrom(state)
+  };
+  return db.ref(AUDIT_ROOT).push(record);
+}
+
+// Cursor de paginación "<ts>:<pushId>" (la entrada más antigua ya entregada)
+function encodeCursor(ts, key) {
+  return `${ts}:${key}`;
+}
+
+function decodeCursor(cursor) {
+  const m = /^(\d+):([\w-]+)$/.exec(String(cursor || ''));
+  return m ? { ts: Number(m[1]), key: m[2] } : null;
+}
+
+function matches(entry, filters) {
+  if (filters.section && entry.section !== filters.section) return false;
+  if (filters.sourceType && entry.sourceType !== filters.sourceType) return false;
+  if (filters.source && entry.source !== filters.source) return false;
+  if (filters.action && entry.valvula !== filters.action) return false;
+  return true;
+}
+
+// Consulta paginada, de la más reciente a la más antigua.
+// filters: { from, to (ms), section?, sourceType?, source?, action? }, limit, cursor (de una respuesta anterior)
+// Devuelve { entries, next } (next = null si no hay más)
+async function queryAudit(db, filters, limit, cursor) {
+  const size = Math.min(Math.max(limit || 50, 1), MAX_PAGE);
+  const ref = db.ref(AUDIT_ROOT).orderByChild('ts');
+  const entries = [];
+  let end = decodeCursor(cursor) || { ts: filters.to, key: null };
+  let more = true;
+
+  // se recorren páginas hacia atrás hasta juntar `size` entradas que pasen los filtros
+  while (entries.length < size && more) {
+    const query = end.key ? ref.endAt(end.ts, end.key) : ref.endAt(end.ts);
+    const snap = await query.startAt(filters.from).limitToLast(SCAN_PAGE + (end.key ? 1 : 0)).once('value');
+    const page = [];
+    snap.forEach(child => {
+      if (child.key !== end.key) page.push({ key: child.key, val: child.val() });
+    });
+    page.sort((a, b) => b.val.ts - a.val.ts || (a.key < b.key ? 1 : -1));
+    more = page.length >= SCAN_PAGE;
+
+    for (const item of page) {
+      end = { ts: item.val.ts, key: item.key };
+      if (!matches(item.val, filters)) continue;
+      entries.push(Object.assign({ id: item.key }, item.val));
+      if (entries.length === size) {
+        more = more || item !== page[page.length - 1];
+        break;
+      }
+    }
+  }
+  return { entries, next: more && entries.length ? encodeCursor(end.ts, end.key) : null };
+}
+
+module.exports = { AUDIT_ROOT, SOURCE_TYPES, sourceType, appendValveAction, queryAudit, decodeCursor };
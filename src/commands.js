@@ -0,0 +1,124 @@
+// src/commands.js
+// Estado deseado vs. reportado de la válvula.
+// - `valvula` en /vivero/secciones/<id> es el estado DESEADO (lo que pidió el servidor/usuario).
+// - Cada cambio genera un comando { id, action, status, issuedAt, attempts, source } en `comando`.
+// - El Pico reporta su estado real en el siguiente POST /api/data (`valvula_estado`, y opcionalmente
+//   `ack: <id de comando>`) o en POST /api/device/ack. Eso queda en `valvula_reportada`.
+// - Si no confirma en ackTimeoutMs se reintenta (hasta maxAttempts) y luego el comando queda 'failed'.
+// - `mismatch: true` cuando deseado y reportado difieren y no hay un comando pendiente.
+
+const crypto = require('crypto');
+
+const TICK_MS = 15 * 1000;
+// valores por defecto de createCommandTracker (el servidor los toma de COMMAND_ACK_TIMEOUT_MS / COMMAND_MAX_ATTEMPTS)
+const ACK_TIMEOUT_MS = 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+function newCommand(action, source, now = Date.now()) {
+  return { id: crypto.randomUUID(), action, status: 'pending', issuedAt: now, attempts: 1, source: source || null };
+}
+
+// Saca del payload del Pico los campos de reporte/ack para que no pisen el estado deseado.
+// Firmwares antiguos mandan su estado en `valvula`: lo tratamos como estado reportado.
+function extractReport(payload) {
+  const report = {};
+  const state = payload.valvula_estado !== undefined ? payload.valvula_estado : payload.valvula;
+  if (state === 'on' || state === 'off') report.state = state;
+  if (payload.ack) report.ack = String(payload.ack);
+  delete payload.valvula_estado;
+  delete payload.valvula;
+  delete payload.ack;
+  return report;
+}
+
+// ¿Deseado y reportado difieren sin un comando en curso?
+function isMismatch(desired, reported, command) {
+  if (!reported) return false;
+  if (command && command.status === 'pending') return false;
+  return reported !== (desired || 'off');
+}
+
+// Campos a actualizar en la sección al recibir un reporte del dispositivo
+function applyReport(state, report, now = Date.now()) {
+  const fields = {};
+  const reported = report.state || state.valvula_reportada || null;
+  if (report.state) {
+    fields.valvula_reportada = report.state;
+    fields.reportada_at = new Date(now).toISOString();
+  }
+  let command = state.comando || null;
+  if (command && command.status !== 'confirmed') {
+    const acked = report.ack && report.ack === command.id;
+    // confirmamos también si el estado reportado ya coincide con lo pedido (firmware sin ack explícito)
+    if (acked || (report.state && report.state === command.action)) {
+      command = Object.assign({}, command, { status: 'confirmed', ackAt: now });
+      fields.comando = command;
+    }
+  }
+  fields.mismatch = isMismatch(state.valvula, reported, command);
+  return fields;
+}
+
+// Lo que se le devuelve al Pico en la respuesta de /api/data
+function commandForDevice(state) {
+  const command = state.comando;
+  if (!command || command.status !== 'pending') return null;
+  return { id: command.id, action: command.action };
+}
+
+// deps: { db, getSections() -> lista de secciones activas, notify(event, data), ackTimeoutMs?, maxAttempts? }
+function createCommandTracker(deps) {
+  const { db, getSections, notify, ackTimeoutMs = ACK_TIMEOUT_MS, maxAttempts = MAX_ATTEMPTS } = deps;
+  let timer = null;
+
+  async function checkSection(section, state, now) {
+    const command = state.comando;
+    if (!command || command.status !== 'pending' || now - command.issuedAt < ackTimeoutMs) return;
+
+    let updated;
+    if (command.attempts >= maxAttempts) {
+      updated = Object.assign({}, command, { status: 'failed', failedAt: now });
+    } else {
+      // reintento: se vuelve a entregar en la próxima respuesta al Pico (y a quien escuche command-retry)
+      updated = Object.assign({}, command, { attempts: command.attempts + 1, issuedAt: now });
+    }
+    const fields = { comando: updated, mismatch: isMismatch(state.valvula, state.valvula_reportada, updated) };
+    await db.ref(`/vivero/secciones/${section}`).update(fields);
+    notify(updated.status === 'failed' ? 'command-update' : 'command-retry', { section, command: updated, mismatch: fields.mismatch });
+    if (updated.status === 'failed') console.warn(`comando ${command.id} (${section} -> ${command.action}) sin confirmación tras ${command.attempts} intentos`);
+  }
+
+  async function tick() {
+    try {
+      const now = Date.now();
+      const all = (await db.ref('/vivero/secciones').once('value')).val() || {};
+      for (const cfg of getSections()) {
+        if (all[cfg.id]) await checkSection(cfg.id, all[cfg.id], now);
+      }
+    } catch (err) {
+      console.error('command tracker tick error', err);
+    }
+  }
+
+  return {
+    start() {
+      timer = setInterval(tick, TICK_MS);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    tick
+  };
+}
+
+module.exports = {
+  ACK_TIMEOUT_MS,
+  MAX_ATTEMPTS,
+  newCommand,
+  extractReport,
+  applyReport,
+  isMismatch,
+  commandForDevice,
+  createCommandTracker
+};
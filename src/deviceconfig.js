@@ -0,0 +1,118 @@
+// src/deviceconfig.js
+// Configuración remota de los dispositivos (Pico): intervalos de muestreo, envío y heartbeat, y umbrales de
+// riego de respaldo (los que usa el Pico si pierde la conexión con el servidor). Se editan desde la UI y el
+// Pico los toma en su siguiente reporte, sin volver a flashear el firmware.
+// - Cada cambio incrementa `version`. El Pico pide el documento con GET /api/device/config (ETag
+//   "<id>-v<version>"; con If-None-Match responde 304) y además lo recibe como `config` en la respuesta de
+//   /api/data y del heartbeat mientras la versión que aplicó no sea la vigente.
+// - El Pico confirma la versión aplicada con `config_version` en sus lecturas / heartbeat o con
+//   POST /api/device/config/ack { version }.
+// Estructura en la DB: /vivero/dispositivos/<id>/config = { <campos>, version, updatedAt, updatedBy }
+//                      /vivero/dispositivos/<id>/configApplied = { version, at }
+// Sin configuración guardada rige DEFAULT_CONFIG con version 0 (lo que trae el firmware).
+
+// Campos que el Pico usa tal cual (nombres en snake_case como la telemetría)
+const DEFAULT_CONFIG = {
+  sample_interval_s: 60, // cada cuánto mide
+  report_interval_s: 300, // cada cuánto envía (las mediciones intermedias van en lote)
+  heartbeat_interval_s: 300, // heartbeat si no hay nada que enviar (ver src/health.js)
+  fallback_enabled: false, // riego local si no hay conexión con el servidor
+  fallback_soil_threshold: 350, // lectura cruda del sensor de suelo bajo la cual abre la válvula
+  fallback_max_open_min: 10 // tiempo máximo de riego local por vez
+};
+
+// Rangos permitidos por campo numérico [min, max]
+const LIMITS = {
+  sample_interval_s: [5, 3600],
+  report_interval_s: [10, 86400],
+  heartbeat_interval_s: [30, 3600],
+  fallback_soil_threshold: [0, 65535],
+  fallback_max_open_min: [1, 240]
+};
+
+const CONFIG_FIELDS = Object.keys(DEFAULT_CONFIG);
+
+// Valores vigentes (solo campos de configuración) a partir del nodo guardado
+function configValues(stored) {
+  const values = {};
+  CONFIG_FIELDS.forEach(f => { values[f] = stored && stored[f] !== undefined ? stored[f] : DEFAULT_CONFIG[f]; });
+  return values;
+}
+
+// Aplica un cambio parcial a la configuración actual. Devuelve { errors } o { config } (solo valores).
+function validateConfig(current, patch) {
+  const errors = [];
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return { errors: ['config must be a JSON object'] };
+  Object.keys(patch).filter(f => !CONFIG_FIELDS.includes(f)).forEach(f => errors.push(`unknown field: ${f}`));
+  const config = Object.assign(configValues(current), patch);
+  if (typeof config.fallback_enabled !== 'boolean') errors.push('fallback_enabled must be a boolean');
+  Object.keys(LIMITS).forEach(f => {
+    const [min, max] = LIMITS[f];
+    if (!Number.isInteger(config[f]) || config[f] < min || config[f] > max) errors.push(`${f} must be an integer between ${min} and ${max}`);
+  });
+  if (!errors.length && config.report_interval_s < config.sample_interval_s) {
+    errors.push('report_interval_s must be greater than or equal to sample_interval_s');
+  }
+  return errors.length ? { errors } : { config };
+}
+
+function etag(id, version) {
+  return `"${id}-v${version}"`;
+}
+
+// Documento que recibe el Pico: { version, config, updatedAt }
+function configDocument(device) {
+  const stored = device.config || {};
+  return { version: stored.version || 0, config: configValues(stored), updatedAt: stored.updatedAt || null };
+}
+
+// Documento a entregar junto a un reporte si el Pico no tiene la versión vigente (o null).
+// reportedVersion: config_version que mandó el Pico (si no la manda, se usa la última confirmada).
+function pendingConfig(device, reportedVersion) {
+  const doc = configDocument(device);
+  const applied = reportedVersion !== undefined ? reportedVersion : (device.configApplied || {}).version;
+  return doc.version > 0 && doc.version !== applied ? doc : null;
+}
+
+// deps: { devices (registro de src/devices.js) }
+function createConfigStore(deps) {
+  const { devices } = deps;
+
+  // Guarda un cambio (si cambia algo, con version + 1). Devuelve { errors } o { document, changed }.
+  async function update(id, patch, by) {
+    const device = devices.get(id);
+    const checked = validateConfig(device.config, patch);
+    if (checked.errors) return checked;
+    const current = configDocument(device);
+    if (CONFIG_FIELDS.every(f => checked.config[f] === current.config[f])) return { document: current, changed: false };
+    const config = Object.assign(checked.config, { version: current.version + 1, updatedAt: new Date().toISOString(), updatedBy: by });
+    return { document: configDocument(await devices.save(id, { config })), changed: true };
+  }
+
+  // Registra la versión que el Pico dice tener aplicada (solo si cambió)
+  async function acknowledge(id, version) {
+    const device = devices.get(id);
+    if (!device || (device.configApplied || {}).version === version) return;
+    await devices.save(id, { configApplied: { version, at: new Date().toISOString() } });
+  }
+
+  // Tras un reporte del Pico: confirma config_version (si vino) y devuelve el documento pendiente (o null)
+  async function sync(id, reportedVersion) {
+    if (reportedVersion !== undefined) {
+      await acknowledge(id, reportedVersion).catch(err => console.error('Error guardando versión de configuración', id, err));
+    }
+    const device = devices.get(id);
+    return device ? pendingConfig(device, reportedVersion) : null;
+  }
+
+  return {
+    document: id => configDocument(devices.get(id)),
+    update,
+    acknowledge,
+    sync
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG, LIMITS, CONFIG_FIELDS, configValues, validateConfig, etag, configDocument, pendingConfig, createConfigStore
+};
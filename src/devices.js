@@ -0,0 +1,125 @@
+// src/devices.js
+// Registro de dispositivos (Pico) con API key individual.
+// Estructura en la DB: /vivero/dispositivos/<id> = { name, sections: [...], keyHash, keyHint, createdAt,
+//                                                   revoked, revokedAt, rotatedAt, lastSeen, lastSection, lastIp }
+// (más status / firmware / diagnostics que mantiene src/health.js y config / configApplied de src/deviceconfig.js)
+// La key tiene la forma "<id>.<secreto>": el id permite ubicar el dispositivo y solo se guarda el hash
+// SHA-256 del secreto (la key completa se muestra una única vez al crearla o rotarla).
+
+const crypto = require('crypto');
+
+const DEVICES_ROOT = '/vivero/dispositivos';
+const ID_PATTERN = /^[a-zA-Z0-9_-]{2,40}$/;
+
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Genera una key nueva para el dispositivo: { key (mostrar una vez), keyHash, keyHint }
+function generateKey(id) {
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { key: `${id}.${secret}`, keyHash: hashSecret(secret), keyHint: secret.slice(-4) };
+}
+
+// Separa "<id>.<secreto>" (el id no contiene puntos)
+function parseKey(key) {
+  if (typeof key !== 'string') return null;
+  const i = key.indexOf('.');
+  if (i <= 0 || i === key.length - 1) return null;
+  return { id: key.slice(0, i), secret: key.slice(i + 1) };
+}
+
+// Compara el secreto con el hash guardado en tiempo constante
+function secretMatches(secret, keyHash) {
+  if (!keyHash) return false;
+  const a = Buffer.from(hashSecret(secret), 'hex');
+  const b = Buffer.from(keyHash, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Valida nombre y secciones permitidas. `sectionExists(id)` viene del registro de secciones.
+function validateDevice(device, sectionExists) {
+  const errors = [];
+  if (typeof device.name !== 'string' || !device.name.trim() || device.name.length > 60) errors.push('name must be a non-empty string (max 60)');
+  if (!Array.isArray(device.sections) || !device.sections.length) {
+    errors.push('sections must be a non-empty list');
+  } else {
+    device.sections.filter(s => !sectionExists(s)).forEach(s => errors.push(`unknown section: ${s}`));
+  }
+  return errors;
+}
+
+// Vista pública de un dispositivo (sin hash de la key)
+function publicDevice(id, stored) {
+  const d = Object.assign({ id }, stored);
+  delete d.keyHash;
+  return d;
+}
+
+// deps: { db }
+function createDeviceRegistry(deps) {
+  const { db } = deps;
+  const devices = {};
+
+  function start() {
+    db.ref(DEVICES_ROOT).on('value', snap => {
+      const stored = snap.val() || {};
+      Object.keys(devices).forEach(id => { if (!stored[id]) delete devices[id]; });
+      Object.keys(stored).forEach(id => { devices[id] = stored[id]; });
+    }, err => console.error('Error leyendo registro de dispositivos', err));
+  }
+
+  // Dispositivo dueño de la key, o null si no existe, está revocado o el secreto no coincide
+  function authenticate(key) {
+    const parsed = parseKey(key);
+    if (!parsed) return null;
+    const device = devices[parsed.id];
+    if (!device || device.revoked || !secretMatches(parsed.secret, device.keyHash)) return null;
+    return publicDevice(parsed.id, device);
+  }
+
+  function list() {
+    return Object.keys(devices).sort().map(id => publicDevice(id, devices[id]));
+  }
+
+  function get(id) {
+    return devices[id] ? publicDevice(id, devices[id]) : null;
+  }
+
+  async function save(id, fields) {
+    await db.ref(`${DEVICES_ROOT}/${id}`).update(fields);
+    devices[id] = Object.assign({}, devices[id], fields);
+    return publicDevice(id, devices[id]);
+  }
+
+  async function create(id, name, sections) {
+    const { key, keyHash, keyHint } = generateKey(id);
+    const device = await save(id, { name, sections, keyHash, keyHint, createdAt: new Date().toISOString(), revoked: false });
+    return { device, key };
+  }
+
+  async function rotate(id) {
+    const { key, keyHash, keyHint } = generateKey(id);
+    const device = await save(id, { keyHash, keyHint, rotatedAt: new Date().toISOString(), revoked: false, revokedAt: null });
+    return { device, key };
+  }
+
+  function revoke(id) {
+    return save(id, { revoked: true, revokedAt: new Date().toISOString() });
+  }
+
+  // Último contacto del dispositivo (no bloquea la respuesta al Pico si falla)
+  function touch(id, info) {
+    const fields = Object.assign({ lastSeen: new Date().toISOString() }, info);
+    if (devices[id]) Object.assign(devices[id], fields);
+    return db.ref(`${DEVICES_ROOT}/${id}`).update(fields).catch(err => console.error('Error guardando lastSeen', id, err));
+  }
+
+  return { start, authenticate, list, get, save, create, rotate, revoke, touch };
+}
+
+module.exports = { DEVICES_ROOT, isValidId, validateDevice, generateKey, parseKey, secretMatches, createDeviceRegistry };
@@ -0,0 +1,165 @@
+// src/et.js
+// Demanda de agua estimada por evapotranspiración (estrategia de riego automático 'et').
+// - ETo (evapotranspiración de referencia, mm/día) con FAO-56 Penman-Monteith diario a partir de las
+//   lecturas de las últimas 24 h del historial: Tmax / Tmin / Tmedia (temp), humedad relativa media
+//   (humedad_amb) y radiación solar a partir de luminosidad. Sin luminosidad la radiación se estima con la
+//   fórmula de Hargreaves (Tmax - Tmin); el viento, que no medimos, se toma como 2 m/s (FAO-56, cap. 3).
+// - ETc = ETo × Kc (cropCoefficient de la sección).
+// - El umbral de humedad de suelo se ajusta según la demanda: con ETc = ET_REFERENCE_MM queda igual; con más
+//   demanda se riega antes (umbral más alto) y con menos, después. El ajuste se limita a ±ET_MAX_ADJUST.
+// Requiere la latitud del vivero (SITE_LATITUDE, grados, negativa al sur) y opcionalmente su altitud
+// (SITE_ELEVATION, m). Si no hay datos suficientes la sección sigue con su umbral fijo.
+
+const history = require('./history');
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+const CACHE_MS = 15 * 60 * 1000;
+// mínimo de datos para que Tmax - Tmin represente un día: lecturas que cubran al menos 12 h
+const MIN_READINGS = 6;
+const MIN_SPAN_MS = 12 * 60 * 60 * 1000;
+// ETc (mm/día) con la que el umbral no cambia (por defecto; el servidor la toma de ET_REFERENCE_MM)
+const ET_REFERENCE_MM = 5;
+const ET_MAX_ADJUST = 0.25;
+const DEFAULT_WIND_MS = 2;
+// luz solar: ~120 lux por W/m² de radiación global (aproximación; depende del espectro)
+const LUX_PER_WM2 = 120;
+const SOLAR_CONSTANT = 0.082; // MJ m-2 min-1
+const STEFAN_BOLTZMANN = 4.903e-9; // MJ K-4 m-2 día-1
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function numbers(rows, field) {
+  return rows.map(r => r[field]).filter(v => typeof v === 'number' && Number.isFinite(v));
+}
+
+// Resumen diario de las lecturas del historial, o null si no alcanzan para estimar
+function dailyWeather(rows) {
+  const temps = numbers(rows, 'temp');
+  if (temps.length < MIN_READINGS) return null;
+  const span = rows[rows.length - 1].ts - rows[0].ts;
+  if (span < MIN_SPAN_MS) return null;
+  const rh = numbers(rows, 'humedad_amb');
+  const lux = numbers(rows, 'luminosidad');
+  return {
+    tmax: Math.max(...temps),
+    tmin: Math.min(...temps),
+    tmean: mean(temps),
+    rhMean: rh.length ? mean(rh) : null,
+    // radiación media del día (MJ m-2 día-1) si hay luminosidad suficiente
+    rs: lux.length >= MIN_READINGS ? mean(lux) / LUX_PER_WM2 * 0.0864 : null,
+    readings: rows.length
+  };
+}
+
+function dayOfYear(date) {
+  return Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000);
+}
+
+// Radiación extraterrestre Ra (MJ m-2 día-1), FAO-56 ec. 21
+function extraterrestrialRadiation(latitude, date) {
+  const phi = latitude * Math.PI / 180;
+  const j = dayOfYear(date);
+  const dr = 1 + 0.033 * Math.cos(2 * Math.PI / 365 * j);
+  const delta = 0.409 * Math.sin(2 * Math.PI / 365 * j - 1.39);
+  const ws = Math.acos(Math.min(1, Math.max(-1, -Math.tan(phi) * Math.tan(delta))));
+  return 24 * 60 / Math.PI * SOLAR_CONSTANT * dr *
+    (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws));
+}
+
+// Presión de vapor de saturación (kPa) a la temperatura t (°C), FAO-56 ec. 11
+function saturationVaporPressure(t) {
+  return 0.6108 * Math.exp(17.27 * t / (t + 237.3));
+}
+
+// ETo (mm/día) con FAO-56 Penman-Monteith. site: { latitude, elevation }
+function referenceEt(weather, site, date = new Date()) {
+  const { tmax, tmin, tmean } = weather;
+  const elevation = site.elevation || 0;
+  const ra = extraterrestrialRadiation(site.latitude, date);
+  const rso = (0.75 + 2e-5 * elevation) * ra;
+  // sin luminosidad: Rs de Hargreaves (krs = 0.16, zona interior)
+  const rs = Math.min(weather.rs !== null ? weather.rs : 0.16 * Math.sqrt(Math.max(0, tmax - tmin)) * ra, rso);
+
+  const es = (saturationVaporPressure(tmax) + saturationVaporPressure(tmin)) / 2;
+  // sin humedad ambiente: ea ≈ e°(Tmin) (FAO-56 ec. 48)
+  const ea = weather.rhMean !== null ? es * weather.rhMean / 100 : saturationVaporPressure(tmin);
+  const slope = 4098 * saturationVaporPressure(tmean) / Math.pow(tmean + 237.3, 2);
+  const pressure = 101.3 * Math.pow((293 - 0.0065 * elevation) / 293, 5.26);
+  const gamma = 0.000665 * pressure;
+
+  const rns = 0.77 * rs;
+  const cloudFactor = rso > 0 ? 1.35 * Math.min(1, rs / rso) - 0.35 : 0;
+  const rnl = STEFAN_BOLTZMANN * (Math.pow(tmax + 273.16, 4) + Math.pow(tmin + 273.16, 4)) / 2 *
+    (0.34 - 0.14 * Math.sqrt(Math.max(0, ea))) * cloudFactor;
+  const rn = rns - rnl;
+
+  const u2 = DEFAULT_WIND_MS;
+  const eto = (0.408 * slope * rn + gamma * 900 / (tmean + 273) * u2 * Math.max(0, es - ea)) /
+    (slope + gamma * (1 + 0.34 * u2));
+  return Math.max(0, eto);
+}
+
+// Umbral de suelo ajustado a la demanda (misma unidad que cfg.soilThreshold)
+function adjustedThreshold(cfg, etc, referenceMm = ET_REFERENCE_MM) {
+  const factor = Math.min(1 + ET_MAX_ADJUST, Math.max(1 - ET_MAX_ADJUST, etc / referenceMm));
+  const max = cfg.soilUnit === 'pct' ? 100 : 65535;
+  return Math.min(max, Math.round(cfg.soilThreshold * factor * 10) / 10);
+}
+
+function demandLabel(etc, referenceMm) {
+  if (etc >= referenceMm * 1.1) return 'alta';
+  if (etc <= referenceMm * 0.9) return 'baja';
+  return 'normal';
+}
+
+// Estimación de demanda para una sección a partir de su historial: { eto, etc, kc, threshold, text },
+// o { error, text } si no se puede estimar (la sección usa entonces su umbral fijo)
+function estimateDemand(cfg, rows, site, now = Date.now(), referenceMm = ET_REFERENCE_MM) {
+  if (!Number.isFinite(site.latitude)) {
+    return { error: 'no_latitude', text: 'ET: falta configurar SITE_LATITUDE, se usa el umbral fijo.' };
+  }
+  const weather = dailyWeather(rows);
+  if (!weather) {
+    return { error: 'insufficient_data', text: 'ET: faltan lecturas de temperatura de las últimas 24 h, se usa el umbral fijo.' };
+  }
+  const kc = cfg.cropCoefficient;
+  const eto = Math.round(referenceEt(weather, site, new Date(now)) * 10) / 10;
+  const etc = Math.round(eto * kc * 10) / 10;
+  const threshold = adjustedThreshold(cfg, etc, referenceMm);
+  const text = `ET: ETo ${eto} mm/día × Kc ${kc} = ETc ${etc} mm/día (demanda ${demandLabel(etc, referenceMm)}); ` +
+    `umbral de suelo ${cfg.soilThreshold} -> ${threshold}.`;
+  return { eto, etc, kc, threshold, radiation: weather.rs !== null ? 'luminosidad' : 'hargreaves', text };
+}
+
+// deps: { db, site: { latitude, elevation }, referenceMm? }
+// demand(cfg) guarda la estimación de cada sección CACHE_MS para no leer el historial en cada lectura.
+function createEtEstimator(deps) {
+  const { db, site, referenceMm = ET_REFERENCE_MM } = deps;
+  const cache = {};
+
+  async function demand(cfg, now = Date.now()) {
+    // un cambio de Kc / umbral en la configuración invalida la estimación guardada
+    const key = `${cfg.cropCoefficient}|${cfg.soilThreshold}|${cfg.soilUnit}`;
+    const cached = cache[cfg.id];
+    if (cached && cached.key === key && now - cached.at < CACHE_MS) return cached.result;
+    const rows = await history.queryRange(db, cfg.id, now - WINDOW_MS, now);
+    const result = estimateDemand(cfg, rows, site, now, referenceMm);
+    cache[cfg.id] = { at: now, key, result };
+    return result;
+  }
+
+  return { demand };
+}
+
+module.exports = {
+  ET_REFERENCE_MM,
+  ET_MAX_ADJUST,
+  dailyWeather,
+  extraterrestrialRadiation,
+  referenceEt,
+  adjustedThreshold,
+  estimateDemand,
+  createEtEstimator
+};
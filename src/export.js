@@ -0,0 +1,131 @@
+// src/export.js
+// Exportación de reportes (CSV / JSON) en streaming: se escribe fila a fila en la respuesta HTTP
+// a medida que se leen páginas del historial, así un mes de datos no queda completo en memoria.
+
+const history = require('./history');
+
+const EVENT_COLUMNS = ['valvula', 'previous', 'reason', 'source'];
+
+// Escapa un valor para CSV (comillas dobles si contiene separador, comillas o saltos de línea)
+function csvValue(v) {
+  if (v === undefined || v === null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return values.map(csvValue).join(',') + '\n';
+}
+
+// Columnas CSV según tipo de exportación y agregación
+function columnsFor(type, fields, bucketMs) {
+  if (type === 'events') return ['section', 'ts', ...EVENT_COLUMNS];
+  if (!bucketMs) return ['section', 'ts', 'device_id', ...fields];
+  const cols = ['section', 'ts', 'count'];
+  fields.forEach(f => cols.push(`${f}_min`, `${f}_avg`, `${f}_max`));
+  return cols;
+}
+
+// Aplana una fila (lectura cruda, bucket agregado o evento) al orden de `columns`
+function flattenRow(section, row, columns) {
+  const flat = { section, ts: new Date(row.ts).toISOString() };
+  Object.keys(row).forEach(k => {
+    if (k === 'ts') return;
+    const v = row[k];
+    if (v && typeof v === 'object') {
+      flat[`${k}_min`] = v.min;
+      flat[`${k}_avg`] = v.avg;
+      flat[`${k}_max`] = v.max;
+    } else {
+      flat[k] = v;
+    }
+  });
+  return columns.map(c => flat[c]);
+}
+
+// Genera las filas de una sección: crudas, eventos o agregadas por bucket (los datos vienen ordenados por ts)
+async function* sectionRows(db, opts, section) {
+  const { type, from, to, fields, bucketMs } = opts;
+  const root = type === 'events' ? history.EVENTS_ROOT : history.HISTORY_ROOT;
+  const rows = history.iterateRange(db, root, section, from, to);
+
+  if (type === 'events') {
+    for await (const r of rows) yield r;
+    return;
+  }
+  if (!bucketMs) {
+    for await (const r of rows) yield history.projectRaw([r], fields)[0];
+    return;
+  }
+
+  let bucket = null;
+  for await (const r of rows) {
+    const start = Math.floor(r.ts / bucketMs) * bucketMs;
+    if (bucket && bucket.ts !== start) {
+      yield history.finishBucket(bucket, fields);
+      bucket = null;
+    }
+    if (!bucket) bucket = history.newBucket(start);
+    history.addToBucket(bucket, r, fields);
+  }
+  if (bucket) yield history.finishBucket(bucket, fields);
+}
+
+// Espera 'drain' o el cierre de la respuesta: si el cliente se va con el buffer lleno, 'drain' no llega nunca
+function drainOrClose(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
+}
+
+// Escribe respetando backpressure; devuelve false si el cliente cerró la conexión (el llamador corta el
+// recorrido y así se cierra también el iterador de páginas del historial)
+async function write(res, chunk) {
+  if (res.destroyed) return false;
+  if (!res.write(chunk) && !res.destroyed) await drainOrClose(res);
+  return !res.destroyed;
+}
+
+// Escribe la exportación completa en `res`.
+// opts: { type: 'readings'|'events', format: 'csv'|'json', sections, from, to, fields, bucketMs }
+async function streamExport(db, res, opts) {
+  const { type, format, sections, fields, bucketMs } = opts;
+  const stamp = new Date().toISOString().slice(0, 10);
+  const filename = `vivero-${type}-${stamp}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    const columns = columnsFor(type, fields, bucketMs);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    if (!await write(res, csvLine(columns))) return;
+    for (const section of sections) {
+      for await (const row of sectionRows(db, opts, section)) {
+        if (!await write(res, csvLine(flattenRow(section, row, columns)))) return;
+      }
+    }
+    return res.end();
+  }
+
+  // JSON: arreglo de objetos { section, ...fila } escrito incrementalmente
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  if (!await write(res, '[')) return;
+  let first = true;
+  for (const section of sections) {
+    for await (const row of sectionRows(db, opts, section)) {
+      const item = Object.assign({ section }, row, { ts: new Date(row.ts).toISOString() });
+      if (!await write(res, (first ? '\n' : ',\n') + JSON.stringify(item))) return;
+      first = false;
+    }
+  }
+  return res.end('\n]\n');
+}
+
+module.exports = { streamExport, columnsFor, csvLine };
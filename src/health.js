@@ -0,0 +1,121 @@
+// src/health.js
+// Salud de los dispositivos (Pico): online / offline según el último contacto, más sus diagnósticos.
+// - Cada lectura, lote, ack o heartbeat (POST /api/device/heartbeat) de un dispositivo con key propia cuenta
+//   como contacto (lastSeen). Si trae diagnósticos (uptime_s, rssi, free_mem, firmware, vcc; ver
+//   DIAGNOSTIC_SCHEMA en src/telemetry.js) se guardan en el dispositivo como el último reporte.
+// - Sin contacto hace más de offlineMin minutos (DEVICE_OFFLINE_MIN, default 15) el dispositivo pasa a
+//   'offline'; vuelve a 'online' con el siguiente contacto. Los nunca vistos quedan 'unknown' y los revocados
+//   no se revisan.
+// - Cada transición se guarda en el dispositivo y se avisa con 'device-status'
+//   { id, name, status, previous, lastSeen, at } (a todos los clientes: no es de una sección).
+// Estructura en la DB (además de lo de src/devices.js): /vivero/dispositivos/<id> = { ..., status,
+//   statusChangedAt, firmware, diagnostics: { uptime_s, rssi, free_mem, firmware, vcc, at } }
+
+const TICK_MS = 30 * 1000;
+// valor por defecto de offlineMin (el servidor lo toma de DEVICE_OFFLINE_MIN)
+const OFFLINE_MIN = 15;
+
+// Estado de un dispositivo en `now` según su último contacto: 'online', 'offline' o 'unknown' (nunca visto)
+function deviceStatus(device, now, offlineMin = OFFLINE_MIN) {
+  const lastSeen = Date.parse(device.lastSeen || '');
+  if (!Number.isFinite(lastSeen)) return 'unknown';
+  return now - lastSeen > offlineMin * 60000 ? 'offline' : 'online';
+}
+
+// Vista de salud de un dispositivo (GET /api/devices/health); el estado se calcula al momento
+function healthView(device, now, offlineMin = OFFLINE_MIN) {
+  return {
+    id: device.id,
+    name: device.name,
+    sections: device.sections || [],
+    revoked: !!device.revoked,
+    status: device.revoked ? 'revoked' : deviceStatus(device, now, offlineMin),
+    statusChangedAt: device.statusChangedAt || null,
+    lastSeen: device.lastSeen || null,
+    lastSection: device.lastSection || null,
+    lastIp: device.lastIp || null,
+    firmware: device.firmware || null,
+    diagnostics: device.diagnostics || null,
+    // configuración remota vigente y la que el dispositivo confirmó (ver src/deviceconfig.js)
+    configVersion: (device.config || {}).version || 0,
+    configApplied: device.configApplied ? device.configApplied.version : null
+  };
+}
+
+// deps: { devices (registro de src/devices.js), notify(event, data), offlineMin? }
+function createHealthMonitor(deps) {
+  const { devices, notify, offlineMin = OFFLINE_MIN } = deps;
+  let timer = null;
+  let ticking = false;
+
+  function announce(device, status, previous, now) {
+    notify('device-status', {
+      id: device.id, name: device.name, status, previous, lastSeen: device.lastSeen || null, at: new Date(now).toISOString()
+    });
+  }
+
+  // Contacto de un dispositivo con key propia. info: { lastSection?, lastIp? };
+  // diagnostics: campos de diagnóstico reportados (o null); at: hora del reporte (ms, por defecto ahora)
+  function seen(id, info, diagnostics, at = Date.now()) {
+    const device = devices.get(id);
+    if (!device) return;
+    const now = Date.now();
+    const fields = Object.assign({}, info);
+    if (diagnostics) {
+      fields.diagnostics = Object.assign({}, diagnostics, { at: new Date(at).toISOString() });
+      if (diagnostics.firmware) fields.firmware = diagnostics.firmware;
+    }
+    const previous = device.status || 'unknown';
+    if (previous !== 'online') Object.assign(fields, { status: 'online', statusChangedAt: new Date(now).toISOString() });
+    devices.touch(id, fields);
+    if (previous !== 'online') announce(devices.get(id), 'online', previous, now);
+  }
+
+  // Marca offline a los dispositivos sin contacto reciente (y corrige estados guardados que ya no valen)
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      for (const device of devices.list()) {
+        if (device.revoked) continue;
+        const status = deviceStatus(device, now, offlineMin);
+        const previous = device.status || 'unknown';
+        if (status === previous) continue;
+        try {
+          const saved = await devices.save(device.id, { status, statusChangedAt: new Date(now).toISOString() });
+          if (status === 'offline') console.warn(`dispositivo ${device.id} sin contacto desde ${device.lastSeen}`);
+          announce(saved, status, previous, now);
+        } catch (err) {
+          console.error('Error guardando estado del dispositivo', device.id, err);
+        }
+      }
+    } catch (err) {
+      console.error('health tick error', err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function list() {
+    const now = Date.now();
+    return devices.list().map(d => healthView(d, now, offlineMin));
+  }
+
+  return {
+    offlineMin,
+    start() {
+      timer = setInterval(tick, TICK_MS);
+      tick();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    tick,
+    seen,
+    list
+  };
+}
+
+module.exports = { TICK_MS, OFFLINE_MIN, deviceStatus, healthView, createHealthMonitor };
@@ -0,0 +1,181 @@
+// src/history.js
+// Historial de lecturas por sección: guardado append-only y consultas por rango de tiempo.
+// Estructura en la DB:
+//   /vivero/historial/<section>/<pushId> = { ts, device_id, humedad_suelo (crudo), humedad_suelo_pct (calibrado), ... }
+//   /vivero/eventos/<section>/<pushId>   = { ts, valvula, previous, reason, source }  (cambios de válvula)
+// Nota: para que las consultas por rango sean eficientes, añade en las reglas de Firebase:
+//   "vivero": { "historial": { "$section": { ".indexOn": ["ts"] } },
+//               "eventos":   { "$section": { ".indexOn": ["ts"] } } }
+
+const HISTORY_ROOT = '/vivero/historial';
+const EVENTS_ROOT = '/vivero/eventos';
+
+// Campos numéricos que se guardan en el historial y pueden agregarse
+const HISTORY_FIELDS = ['humedad_suelo', 'humedad_suelo_pct', 'temp', 'humedad_amb', 'luminosidad'];
+
+// Rango por defecto si no se indica `from`: últimas 24 horas
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Convierte un parámetro de tiempo (ISO, 'YYYY-MM-DD' o epoch en ms) a ms. Devuelve null si no es válido.
+function parseTimeParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+// Convierte `resolution` ('raw', '15m', '1h', '1d', ...) a ms de bucket. 0 = sin agregación.
+// Devuelve null si el formato no es válido.
+function parseResolution(value) {
+  if (!value || value === 'raw') return 0;
+  const m = /^(\d+)([smhd])$/.exec(String(value));
+  if (!m || Number(m[1]) <= 0) return null;
+  return Number(m[1]) * UNIT_MS[m[2]];
+}
+
+// Filtra la lista `fields` de la query (coma-separada) contra los campos conocidos
+function parseFields(value) {
+  if (!value) return HISTORY_FIELDS.slice();
+  const requested = String(value).split(',').map(f => f.trim()).filter(Boolean);
+  return requested.filter(f => HISTORY_FIELDS.includes(f));
+}
+
+// Construye la entrada de historial a partir del payload recibido del Pico
+function buildEntry(payload, ts) {
+  const entry = { ts, device_id: payload.device_id || null };
+  HISTORY_FIELDS.forEach(f => {
+    if (payload[f] !== undefined && payload[f] !== null) entry[f] = payload[f];
+  });
+  // estado de la válvula reportado por el dispositivo en esta lectura (si lo informó)
+  const valvula = [payload.valvula_reportada, payload.valvula_estado, payload.valvula].find(v => v !== undefined);
+  if (valvula !== undefined) entry.valvula = valvula;
+  return entry;
+}
+
+// Agrega una lectura al historial de la sección
+function appendReading(db, section, payload, ts = Date.now()) {
+  return db.ref(`${HISTORY_ROOT}/${section}`).push(buildEntry(payload, ts));
+}
+
+// Agrega una lectura con key determinística (`key` = dispositivo + secuencia + hora del dispositivo).
+// Si ya existe no se escribe: reintentos de un mismo lote no duplican el historial.
+// Devuelve true si se guardó, false si era un duplicado.
+async function appendReadingOnce(db, section, key, payload, ts) {
+  const entry = buildEntry(payload, ts);
+  const result = await db.ref(`${HISTORY_ROOT}/${section}/${key}`).transaction(current => (current === null ? entry : undefined));
+  return result.committed;
+}
+
+// Registra un cambio de estado de válvula (evento) para la sección
+function appendValveEvent(db, section, event, ts = Date.now()) {
+  return db.ref(`${EVENTS_ROOT}/${section}`).push(Object.assign({ ts }, event));
+}
+
+// Recorre un nodo ordenado por ts entre `from` y `to` en páginas de `pageSize`,
+// para no cargar en memoria rangos grandes (ej. exportar un mes completo).
+async function* iterateRange(db, root, section, from, to, pageSize = 500) {
+  const ref = db.ref(`${root}/${section}`).orderByChild('ts');
+  let cursor = null; // { ts, key } del último hijo entregado
+  while (true) {
+    const query = cursor
+      ? ref.startAt(cursor.ts, cursor.key).endAt(to).limitToFirst(pageSize + 1)
+      : ref.startAt(from).endAt(to).limitToFirst(pageSize);
+    const snap = await query.once('value');
+    const page = [];
+    snap.forEach(child => {
+      if (cursor && child.key === cursor.key) return;
+      page.push({ key: child.key, val: child.val() });
+    });
+    for (const item of page) yield item.val;
+    if (page.length < pageSize) return;
+    const last = page[page.length - 1];
+    cursor = { ts: last.val.ts, key: last.key };
+  }
+}
+
+// Lee las lecturas de una sección entre `from` y `to` (ms, inclusive), ordenadas por ts
+async function queryRange(db, section, from, to) {
+  const snap = await db.ref(`${HISTORY_ROOT}/${section}`)
+    .orderByChild('ts').startAt(from).endAt(to)
+    .once('value');
+  const rows = [];
+  snap.forEach(child => { rows.push(child.val()); });
+  rows.sort((a, b) => a.ts - b.ts);
+  return rows;
+}
+
+// Reduce lecturas crudas a las columnas pedidas
+function projectRaw(rows, fields) {
+  return rows.map(r => {
+    const point = { ts: r.ts, device_id: r.device_id ?? null };
+    fields.forEach(f => { point[f] = r[f] ?? null; });
+    return point;
+  });
+}
+
+// Acumuladores de bucket (min/avg/max por campo); se usan tanto en memoria como en streaming
+function newBucket(start) {
+  return { ts: start, count: 0, acc: {} };
+}
+
+function addToBucket(b, r, fields) {
+  b.count++;
+  fields.forEach(f => {
+    const v = Number(r[f]);
+    if (r[f] === undefined || r[f] === null || Number.isNaN(v)) return;
+    const a = b.acc[f] || (b.acc[f] = { min: v, max: v, sum: 0, n: 0 });
+    if (v < a.min) a.min = v;
+    if (v > a.max) a.max = v;
+    a.sum += v;
+    a.n++;
+  });
+}
+
+function finishBucket(b, fields) {
+  const point = { ts: b.ts, count: b.count };
+  fields.forEach(f => {
+    const a = b.acc[f];
+    point[f] = a ? { min: a.min, avg: Number((a.sum / a.n).toFixed(2)), max: a.max } : null;
+  });
+  return point;
+}
+
+// Agrupa lecturas en buckets de `bucketMs` y calcula min/avg/max por campo
+function bucketize(rows, fields, bucketMs) {
+  const buckets = new Map();
+  rows.forEach(r => {
+    const start = Math.floor(r.ts / bucketMs) * bucketMs;
+    let b = buckets.get(start);
+    if (!b) {
+      b = newBucket(start);
+      buckets.set(start, b);
+    }
+    addToBucket(b, r, fields);
+  });
+
+  return Array.from(buckets.values())
+    .sort((a, b) => a.ts - b.ts)
+    .map(b => finishBucket(b, fields));
+}
+
+module.exports = {
+  HISTORY_ROOT,
+  EVENTS_ROOT,
+  HISTORY_FIELDS,
+  DEFAULT_RANGE_MS,
+  parseTimeParam,
+  parseResolution,
+  parseFields,
+  appendReading,
+  appendReadingOnce,
+  appendValveEvent,
+  iterateRange,
+  queryRange,
+  projectRaw,
+  newBucket,
+  addToBucket,
+  finishBucket,
+  bucketize
+};
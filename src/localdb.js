@@ -0,0 +1,341 @@
+// src/localdb.js
+// Base de datos local con la misma interfaz (el subconjunto que usamos) que admin.database() de Firebase,
+// para desarrollo sin conexión y pruebas automatizadas (STORAGE_BACKEND=memory|file, ver src/storage.js).
+// Implementa:
+// - db.ref(path): set, update (claves con '/' y null para borrar), push (ids cronológicos como Firebase),
+//   remove, transaction, once('value'), on('value', cb, errCb) / off('value'), .key;
+// - consultas: orderByChild / orderByKey + startAt / endAt / equalTo (con clave para desempatar) y
+//   limitToFirst / limitToLast, con el mismo orden que Firebase (null < false < true < números < textos < objetos);
+// - snapshots: key, val() (con arrays como Firebase), exists(), forEach, child, numChildren.
+// Igual que Firebase, no guarda null ni objetos vacíos y rechaza valores undefined.
+// Con `file` el árbol se carga al crear la base y se guarda en JSON (escritura atómica) tras cada cambio.
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY_MS = 200;
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+function splitPath(p) {
+  return String(p || '').split('/').filter(Boolean);
+}
+
+function clone(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Valor tal como lo guardaría Firebase: sin null ni objetos vacíos (undefined es un error)
+function normalize(value, where) {
+  if (value === undefined) throw new Error(`value argument contains undefined in property '${where}'`);
+  if (value === null || typeof value !== 'object') {
+    if (typeof value === 'number' && !Number.isFinite(value)) throw new Error(`value argument contains an invalid number in property '${where}'`);
+    return value;
+  }
+  const out = {};
+  Object.keys(value).forEach(k => {
+    const v = normalize(value[k], `${where}.${k}`);
+    if (v !== null) out[k] = v;
+  });
+  return Object.keys(out).length ? out : null;
+}
+
+// Valor que entrega snapshot.val(): copia nueva y, como Firebase, los objetos cuyas claves son todas
+// índices (0, 1, 2...) con mayoría de posiciones ocupadas vuelven como arrays (al guardar se guardan como objeto)
+function exportVal(value) {
+  if (value === null || typeof value !== 'object') return value;
+  const keys = Object.keys(value);
+  const indexes = keys.every(k => /^(0|[1-9]\d*)$/.test(k)) ? keys.map(Number) : null;
+  if (indexes && Math.max(...indexes) < 2 * keys.length) {
+    const out = [];
+    keys.forEach(k => { out[Number(k)] = exportVal(value[k]); });
+    return out;
+  }
+  const out = {};
+  keys.forEach(k => { out[k] = exportVal(value[k]); });
+  return out;
+}
+
+// Ids de push() de Firebase: 8 caracteres de tiempo + 12 aleatorios (incrementales en el mismo ms),
+// así el orden por clave es el orden de creación
+let lastPushTime = 0;
+const lastRandChars = [];
+function pushId(now = Date.now()) {
+  const duplicateTime = now === lastPushTime;
+  lastPushTime = now;
+  let id = '';
+  for (let i = 0; i < 8; i++) {
+    id = PUSH_CHARS.charAt(now % 64) + id;
+    now = Math.floor(now / 64);
+  }
+  if (!duplicateTime) {
+    for (let i = 0; i < 12; i++) lastRandChars[i] = Math.floor(Math.random() * 64);
+  } else {
+    let i = 11;
+    for (; i >= 0 && lastRandChars[i] === 63; i--) lastRandChars[i] = 0;
+    lastRandChars[i]++;
+  }
+  for (let i = 0; i < 12; i++) id += PUSH_CHARS.charAt(lastRandChars[i]);
+  return id;
+}
+
+// Orden de claves de Firebase: las enteras primero (numéricamente), luego texto
+function compareKeys(a, b) {
+  const ia = /^-?\d{1,10}$/.test(a);
+  const ib = /^-?\d{1,10}$/.test(b);
+  if (ia && ib) return Number(a) - Number(b) || (a < b ? -1 : a > b ? 1 : 0);
+  if (ia !== ib) return ia ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function typeRank(v) {
+  if (v === null || v === undefined) return 0;
+  if (v === false) return 1;
+  if (v === true) return 2;
+  if (typeof v === 'number') return 3;
+  if (typeof v === 'string') return 4;
+  return 5;
+}
+
+// Orden de valores de orderByChild (los objetos solo se ordenan por clave)
+function compareValues(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 3) return a - b;
+  if (ra === 4) return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+}
+
+function childAt(value, parts) {
+  let node = value;
+  for (const p of parts) {
+    if (node === null || typeof node !== 'object' || !(p in node)) return null;
+    node = node[p];
+  }
+  return node === undefined ? null : node;
+}
+
+// Snapshot inmutable: copia el valor al crearse (las escrituras siguientes no lo cambian)
+function createSnapshot(key, value, order) {
+  return snapshotOf(key, clone(value), order);
+}
+
+function snapshotOf(key, value, order) {
+  const keys = value !== null && typeof value === 'object'
+    ? (order || Object.keys(value).sort(compareKeys))
+    : [];
+  return {
+    key,
+    val: () => exportVal(value),
+    exists: () => value !== null,
+    numChildren: () => keys.length,
+    hasChild: child => childAt(value, splitPath(child)) !== null,
+    child: child => {
+      const parts = splitPath(child);
+      return snapshotOf(parts[parts.length - 1] || key, childAt(value, parts));
+    },
+    // como en Firebase: devolver true desde fn corta la iteración
+    forEach: fn => keys.some(k => fn(snapshotOf(k, value[k])) === true)
+  };
+}
+
+// options: { file } para persistir en disco; sin file es solo memoria
+function createLocalDatabase(options = {}) {
+  const file = options.file ? path.resolve(options.file) : null;
+  let root = null;
+  let saveTimer = null;
+  const listeners = []; // { path: [partes], cb, errCb }
+
+  if (file && fs.existsSync(file)) {
+    const text = fs.readFileSync(file, 'utf8');
+    root = text.trim() ? normalize(JSON.parse(text), '') : null;
+  }
+
+  function read(parts) {
+    return childAt(root, parts);
+  }
+
+  // Escribe `value` (ya normalizado) en parts, creando / limpiando los objetos intermedios
+  function write(parts, value) {
+    if (!parts.length) {
+      root = value;
+      return;
+    }
+    if (root === null || typeof root !== 'object') root = {};
+    const stack = [root];
+    let node = root;
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (node[parts[i]] === null || typeof node[parts[i]] !== 'object') node[parts[i]] = {};
+      node = node[parts[i]];
+      stack.push(node);
+    }
+    const last = parts[parts.length - 1];
+    if (value === null) delete node[last];
+    else node[last] = value;
+    // quitar los padres que quedaron vacíos
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (Object.keys(stack[i]).length) break;
+      delete stack[i - 1][parts[i - 1]];
+    }
+    if (!Object.keys(root).length) root = null;
+  }
+
+  function save() {
+    saveTimer = null;
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(root || {}));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error('Error guardando base local', file, err);
+    }
+  }
+
+  function scheduleSave() {
+    if (file && !saveTimer) saveTimer = setTimeout(save, SAVE_DELAY_MS);
+  }
+
+  function isRelated(a, b) {
+    const n = Math.min(a.length, b.length);
+    for (let i = 0; i < n; i++) if (a[i] !== b[i]) return false;
+    return true;
+  }
+
+  // Avisa a los listeners de 'value' de las rutas afectadas (ancestros, la misma o descendientes)
+  function changed(paths) {
+    scheduleSave();
+    listeners
+      .filter(l => paths.some(p => isRelated(l.path, p)))
+      .forEach(l => {
+        try {
+          l.cb(createSnapshot(l.path[l.path.length - 1] || null, read(l.path)));
+        } catch (err) {
+          console.error('Error en listener de base local', '/' + l.path.join('/'), err);
+        }
+      });
+  }
+
+  function createQuery(parts, spec) {
+    const key = parts.length ? parts[parts.length - 1] : null;
+
+    function sortValue(k, v) {
+      return spec.orderBy === 'key' ? k : childAt(v, splitPath(spec.orderBy));
+    }
+
+    // compara el hijo (k, v) con un límite { value, key } de startAt / endAt
+    function compareToBound(k, v, bound) {
+      if (spec.orderBy === 'key') return compareKeys(k, String(bound.value));
+      const c = compareValues(sortValue(k, v), bound.value);
+      if (c !== 0 || bound.key === undefined) return c;
+      return compareKeys(k, String(bound.key));
+    }
+
+    function evaluate() {
+      const value = read(parts);
+      if (!spec.orderBy || value === null || typeof value !== 'object') return createSnapshot(key, value);
+      let keys = Object.keys(value).sort((a, b) => {
+        const c = spec.orderBy === 'key' ? 0 : compareValues(sortValue(a, value[a]), sortValue(b, value[b]));
+        return c || compareKeys(a, b);
+      });
+      if (spec.start) keys = keys.filter(k => compareToBound(k, value[k], spec.start) >= 0);
+      if (spec.end) keys = keys.filter(k => compareToBound(k, value[k], spec.end) <= 0);
+      if (spec.limitFirst !== undefined) keys = keys.slice(0, spec.limitFirst);
+      if (spec.limitLast !== undefined) keys = keys.slice(Math.max(0, keys.length - spec.limitLast));
+      const selected = {};
+      keys.forEach(k => { selected[k] = value[k]; });
+      return createSnapshot(key, keys.length ? selected : null, keys);
+    }
+
+    function refine(extra) {
+      return createQuery(parts, Object.assign({}, spec, extra));
+    }
+
+    return {
+      orderByChild: child => refine({ orderBy: child }),
+      orderByKey: () => refine({ orderBy: 'key' }),
+      startAt: (value, k) => refine({ start: { value, key: k } }),
+      endAt: (value, k) => refine({ end: { value, key: k } }),
+      equalTo: (value, k) => refine({ start: { value, key: k }, end: { value, key: k } }),
+      limitToFirst: n => refine({ limitFirst: n }),
+      limitToLast: n => refine({ limitLast: n }),
+      once: async (event = 'value') => {
+        if (event !== 'value') throw new Error(`local database: only 'value' events are supported (got '${event}')`);
+        return evaluate();
+      },
+      on: (event, cb, errCb) => {
+        if (event !== 'value') throw new Error(`local database: only 'value' events are supported (got '${event}')`);
+        if (spec.orderBy) throw new Error('local database: listeners on queries are not supported');
+        listeners.push({ path: parts, cb, errCb });
+        // como Firebase, el valor inicial llega de forma asíncrona
+        setImmediate(() => {
+          try {
+            cb(evaluate());
+          } catch (err) {
+            console.error('Error en listener de base local', '/' + parts.join('/'), err);
+          }
+        });
+        return cb;
+      },
+      off: (event, cb) => {
+        for (let i = listeners.length - 1; i >= 0; i--) {
+          const l = listeners[i];
+          if (l.path.join('/') === parts.join('/') && (!cb || l.cb === cb)) listeners.splice(i, 1);
+        }
+      }
+    };
+  }
+
+  function ref(p) {
+    const parts = splitPath(p);
+    const where = '/' + parts.join('/');
+    const reference = Object.assign(createQuery(parts, {}), {
+      key: parts.length ? parts[parts.length - 1] : null,
+      child: child => ref(`${where}/${child}`),
+      set: async value => {
+        write(parts, normalize(value, where));
+        changed([parts]);
+      },
+      update: async values => {
+        const entries = Object.keys(values || {}).map(k => [parts.concat(splitPath(k)), normalize(values[k], `${where}/${k}`)]);
+        entries.forEach(([target, v]) => write(target, v));
+        changed(entries.map(([target]) => target));
+      },
+      remove: async () => {
+        write(parts, null);
+        changed([parts]);
+      },
+      // sin valor devuelve solo la referencia nueva; con valor, una referencia que además es una promesa
+      push: value => {
+        const childPath = `${where}/${pushId()}`;
+        const child = ref(childPath);
+        if (value === undefined) return child;
+        // la promesa resuelve a una referencia normal (no "thenable"), como en Firebase
+        const done = child.set(value).then(() => ref(childPath));
+        child.then = done.then.bind(done);
+        child.catch = done.catch.bind(done);
+        return child;
+      },
+      // update(actual) -> nuevo valor, o undefined para abortar. Es atómica: la base local es un solo proceso.
+      transaction: async update => {
+        const next = update(exportVal(read(parts)));
+        if (next === undefined) return { committed: false, snapshot: createSnapshot(reference.key, read(parts)) };
+        write(parts, normalize(next, where));
+        changed([parts]);
+        return { committed: true, snapshot: createSnapshot(reference.key, read(parts)) };
+      }
+    });
+    return reference;
+  }
+
+  // Guarda en disco lo pendiente (al cerrar el servidor)
+  function flush() {
+    if (saveTimer) clearTimeout(saveTimer);
+    if (file) save();
+  }
+
+  return { ref, flush, file };
+}
+
+module.exports = { createLocalDatabase, pushId, compareKeys, compareValues };
@@ -0,0 +1,31 @@
+// src/mailer.js
+// Envío de correos por SMTP (nodemailer), usado por las alertas.
+// Configuración: SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' para TLS directo, ej. puerto 465),
+// SMTP_USER / SMTP_PASS (opcionales) y MAIL_FROM. Sin SMTP_HOST el envío queda desactivado.
+// Para probar en local sirve cualquier servidor SMTP de prueba (ej. MailHog / smtp4dev en localhost:1025).
+
+// deps: { nodemailer, env }
+function createMailer(deps) {
+  const { nodemailer, env } = deps;
+  const enabled = !!env.SMTP_HOST;
+  const transport = enabled
+    ? nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    })
+    : null;
+  const from = env.MAIL_FROM || `Vivero <no-reply@${env.SMTP_HOST || 'localhost'}>`;
+
+  // message: { to: [emails], subject, text }
+  async function send(message) {
+    if (!transport) return false;
+    await transport.sendMail({ from, to: message.to.join(', '), subject: message.subject, text: message.text });
+    return true;
+  }
+
+  return { enabled, send };
+}
+
+module.exports = { createMailer };
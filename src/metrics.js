@@ -0,0 +1,167 @@
+// src/metrics.js
+// Métricas en formato Prometheus para GET /metrics (prom-client).
+// - Por sección (del estado vigente al momento del scrape): humedad de suelo (cruda y %), temperatura,
+//   humedad ambiente, luminosidad, válvula abierta (1/0) y hora de la última lectura.
+// - Contadores: lecturas ingeridas por sección y canal (http, batch, mqtt, simulator), payloads rechazados por
+//   motivo y canal, aperturas / cierres de válvula por motivo.
+// - Base de datos: latencia y errores de escritura (set, update, push, remove, transaction) con `backend`
+//   (firebase, memory, file), medidos envolviendo las referencias de db (instrumentDatabase).
+// - Clientes Socket.IO conectados y las métricas por defecto del proceso Node (CPU, memoria, event loop).
+// Todas las métricas llevan el prefijo vivero_ (salvo las por defecto: process_* / nodejs_*).
+
+const WRITE_OPS = ['set', 'update', 'push', 'remove', 'transaction'];
+
+// Gauges por sección: nombre de la métrica -> campo del estado y ayuda
+const SECTION_GAUGES = {
+  vivero_section_soil_humidity: { field: 'humedad_suelo', help: 'Última humedad de suelo (valor crudo del sensor)' },
+  vivero_section_soil_humidity_percent: { field: 'humedad_suelo_pct', help: 'Última humedad de suelo calibrada (%)' },
+  vivero_section_temperature_celsius: { field: 'temp', help: 'Última temperatura (°C)' },
+  vivero_section_ambient_humidity_percent: { field: 'humedad_amb', help: 'Última humedad ambiente (%)' },
+  vivero_section_luminosity_lux: { field: 'luminosidad', help: 'Última luminosidad (lux)' }
+};
+
+// deps: { client (prom-client), backend, getSections() -> secciones activas,
+//         getStates() -> { <section>: estado }, getSocketClients() -> número de clientes conectados }
+function createMetrics(deps) {
+  const { client, backend, getSections, getStates, getSocketClients } = deps;
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register });
+
+  Object.keys(SECTION_GAUGES).forEach(name => {
+    const { field, help } = SECTION_GAUGES[name];
+    new client.Gauge({
+      name, help, labelNames: ['section'], registers: [register],
+      collect() {
+        this.reset();
+        const states = getStates();
+        getSections().forEach(s => {
+          const v = (states[s.id] || {})[field];
+          if (typeof v === 'number') this.set({ section: s.id }, v);
+        });
+      }
+    });
+  });
+
+  new client.Gauge({
+    name: 'vivero_section_valve_open',
+    help: 'Estado deseado de la válvula (1 abierta, 0 cerrada)',
+    labelNames: ['section'],
+    registers: [register],
+    collect() {
+      this.reset();
+      const states = getStates();
+      getSections().forEach(s => this.set({ section: s.id }, (states[s.id] || {}).valvula === 'on' ? 1 : 0));
+    }
+  });
+
+  new client.Gauge({
+    name: 'vivero_section_last_reading_timestamp_seconds',
+    help: 'Hora de la última lectura de la sección (epoch, segundos)',
+    labelNames: ['section'],
+    registers: [register],
+    collect() {
+      this.reset();
+      const states = getStates();
+      getSections().forEach(s => {
+        const ts = Date.parse((states[s.id] || {}).ultima_lectura || '');
+        if (Number.isFinite(ts)) this.set({ section: s.id }, ts / 1000);
+      });
+    }
+  });
+
+  new client.Gauge({
+    name: 'vivero_socketio_clients',
+    help: 'Clientes Socket.IO conectados',
+    registers: [register],
+    collect() {
+      this.set(getSocketClients());
+    }
+  });
+
+  const readings = new client.Counter({
+    name: 'vivero_readings_ingested_total',
+    help: 'Lecturas aceptadas por sección y canal',
+    labelNames: ['section', 'channel'],
+    registers: [register]
+  });
+  const rejected = new client.Counter({
+    name: 'vivero_payloads_rejected_total',
+    help: 'Payloads de dispositivos rechazados por motivo (auth, invalid, section, scope) y canal',
+    labelNames: ['reason', 'channel'],
+    registers: [register]
+  });
+  const valveEvents = new client.Counter({
+    name: 'vivero_valve_events_total',
+    help: 'Aperturas y cierres de válvula por sección y motivo',
+    labelNames: ['section', 'action', 'reason'],
+    registers: [register]
+  });
+  const writeDuration = new client.Histogram({
+    name: 'vivero_db_write_duration_seconds',
+    help: 'Latencia de escrituras a la base de datos',
+    labelNames: ['backend', 'operation'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register]
+  });
+  const writeErrors = new client.Counter({
+    name: 'vivero_db_write_errors_total',
+    help: 'Escrituras a la base de datos que fallaron',
+    labelNames: ['backend', 'operation'],
+    registers: [register]
+  });
+
+  function timeWrite(operation, promise) {
+    const end = writeDuration.startTimer({ backend, operation });
+    Promise.resolve(promise).then(() => end(), () => {
+      end();
+      writeErrors.inc({ backend, operation });
+    });
+  }
+
+  // Referencia que mide sus escrituras; las demás propiedades (consultas, key, lecturas) pasan sin cambios
+  function instrumentRef(ref) {
+    return new Proxy(ref, {
+      get(target, prop) {
+        const value = target[prop];
+        if (typeof value !== 'function') return value;
+        if (prop === 'push') {
+          return (...args) => {
+            const child = value.apply(target, args);
+            if (args[0] !== undefined) timeWrite('push', child);
+            return instrumentRef(child);
+          };
+        }
+        if (prop === 'child') return (...args) => instrumentRef(value.apply(target, args));
+        if (WRITE_OPS.includes(prop)) {
+          return (...args) => {
+            const result = value.apply(target, args);
+            timeWrite(prop, result);
+            return result;
+          };
+        }
+        return value.bind(target);
+      }
+    });
+  }
+
+  // db con la misma interfaz cuyas referencias miden las escrituras
+  function instrumentDatabase(db) {
+    return new Proxy(db, {
+      get(target, prop) {
+        if (prop === 'ref') return (...args) => instrumentRef(target.ref(...args));
+        const value = target[prop];
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+    });
+  }
+
+  return {
+    register,
+    instrumentDatabase,
+    readingIngested: (section, channel) => readings.inc({ section, channel }),
+    payloadRejected: (reason, channel) => rejected.inc({ reason, channel }),
+    valveEvent: (section, valvula, reason) => valveEvents.inc({ section, action: valvula === 'on' ? 'open' : 'close', reason: reason || 'unknown' })
+  };
+}
+
+module.exports = { WRITE_OPS, createMetrics };
@@ -0,0 +1,127 @@
+// src/modes.js
+// Modo de operación por sección, guardado en /vivero/secciones/<id>:
+//   modo: 'auto'   -> riego automático por humedad y programas
+//         'manual' -> solo comandos manuales (la lógica automática no toca la válvula)
+//         'off'    -> válvula bloqueada cerrada
+//   manual_hasta / modo_anterior: riego manual temporizado ("abrir sombra 10 minutos"); al vencer
+//   se cierra la válvula y se vuelve al modo anterior. Sobrevive a reinicios (se reprograma al arrancar).
+//   Todo comando manual es temporizado: sin durationMin dura manualDefaultMin de la sección, así un clic
+//   en la UI no deja la sección fuera de auto indefinidamente. Para quedarse en manual está setMode.
+// Además protege la válvula con tiempos mínimos encendida/apagada (minOnSec / minOffSec del registro).
+
+const MODES = ['auto', 'manual', 'off'];
+const MAX_MANUAL_MIN = 240;
+
+// Modo actual de una sección. Sin modo guardado es 'auto' (el antiguo manual_override ya no se usa).
+function currentMode(state) {
+  return MODES.includes(state && state.modo) ? state.modo : 'auto';
+}
+
+// ms que faltan para poder cambiar la válvula a `action` respetando los tiempos mínimos (0 = se puede)
+function minTimeRemaining(state, cfg, action, now = Date.now()) {
+  if (action === 'off' && state.valvula === 'on' && state.valve_opened_at) {
+    return Math.max(0, (cfg.minOnSec || 0) * 1000 - (now - Number(state.valve_opened_at)));
+  }
+  if (action === 'on' && state.valvula !== 'on' && state.valve_closed_at) {
+    return Math.max(0, (cfg.minOffSec || 0) * 1000 - (now - Number(state.valve_closed_at)));
+  }
+  return 0;
+}
+
+// deps: { db, getSection(id) -> config del registro, setValve(section, action, extra, source, meta) -> Promise,
+//         notify(event, data) }
+// meta: { ip } de la petición que originó el comando (queda en el registro de auditoría)
+function createModeController(deps) {
+  const { db, getSection, setValve, notify } = deps;
+  const timers = {};
+
+  const sectionRef = section => db.ref(`/vivero/secciones/${section}`);
+
+  async function readState(section) {
+    return (await sectionRef(section).once('value')).val() || {};
+  }
+
+  function clearTimer(section) {
+    if (timers[section]) clearTimeout(timers[section]);
+    delete timers[section];
+  }
+
+  function armTimer(section, until) {
+    clearTimer(section);
+    timers[section] = setTimeout(() => {
+      delete timers[section];
+      expire(section).catch(err => console.error('Error finalizando riego manual', section, err));
+    }, Math.max(0, until - Date.now()));
+  }
+
+  // Fin de un riego manual temporizado: cerrar y volver al modo anterior
+  async function expire(section) {
+    const state = await readState(section);
+    if (!state.manual_hasta) return;
+    if (Date.now() < state.manual_hasta) return armTimer(section, state.manual_hasta);
+
+    const fields = { modo: state.modo_anterior || 'auto', modo_anterior: null, manual_hasta: null };
+    if (state.valvula === 'on') {
+      await setValve(section, 'off', Object.assign({ reason: 'manual_timer_done' }, fields), 'manual_timer');
+    } else {
+      await sectionRef(section).update(fields);
+    }
+    notify('mode-update', { section, modo: fields.modo, manual_hasta: null });
+  }
+
+  // Comando manual: pasa la sección a 'manual' por durationMin minutos (o manualDefaultMin de la sección).
+  // Devuelve { ok:true, modo, manual_hasta } o { ok:false, code, retryInSec? }
+  async function manualCommand(section, action, durationMin, source, meta) {
+    const cfg = getSection(section);
+    const state = await readState(section);
+    const mode = currentMode(state);
+    if (mode === 'off') return { ok: false, code: 'section_off' };
+
+    const wait = minTimeRemaining(state, cfg, action);
+    if (wait > 0) return { ok: false, code: 'min_time', retryInSec: Math.ceil(wait / 1000) };
+
+    const now = Date.now();
+    const minutes = durationMin !== undefined && durationMin !== null ? durationMin : cfg.manualDefaultMin;
+    const fields = {
+      modo: 'manual',
+      // si ya estaba en un manual temporizado conservamos el modo original al que hay que volver;
+      // en modo manual explícito (setMode) se vuelve a manual
+      modo_anterior: mode !== 'manual' ? mode : (state.manual_hasta ? (state.modo_anterior || 'auto') : 'manual'),
+      manual_hasta: now + minutes * 60000,
+      manual_override: null,
+      reason: 'manual',
+      schedule_run: null
+    };
+    await setValve(section, action, fields, source, meta);
+
+    armTimer(section, fields.manual_hasta);
+    notify('mode-update', { section, modo: 'manual', manual_hasta: fields.manual_hasta });
+    return { ok: true, modo: 'manual', manual_hasta: fields.manual_hasta };
+  }
+
+  // Cambio explícito de modo. 'off' cierra la válvula de inmediato (sin esperar tiempos mínimos).
+  async function setMode(section, mode, source, meta) {
+    clearTimer(section);
+    const state = await readState(section);
+    const fields = { modo: mode, modo_anterior: null, manual_hasta: null, manual_override: null };
+    if (mode === 'off' && state.valvula === 'on') {
+      await setValve(section, 'off', Object.assign({ reason: 'mode_off', schedule_run: null }, fields), source, meta);
+    } else {
+      await sectionRef(section).update(fields);
+    }
+    notify('mode-update', { section, modo: mode, manual_hasta: null });
+    return { ok: true, modo: mode };
+  }
+
+  // Al arrancar: reprogramar los riegos manuales temporizados que quedaron pendientes
+  async function restore() {
+    const all = (await db.ref('/vivero/secciones').once('value')).val() || {};
+    Object.keys(all).forEach(section => {
+      if (all[section] && all[section].manual_hasta) armTimer(section, all[section].manual_hasta);
+    });
+  }
+
+  return { manualCommand, setMode, restore, expire };
+}
+
+module.exports = { MODES, MAX_MANUAL_MIN, currentMode, minTimeRemaining, createModeController };
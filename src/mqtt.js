@@ -0,0 +1,111 @@
+// src/mqtt.js
+// Puente MQTT para nodos que no hablan HTTP.
+// - Se suscribe a <prefijo>/<section>/telemetry: cada mensaje (JSON con los mismos campos que POST /api/data;
+//   `section` puede omitirse porque viene en el topic) pasa por la misma ingesta y lógica de riego.
+// - Publica en <prefijo>/<section>/valve el estado deseado y el comando pendiente cada vez que cambia la
+//   válvula (control-update) o se reintenta un comando. Los mensajes quedan retained: un nodo que se
+//   (re)conecta recibe de inmediato el último estado, sin tener que deducirlo.
+// Cada mensaje lleva la API key del dispositivo en `api_key` ("<id>.<secreto>", la misma del header
+// x-api-key de HTTP) y se valida igual que en HTTP: el broker no alcanza para saber qué dispositivo publica.
+// El campo se quita antes de ingerir la lectura.
+// Configuración: MQTT_URL (ej. mqtt://localhost:1883; sin ella el puente no se inicia), MQTT_USERNAME,
+// MQTT_PASSWORD, MQTT_CLIENT_ID y MQTT_TOPIC_PREFIX (default 'vivero').
+
+const { commandForDevice } = require('./commands');
+
+const DEFAULT_PREFIX = 'vivero';
+const RECONNECT_MS = 5000;
+
+// Sección de un topic "<prefijo>/<section>/telemetry", o null si el topic no es de telemetría
+function parseTelemetryTopic(topic, prefix) {
+  const parts = String(topic).split('/');
+  const base = prefix.split('/');
+  if (parts.length !== base.length + 2 || parts[parts.length - 1] !== 'telemetry') return null;
+  if (base.some((p, i) => parts[i] !== p)) return null;
+  return parts[base.length] || null;
+}
+
+// Mensaje para el nodo: estado deseado + comando pendiente (mismo formato que la respuesta de /api/data)
+function valveMessage(section, state, data = {}) {
+  return {
+    section,
+    valvula: state.valvula || 'off',
+    command: commandForDevice(state),
+    modo: state.modo || 'auto',
+    reason: data.reason || state.reason || null,
+    ts: Date.now()
+  };
+}
+
+// Opciones de conexión a partir del entorno
+function optionsFromEnv(env) {
+  const options = { reconnectPeriod: RECONNECT_MS };
+  if (env.MQTT_USERNAME) options.username = env.MQTT_USERNAME;
+  if (env.MQTT_PASSWORD) options.password = env.MQTT_PASSWORD;
+  if (env.MQTT_CLIENT_ID) options.clientId = env.MQTT_CLIENT_ID;
+  return options;
+}
+
+// deps: { mqtt (librería), url, options, prefix?, getState(section) -> Promise<estado>,
+//         ingest(body, apiKey) -> Promise<{ error?, details? }> (autentica, valida y aplica la lectura) }
+function createMqttBridge(deps) {
+  const { mqtt, url, options, getState, ingest } = deps;
+  const prefix = deps.prefix || DEFAULT_PREFIX;
+  let client = null;
+
+  function start() {
+    client = mqtt.connect(url, options);
+    client.on('connect', () => {
+      console.log(`MQTT conectado a ${url}`);
+      client.subscribe(`${prefix}/+/telemetry`, { qos: 1 }, err => {
+        if (err) console.error('Error suscribiendo a telemetría MQTT', err);
+      });
+    });
+    client.on('message', (topic, message) => {
+      handleMessage(topic, message).catch(err => console.error('Error procesando mensaje MQTT', topic, err));
+    });
+    client.on('error', err => console.error('Error MQTT', err.message));
+  }
+
+  function stop() {
+    if (client) client.end();
+    client = null;
+  }
+
+  async function handleMessage(topic, message) {
+    const section = parseTelemetryTopic(topic, prefix);
+    if (!section) return;
+    let body;
+    try {
+      body = JSON.parse(message.toString());
+    } catch (err) {
+      return console.warn(`MQTT ${topic}: mensaje no es JSON válido`);
+    }
+    let apiKey;
+    if (body && typeof body === 'object' && !Array.isArray(body)) {
+      if (body.section !== undefined && body.section !== section) {
+        return console.warn(`MQTT ${topic}: section "${body.section}" no coincide con el topic`);
+      }
+      apiKey = body.api_key;
+      body = Object.assign({}, body, { section });
+      delete body.api_key;
+    }
+    const outcome = await ingest(body, apiKey);
+    if (outcome.error) console.warn(`MQTT ${topic}: lectura rechazada (${outcome.error})`, outcome.details || '');
+  }
+
+  // Publica el estado de la válvula de la sección (data: el evento control-update, si lo hay)
+  async function publishValve(section, data) {
+    if (!client) return;
+    try {
+      const message = valveMessage(section, await getState(section), data);
+      client.publish(`${prefix}/${section}/valve`, JSON.stringify(message), { qos: 1, retain: true });
+    } catch (err) {
+      console.error('Error publicando válvula por MQTT', section, err);
+    }
+  }
+
+  return { start, stop, handleMessage, publishValve };
+}
+
+module.exports = { DEFAULT_PREFIX, parseTelemetryTopic, valveMessage, optionsFromEnv, createMqttBridge };
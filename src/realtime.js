@@ -0,0 +1,151 @@
+// src/realtime.js
+// Eventos en tiempo real por sección: cada sección es un room de Socket.IO ("section:<id>") y los clientes
+// reciben solo los eventos de las secciones a las que se suscriben.
+// - Cada evento de sección lleva { seq, epoch, state }: seq crece de a uno por sección, epoch identifica el
+//   arranque del servidor (los seq se reinician con él) y state es el estado público de la sección tras el cambio,
+//   así la UI se actualiza sin volver a pedirlo por HTTP.
+// - Cliente -> 'subscribe' { sections: [ids], since?: { epoch, seqs: { <id>: último seq visto } } }, ack(resultado).
+//   Por cada sección se une al room y, si el cliente viene de una reconexión y los eventos que le faltan siguen en
+//   el buffer (BUFFER_SIZE por sección), se le reenvían en orden; si no, recibe 'section-snapshot'
+//   { section, epoch, seq, state } con el estado completo.
+//   ack: { ok, epoch, sections: { <id>: { mode: 'replay'|'snapshot', seq, replayed? } }, errors? }
+// - Cliente -> 'unsubscribe' { sections: [ids] }.
+// Los eventos que no son de una sección (alertas, config-update, device-status) van a todos los clientes por un
+// canal global con su propio seq ({ ...data, seq, epoch, global: true }) y el mismo buffer. Para retomarlo el
+// cliente manda since.global (último seq global visto) en 'subscribe' (puede ser con sections: []); el ack trae
+// global: { mode: 'replay', seq, replayed } o { mode: 'reset', seq } si ya no se pueden reenviar (la UI vuelve a
+// pedir por HTTP lo que muestra). Sin since.global el ack trae global: { seq }.
+
+const sectionRegistry = require('./sections');
+
+const STATE_ROOT = '/vivero/secciones';
+// clave del canal global en seqs / buffers (no es un id de sección válido)
+const GLOBAL = '*';
+const BUFFER_SIZE = 200;
+const MAX_SUBSCRIPTIONS = 100;
+
+function roomName(section) {
+  return `section:${section}`;
+}
+
+// deps: { io, db, getSection(id) -> sección registrada o null }
+function createRealtimeHub(deps) {
+  const { io, db, getSection } = deps;
+  const epoch = Date.now().toString(36);
+  const seqs = {};
+  const buffers = {};
+  // copia del estado de las secciones (listener de la DB): snapshots y eventos sin leer la DB cada vez
+  let states = {};
+  let resolveReady;
+  const ready = new Promise(resolve => { resolveReady = resolve; });
+
+  function start() {
+    db.ref(STATE_ROOT).on('value', snap => {
+      states = snap.val() || {};
+      resolveReady();
+    }, err => console.error('Error leyendo estado de secciones (tiempo real)', err));
+  }
+
+  function stateOf(section) {
+    return sectionRegistry.publicState(states[section]);
+  }
+
+  // Numera un evento del canal (sección o GLOBAL) y lo guarda en su buffer
+  function record(channel, event, fields) {
+    const seq = (seqs[channel] || 0) + 1;
+    seqs[channel] = seq;
+    const message = Object.assign({}, fields, { seq, epoch });
+    const buffer = buffers[channel] || (buffers[channel] = []);
+    buffer.push({ event, message });
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    return message;
+  }
+
+  // Emite un evento: al room de su sección (con seq) o, si no es de una sección, a todos
+  function publish(event, data) {
+    if (!data || !data.section) return broadcast(event, data);
+    const section = data.section;
+    const message = record(section, event, Object.assign({}, data, { state: stateOf(section) }));
+    io.to(roomName(section)).emit(event, message);
+  }
+
+  // Emite a todos por el canal global, aunque el evento mencione una sección (ej. alertas)
+  function broadcast(event, data) {
+    io.emit(event, record(GLOBAL, event, Object.assign({}, data, { global: true })));
+  }
+
+  function snapshot(section) {
+    return { section, epoch, seq: seqs[section] || 0, state: stateOf(section) };
+  }
+
+  // Eventos de la sección posteriores a `since`, o null si ya no están todos en el buffer
+  function missedSince(section, since) {
+    const current = seqs[section] || 0;
+    if (!Number.isInteger(since) || since > current) return null;
+    if (since === current) return [];
+    const buffer = buffers[section] || [];
+    if (!buffer.length || buffer[0].message.seq > since + 1) return null;
+    return buffer.filter(e => e.message.seq > since);
+  }
+
+  // Une el socket a los rooms pedidos y le envía snapshot o los eventos perdidos (sin await entre medio,
+  // para que ningún evento quede entre el replay y el join)
+  function subscribe(socket, request) {
+    const ids = request && Array.isArray(request.sections) ? request.sections : null;
+    if (!ids || ids.length > MAX_SUBSCRIPTIONS || ids.some(id => typeof id !== 'string')) {
+      return { ok: false, error: `sections must be a list of up to ${MAX_SUBSCRIPTIONS} section ids` };
+    }
+    const resumed = !!request.since && request.since.epoch === epoch;
+    const since = resumed ? request.since.seqs || {} : {};
+    const result = { ok: true, epoch, sections: {} };
+    result.global = resumeGlobal(socket, resumed, request.since && request.since.global);
+    const errors = [];
+    ids.forEach(section => {
+      if (!getSection(section)) {
+        errors.push(`unknown section: ${section}`);
+        return;
+      }
+      socket.join(roomName(section));
+      const missed = since[section] !== undefined ? missedSince(section, since[section]) : null;
+      if (missed) {
+        missed.forEach(e => socket.emit(e.event, e.message));
+        result.sections[section] = { mode: 'replay', seq: seqs[section] || 0, replayed: missed.length };
+      } else {
+        const snap = snapshot(section);
+        socket.emit('section-snapshot', snap);
+        result.sections[section] = { mode: 'snapshot', seq: snap.seq };
+      }
+    });
+    if (errors.length) result.errors = errors;
+    return result;
+  }
+
+  // Reenvía los eventos globales posteriores a `since` (o pide a la UI recargar si ya no están)
+  function resumeGlobal(socket, resumed, since) {
+    const seq = seqs[GLOBAL] || 0;
+    if (since === undefined || since === null) return { seq };
+    const missed = resumed ? missedSince(GLOBAL, since) : null;
+    if (!missed) return { mode: 'reset', seq };
+    missed.forEach(e => socket.emit(e.event, e.message));
+    return { mode: 'replay', seq, replayed: missed.length };
+  }
+
+  function unsubscribe(socket, request) {
+    const ids = request && Array.isArray(request.sections) ? request.sections : [];
+    ids.forEach(section => { if (typeof section === 'string') socket.leave(roomName(section)); });
+  }
+
+  // Handlers de suscripción de una conexión
+  function attach(socket) {
+    socket.on('subscribe', async (request, ack) => {
+      await ready;
+      const result = subscribe(socket, request);
+      if (typeof ack === 'function') ack(result);
+    });
+    socket.on('unsubscribe', request => unsubscribe(socket, request));
+  }
+
+  return { start, publish, broadcast, snapshot, attach, epoch, getStates: () => states };
+}
+
+module.exports = { STATE_ROOT, BUFFER_SIZE, roomName, createRealtimeHub };
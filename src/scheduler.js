@@ -0,0 +1,358 @@
+// src/scheduler.js
+// Programador de riego: programas por sección con horas de inicio, duración, días de la semana,
+// rango de fechas y ventanas de bloqueo (ej. no regar 12:00-16:00).
+// Estructura en la DB:
+//   /vivero/programas/<id>          = { section, name, enabled, startTimes, durationMin, weekdays, dateFrom, dateTo, blackouts, skipIfWet, lastRunKey, lastResult }
+//   /vivero/scheduler/activos/<sec> = { programId, startedAt, endsAt }  (riegos en curso; sobreviven a reinicios)
+// Las horas se interpretan en la zona horaria del vivero (SCHEDULER_TZ, por defecto la del servidor).
+
+const { currentMode, minTimeRemaining } = require('./modes');
+const { soilValue } = require('./telemetry');
+
+const PROGRAMS_ROOT = '/vivero/programas';
+const ACTIVE_ROOT = '/vivero/scheduler/activos';
+
+const TICK_MS = 30 * 1000;
+// Si el servidor estuvo caído o el tick se atrasa, un inicio se ejecuta hasta GRACE_MIN minutos tarde
+const GRACE_MIN = 5;
+const MAX_PREVIEW_DAYS = 31;
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// --- Utilidades de hora local ---
+
+const formatters = {};
+function formatterFor(tz) {
+  if (!formatters[tz]) {
+    formatters[tz] = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23'
+    });
+  }
+  return formatters[tz];
+}
+
+// Fecha ('YYYY-MM-DD'), minuto del día y día de la semana (0 = domingo) de `ts` en la zona `tz`
+function localParts(ts, tz) {
+  const p = {};
+  formatterFor(tz).formatToParts(new Date(ts)).forEach(part => { p[part.type] = part.value; });
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    minutes: Number(p.hour) * 60 + Number(p.minute),
+    weekday: WEEKDAY_NAMES.indexOf(p.weekday)
+  };
+}
+
+// Diferencia (ms) entre la hora local de `tz` y UTC en el instante `ts`
+function tzOffset(ts, tz) {
+  const p = localParts(ts, tz);
+  const [y, m, d] = p.date.split('-').map(Number);
+  const asUtc = Date.UTC(y, m - 1, d, Math.floor(p.minutes / 60), p.minutes % 60);
+  return asUtc - Math.floor(ts / 60000) * 60000;
+}
+
+// Instante UTC (ms) de una fecha local + minuto del día en la zona `tz`
+function zonedToUtc(date, minutes, tz) {
+  const [y, m, d] = date.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d, Math.floor(minutes / 60), minutes % 60);
+  const offset = tzOffset(guess, tz);
+  let ts = guess - offset;
+  const offset2 = tzOffset(ts, tz); // corrige si el cambio de horario cae entre medio
+  if (offset2 !== offset) ts = guess - offset2;
+  return ts;
+}
+
+function addDays(date, n) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// --- Reglas de programas ---
+
+function inBlackout(minute, blackouts) {
+  const m = ((minute % 1440) + 1440) % 1440;
+  return (blackouts || []).some(b => {
+    const from = toMinutes(b.from);
+    const to = toMinutes(b.to);
+    return from < to ? (m >= from && m < to) : (m >= from || m < to); // ventanas que cruzan medianoche
+  });
+}
+
+// Duración efectiva (min) de un riego que empieza en `startMin`: se corta al entrar a una ventana de bloqueo
+function effectiveDuration(startMin, durationMin, blackouts) {
+  for (let i = 1; i < durationMin; i++) {
+    if (inBlackout(startMin + i, blackouts)) return i;
+  }
+  return durationMin;
+}
+
+// ¿El programa aplica en la fecha local `date`?
+function runsOnDate(program, date) {
+  if (program.dateFrom && date < program.dateFrom) return false;
+  if (program.dateTo && date > program.dateTo) return false;
+  return (program.weekdays || []).includes(weekdayOf(date));
+}
+
+// Normaliza y valida un programa. Devuelve { program, errors }.
+function validateProgram(input) {
+  const errors = [];
+  const program = {
+    section: input.section,
+    name: typeof input.name === 'string' ? input.name.trim() : '',
+    enabled: input.enabled === undefined ? true : input.enabled,
+    startTimes: Array.isArray(input.startTimes) ? Array.from(new Set(input.startTimes)).sort() : input.startTimes,
+    durationMin: input.durationMin,
+    weekdays: input.weekdays === undefined ? [0, 1, 2, 3, 4, 5, 6] : input.weekdays,
+    dateFrom: input.dateFrom || null,
+    dateTo: input.dateTo || null,
+    blackouts: input.blackouts || [],
+    skipIfWet: input.skipIfWet === undefined ? true : input.skipIfWet
+  };
+
+  if (typeof program.section !== 'string' || !program.section) errors.push('section is required');
+  if (program.name.length > 60) errors.push('name must be at most 60 chars');
+  if (typeof program.enabled !== 'boolean') errors.push('enabled must be a boolean');
+  if (!Array.isArray(program.startTimes) || !program.startTimes.length || program.startTimes.length > 12 ||
+      program.startTimes.some(t => !TIME_PATTERN.test(t))) {
+    errors.push('startTimes must be a list of 1-12 "HH:MM" times');
+  }
+  if (typeof program.durationMin !== 'number' || !Number.isInteger(program.durationMin) ||
+      program.durationMin < 1 || program.durationMin > 240) {
+    errors.push('durationMin must be an integer between 1 and 240');
+  }
+  if (!Array.isArray(program.weekdays) || !program.weekdays.length ||
+      program.weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    errors.push('weekdays must be a non-empty list of 0-6 (0 = Sunday)');
+  }
+  ['dateFrom', 'dateTo'].forEach(f => {
+    if (program[f] !== null && (!DATE_PATTERN.test(program[f]) || Number.isNaN(Date.parse(program[f])))) {
+      errors.push(`${f} must be "YYYY-MM-DD"`);
+    }
+  });
+  if (program.dateFrom && program.dateTo && program.dateFrom > program.dateTo) errors.push('dateFrom must be before dateTo');
+  if (!Array.isArray(program.blackouts) || program.blackouts.some(b =>
+    !b || !TIME_PATTERN.test(b.from) || !TIME_PATTERN.test(b.to) || b.from === b.to)) {
+    errors.push('blackouts must be a list of { from: "HH:MM", to: "HH:MM" }');
+  }
+  if (typeof program.skipIfWet !== 'boolean') errors.push('skipIfWet must be a boolean');
+
+  if (Array.isArray(program.weekdays)) program.weekdays = Array.from(new Set(program.weekdays)).sort();
+  return { program, errors };
+}
+
+// Próximos riegos de una lista de programas a partir de `now` (ms)
+function nextRuns(programs, now, tz, count = 10) {
+  const runs = [];
+  const today = localParts(now, tz).date;
+  for (let k = 0; k < MAX_PREVIEW_DAYS && runs.length < count; k++) {
+    const date = addDays(today, k);
+    const day = [];
+    programs.forEach(p => {
+      if (!p.enabled || !runsOnDate(p, date)) return;
+      p.startTimes.forEach(t => {
+        const startMin = toMinutes(t);
+        const start = zonedToUtc(date, startMin, tz);
+        if (start <= now) return;
+        const blocked = inBlackout(startMin, p.blackouts);
+        const duration = blocked ? 0 : effectiveDuration(startMin, p.durationMin, p.blackouts);
+        day.push({
+          programId: p.id,
+          name: p.name,
+          section: p.section,
+          start: new Date(start).toISOString(),
+          end: new Date(start + duration * 60000).toISOString(),
+          durationMin: duration,
+          blocked
+        });
+      });
+    });
+    day.sort((a, b) => a.start.localeCompare(b.start));
+    runs.push(...day);
+  }
+  return runs.slice(0, count);
+}
+
+// --- Motor ---
+
+// deps: { db, tz, getSection(id) -> config de sección controlable o null,
+//         getState(id) -> Promise<estado actual de la sección>,
+//         setValve(section, 'on'|'off', extra, source) -> Promise, notify(event, data) }
+function createScheduler(deps) {
+  const { db, tz, getSection, getState, setValve, notify } = deps;
+  const programs = {};
+  let active = {};
+  let timer = null;
+  let ticking = false;
+
+  function list(section) {
+    return Object.keys(programs)
+      .map(id => programs[id])
+      .filter(p => !section || p.section === section)
+      .sort((a, b) => a.section.localeCompare(b.section) || (a.startTimes[0] || '').localeCompare(b.startTimes[0] || ''));
+  }
+
+  async function recordResult(program, runKey, status) {
+    const lastResult = { at: new Date().toISOString(), runKey, status };
+    await db.ref(`${PROGRAMS_ROOT}/${program.id}`).update({ lastRunKey: runKey, lastResult });
+    notify('schedule-update', { programId: program.id, section: program.section, status, runKey });
+  }
+
+  async function startRun(program, date, startTime, now) {
+    const runKey = `${date}T${startTime}`;
+    const startMin = toMinutes(startTime);
+    const cfg = getSection(program.section);
+    if (!cfg) return recordResult(program, runKey, 'skipped_section_disabled');
+    if (inBlackout(startMin, program.blackouts)) return recordResult(program, runKey, 'skipped_blackout');
+    if (active[program.section]) return recordResult(program, runKey, 'skipped_busy');
+
+    const state = await getState(program.section);
+    // los programas solo riegan en modo auto (manual/off los pausan)
+    if (currentMode(state) !== 'auto') return recordResult(program, runKey, 'skipped_mode');
+    if (state.valvula === 'on') return recordResult(program, runKey, 'skipped_busy');
+    if (minTimeRemaining(state, cfg, 'on', now) > 0) return recordResult(program, runKey, 'skipped_min_off');
+    // suelo ya húmedo: mismo criterio que el cierre automático (umbral + histéresis)
+    const soil = soilValue(cfg, state);
+    if (program.skipIfWet && soil !== null && soil > cfg.soilThreshold + cfg.hysteresis) {
+      return recordResult(program, runKey, 'skipped_wet');
+    }
+
+    // el riego termina a la hora programada + duración (descontando lo que ya pasó del inicio)
+    const startTs = zonedToUtc(date, startMin, tz);
+    const endsAt = startTs + effectiveDuration(startMin, program.durationMin, program.blackouts) * 60000;
+    if (endsAt <= now) return recordResult(program, runKey, 'skipped_missed');
+
+    const run = { programId: program.id, startedAt: now, endsAt };
+    await db.ref(`${ACTIVE_ROOT}/${program.section}`).set(run);
+    active[program.section] = run;
+    await setValve(program.section, 'on', { reason: 'schedule', schedule_run: program.id }, `schedule:${program.id}`);
+    await recordResult(program, runKey, 'started');
+  }
+
+  async function finishRun(section, run, reason) {
+    delete active[section];
+    await db.ref(`${ACTIVE_ROOT}/${section}`).remove();
+    const state = await getState(section);
+    // otro control ya tomó la sección (no pisamos un control manual posterior)
+    if (state.schedule_run !== run.programId) return;
+    // si la válvula la cerró otro (archivo de la sección, modo off...) solo soltamos la marca del programa:
+    // con schedule_run puesto el cierre automático por humedad no actúa
+    if (state.valvula === 'on') {
+      await setValve(section, 'off', { reason, schedule_run: null }, `schedule:${run.programId}`);
+    } else {
+      await db.ref(`/vivero/secciones/${section}`).update({ schedule_run: null });
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      for (const section of Object.keys(active)) {
+        if (active[section].endsAt <= now) await finishRun(section, active[section], 'schedule_done');
+      }
+
+      const local = localParts(now, tz);
+      for (const p of list()) {
+        if (!p.enabled || !runsOnDate(p, local.date)) continue;
+        for (const t of p.startTimes) {
+          const startMin = toMinutes(t);
+          const due = local.minutes >= startMin && local.minutes < startMin + GRACE_MIN;
+          if (due && p.lastRunKey !== `${local.date}T${t}`) await startRun(p, local.date, t, now);
+        }
+      }
+    } catch (err) {
+      console.error('scheduler tick error', err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    db.ref(PROGRAMS_ROOT).on('value', snap => {
+      const stored = snap.val() || {};
+      Object.keys(programs).forEach(id => { if (!stored[id]) delete programs[id]; });
+      Object.keys(stored).forEach(id => { programs[id] = Object.assign({ id }, stored[id]); });
+    }, err => console.error('Error leyendo programas de riego', err));
+
+    // riegos que estaban en curso antes de reiniciar: se retoman (y se cierran si ya vencieron)
+    db.ref(ACTIVE_ROOT).once('value')
+      .then(snap => { active = Object.assign(snap.val() || {}, active); })
+      .catch(err => console.error('Error leyendo riegos activos', err))
+      .then(() => {
+        timer = setInterval(tick, TICK_MS);
+        tick();
+      });
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    db.ref(PROGRAMS_ROOT).off('value');
+  }
+
+  async function create(input) {
+    const { program, errors } = validateProgram(input);
+    if (errors.length) return { errors };
+    const ref = db.ref(PROGRAMS_ROOT).push();
+    await ref.set(program);
+    programs[ref.key] = Object.assign({ id: ref.key }, program);
+    return { program: programs[ref.key] };
+  }
+
+  async function update(id, input) {
+    const current = programs[id];
+    if (!current) return null;
+    const merged = Object.assign({}, current, input, { section: input.section || current.section });
+    const { program, errors } = validateProgram(merged);
+    if (errors.length) return { errors };
+    await db.ref(`${PROGRAMS_ROOT}/${id}`).update(program);
+    programs[id] = Object.assign({}, current, program);
+    return { program: programs[id] };
+  }
+
+  async function remove(id) {
+    const current = programs[id];
+    if (!current) return false;
+    await db.ref(`${PROGRAMS_ROOT}/${id}`).remove();
+    delete programs[id];
+    const run = active[current.section];
+    if (run && run.programId === id) await finishRun(current.section, run, 'schedule_cancelled');
+    return true;
+  }
+
+  return {
+    start,
+    stop,
+    tick,
+    list,
+    get: id => programs[id] || null,
+    create,
+    update,
+    remove,
+    activeRun: section => active[section] || null,
+    nextRuns: (section, count) => nextRuns(list(section), Date.now(), tz, count)
+  };
+}
+
+module.exports = {
+  createScheduler,
+  validateProgram,
+  nextRuns,
+  localParts,
+  zonedToUtc,
+  inBlackout,
+  effectiveDuration
+};
@@ -0,0 +1,230 @@
+// src/sections.js
+// Registro de secciones de riego guardado en la DB (/vivero/config/secciones/<id>).
+// Cada sección guarda sus datos (nombre, descripción, enabled, archived) y sus umbrales.
+// - enabled: false -> se siguen guardando lecturas, pero no hay riego automático ni control manual
+// - archived: true -> la sección se retira (no acepta datos ni control) pero su historial se conserva
+// - createdAt: ISO de creación (las secciones anteriores a este campo no lo tienen); lo usa el watchdog
+
+const CONFIG_ROOT = '/vivero/config/secciones';
+// Marca de que las secciones originales (sombra/semisombra/sol) ya se sembraron en la DB
+const SEEDED_FLAG = '/vivero/config/secciones_seeded';
+
+// Umbrales para secciones nuevas si no se indican
+// maxOpenMin / staleSensorMin: límites del watchdog (ver src/watchdog.js)
+// minOnSec / minOffSec: tiempos mínimos encendida/apagada para proteger la válvula (ver src/modes.js)
+// manualDefaultMin: duración de un comando manual que no indica durationMin (ver src/modes.js)
+const BASE_THRESHOLDS = {
+  soilThreshold: 350, tempHigh: 34, tempLow: 10, hysteresis: 50,
+  maxOpenMin: 60, staleSensorMin: 15, minOnSec: 60, minOffSec: 60, manualDefaultMin: 30
+};
+
+// Secciones con las que arranca el sistema (antes estaban fijas en server.js y app.js)
+const DEFAULT_SECTIONS = {
+  sombra: { name: 'Sombra', soilThreshold: 400, tempHigh: 32, tempLow: 10, hysteresis: 50 },
+  semisombra: { name: 'Semisombra', soilThreshold: 350, tempHigh: 34, tempLow: 10, hysteresis: 50 },
+  sol: { name: 'Sol', soilThreshold: 300, tempHigh: 36, tempLow: 10, hysteresis: 50 }
+};
+
+// Rangos permitidos por campo [min, max]
+const THRESHOLD_RANGES = {
+  soilThreshold: [0, 65535], // lectura del sensor de suelo: ADC crudo o % según soilUnit
+  tempHigh: [-20, 60],
+  tempLow: [-20, 60],
+  hysteresis: [0, 5000], // margen sobre soilThreshold para volver a cerrar la válvula
+  maxOpenMin: [1, 720], // tiempo máximo continuo con la válvula abierta
+  staleSensorMin: [1, 1440], // minutos sin lecturas para considerar el sensor caído
+  minOnSec: [0, 3600],
+  minOffSec: [0, 3600],
+  manualDefaultMin: [1, 240] // hasta MAX_MANUAL_MIN de src/modes.js
+};
+
+const THRESHOLD_FIELDS = Object.keys(THRESHOLD_RANGES);
+const META_FIELDS = ['name', 'description', 'enabled', 'archived'];
+
+// Calibración del sensor de suelo (ver src/telemetry.js):
+// soilDry / soilWet: lectura cruda con el suelo seco / saturado (null = sin calibrar), soilOffset: ajuste en %.
+// soilUnit: unidad de soilThreshold e hysteresis -> 'raw' (ADC, como antes) o 'pct' (requiere calibración).
+const SOIL_UNITS = ['raw', 'pct'];
+const BASE_CALIBRATION = { soilUnit: 'raw', soilDry: null, soilWet: null, soilOffset: 0 };
+const CALIBRATION_FIELDS = Object.keys(BASE_CALIBRATION);
+
+// Estrategia del riego automático (ver src/et.js):
+// 'threshold' -> umbral fijo soilThreshold; 'et' -> umbral ajustado por la demanda estimada (ETo × cropCoefficient)
+const AUTO_STRATEGIES = ['threshold', 'et'];
+const BASE_STRATEGY = { autoStrategy: 'threshold', cropCoefficient: 1 };
+const STRATEGY_FIELDS = Object.keys(BASE_STRATEGY);
+const CROP_COEFFICIENT_RANGE = [0.1, 2];
+
+// Caudal de la válvula en L/min para estimar el consumo de agua (null = sin dato; ver src/water.js)
+const BASE_WATER = { flowRateLpm: null };
+const WATER_FIELDS = Object.keys(BASE_WATER);
+const FLOW_RATE_RANGE = [0.01, 1000];
+
+// ids usados en rutas de la DB y URLs: minúsculas, números, '-' y '_'
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// Sección completa a partir de lo guardado (rellena defaults faltantes)
+function normalizeSection(id, stored) {
+  const base = Object.assign({ name: id, description: '', enabled: true, archived: false }, BASE_THRESHOLDS, BASE_CALIBRATION, BASE_STRATEGY, BASE_WATER, DEFAULT_SECTIONS[id] || {});
+  return mergeSection(Object.assign({ id, createdAt: (stored && stored.createdAt) || null }, base), stored || {});
+}
+
+// Combina una sección con un cambio parcial, ignorando campos desconocidos (el id no se puede cambiar)
+function mergeSection(current, patch) {
+  const merged = Object.assign({}, current);
+  THRESHOLD_FIELDS.concat(META_FIELDS, CALIBRATION_FIELDS, STRATEGY_FIELDS, WATER_FIELDS).forEach(f => {
+    if (patch[f] !== undefined) merged[f] = patch[f];
+  });
+  return merged;
+}
+
+// Valida umbrales. Devuelve una lista de errores (vacía si es válido).
+function validateThresholds(cfg) {
+  const errors = [];
+  THRESHOLD_FIELDS.forEach(f => {
+    const v = cfg[f];
+    const [min, max] = THRESHOLD_RANGES[f];
+    if (typeof v !== 'number' || !Number.isFinite(v)) {
+      errors.push(`${f} must be a number`);
+    } else if (v < min || v > max) {
+      errors.push(`${f} must be between ${min} and ${max}`);
+    }
+  });
+  if (!errors.length && cfg.tempLow >= cfg.tempHigh) errors.push('tempLow must be lower than tempHigh');
+  return errors;
+}
+
+// Valida la calibración del sensor de suelo y que los umbrales en % tengan sentido
+function validateCalibration(cfg) {
+  const errors = [];
+  if (!SOIL_UNITS.includes(cfg.soilUnit)) errors.push(`soilUnit must be one of ${SOIL_UNITS.join(', ')}`);
+  ['soilDry', 'soilWet'].forEach(f => {
+    const v = cfg[f];
+    if (v !== null && v !== undefined && (typeof v !== 'number' || v < 0 || v > 65535)) errors.push(`${f} must be a number between 0 and 65535`);
+  });
+  if (typeof cfg.soilOffset !== 'number' || cfg.soilOffset < -50 || cfg.soilOffset > 50) errors.push('soilOffset must be a number between -50 and 50');
+  if (errors.length) return errors;
+
+  const hasDry = typeof cfg.soilDry === 'number';
+  const hasWet = typeof cfg.soilWet === 'number';
+  if (hasDry !== hasWet) errors.push('soilDry and soilWet must be set together');
+  else if (hasDry && cfg.soilDry === cfg.soilWet) errors.push('soilDry and soilWet must be different');
+  if (cfg.soilUnit === 'pct') {
+    if (!hasDry || !hasWet) errors.push('soilUnit pct requires soilDry and soilWet');
+    if (cfg.soilThreshold > 100 || cfg.hysteresis > 100) errors.push('soilThreshold and hysteresis must be <= 100 when soilUnit is pct');
+  }
+  return errors;
+}
+
+// Valida la estrategia de riego automático y el coeficiente de cultivo (Kc)
+function validateStrategy(cfg) {
+  const errors = [];
+  const [min, max] = CROP_COEFFICIENT_RANGE;
+  if (!AUTO_STRATEGIES.includes(cfg.autoStrategy)) errors.push(`autoStrategy must be one of ${AUTO_STRATEGIES.join(', ')}`);
+  if (typeof cfg.cropCoefficient !== 'number' || cfg.cropCoefficient < min || cfg.cropCoefficient > max) {
+    errors.push(`cropCoefficient must be a number between ${min} and ${max}`);
+  }
+  return errors;
+}
+
+function validateWater(cfg) {
+  const v = cfg.flowRateLpm;
+  const [min, max] = FLOW_RATE_RANGE;
+  if (v === null || v === undefined) return [];
+  return typeof v === 'number' && v >= min && v <= max ? [] : [`flowRateLpm must be null or a number between ${min} and ${max}`];
+}
+
+// Valida una sección completa (datos + umbrales)
+function validateSection(section) {
+  const errors = [];
+  if (!isValidId(section.id)) errors.push('id must be 2-32 chars: a-z, 0-9, "-" or "_"');
+  if (typeof section.name !== 'string' || !section.name.trim() || section.name.length > 60) errors.push('name must be a non-empty string (max 60)');
+  if (typeof section.description !== 'string' || section.description.length > 500) errors.push('description must be a string (max 500)');
+  if (typeof section.enabled !== 'boolean') errors.push('enabled must be a boolean');
+  if (typeof section.archived !== 'boolean') errors.push('archived must be a boolean');
+  return errors.concat(validateThresholds(section), validateCalibration(section), validateStrategy(section), validateWater(section));
+}
+
+// Lo que se guarda en la DB (sin el id, que es la key del nodo)
+function toStored(section) {
+  const stored = Object.assign({}, section);
+  delete stored.id;
+  return stored;
+}
+
+// Último estado de la sección (/vivero/secciones/<id>) que se expone por la API.
+// Solo estos campos salen del servidor; lo demás (origen de comandos, flags internos) queda en la DB.
+const PUBLIC_STATE_FIELDS = [
+  'humedad_suelo', 'humedad_suelo_pct', 'temp', 'humedad_amb', 'luminosidad', 'device_id', 'ultima_lectura', 'ultima_actualizacion',
+  'valvula', 'valvula_reportada', 'reportada_at', 'mismatch', 'reason', 'valve_opened_at', 'valve_closed_at',
+  'modo', 'manual_hasta', 'fault', 'fault_at', 'schedule_run'
+];
+const PUBLIC_COMMAND_FIELDS = ['id', 'action', 'status', 'issuedAt', 'attempts', 'ackAt', 'failedAt'];
+
+function pick(obj, fields) {
+  const out = {};
+  fields.forEach(f => { if (obj[f] !== undefined && obj[f] !== null) out[f] = obj[f]; });
+  return out;
+}
+
+function publicState(state) {
+  const out = pick(state || {}, PUBLIC_STATE_FIELDS);
+  if (state && state.comando) out.comando = pick(state.comando, PUBLIC_COMMAND_FIELDS);
+  return out;
+}
+
+// Vista de una sección para GET /api/sections: metadatos del registro + último estado filtrado
+function publicSection(section, state) {
+  return {
+    id: section.id,
+    name: section.name,
+    description: section.description,
+    enabled: section.enabled,
+    archived: section.archived,
+    state: publicState(state)
+  };
+}
+
+// Siembra las secciones originales la primera vez, respetando lo que ya hubiera guardado
+async function seedDefaults(db) {
+  const flag = await db.ref(SEEDED_FLAG).once('value');
+  if (flag.val()) return;
+  const snap = await db.ref(CONFIG_ROOT).once('value');
+  const stored = snap.val() || {};
+  const updates = {};
+  const now = new Date().toISOString();
+  Object.keys(DEFAULT_SECTIONS).forEach(id => {
+    const section = normalizeSection(id, stored[id]);
+    updates[id] = toStored(Object.assign(section, { createdAt: section.createdAt || now }));
+  });
+  await db.ref(CONFIG_ROOT).update(updates);
+  await db.ref(SEEDED_FLAG).set(true);
+}
+
+module.exports = {
+  CONFIG_ROOT,
+  DEFAULT_SECTIONS,
+  THRESHOLD_RANGES,
+  THRESHOLD_FIELDS,
+  CALIBRATION_FIELDS,
+  SOIL_UNITS,
+  STRATEGY_FIELDS,
+  AUTO_STRATEGIES,
+  WATER_FIELDS,
+  isValidId,
+  normalizeSection,
+  mergeSection,
+  validateThresholds,
+  validateCalibration,
+  validateStrategy,
+  validateWater,
+  validateSection,
+  toStored,
+  publicState,
+  publicSection,
+  seedDefaults
+};
@@ -1,8 +1,7 @@
 // src/server.js
-// Servidor Express + Socket.IO para recibir datos del Pico y escribir en Firebase Realtime DB
+// Servidor Express + Socket.IO para recibir datos del Pico y escribir en la base (Firebase Realtime DB o local, ver src/storage.js)
 
 require('dotenv').config(); // carga variables desde .env en desarrollo
-const fs = require('fs');
 const path = require('path');
 
 const express = require('express');
@@ -12,27 +11,54 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { Server } = require('socket.io');
 
-const admin = require('firebase-admin');
-
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const mqtt = require('mqtt');
+const nodemailer = require('nodemailer');
+const promClient = require('prom-client');
+
+const history = require('./history');
+const reportExport = require('./export');
+const sectionRegistry = require('./sections');
+const irrigationScheduler = require('./scheduler');
+const valveWatchdog = require('./watchdog');
+const operatingModes = require('./modes');
+const deviceCommands = require('./commands');
+const deviceRegistry = require('./devices');
+const userAccounts = require('./users');
+const userSessions = require('./sessions');
+const auditLog = require('./audit');
+const telemetry = require('./telemetry');
+const telemetryBridge = require('./mqtt');
+const evapotranspiration = require('./et');
+const alertEngine = require('./alerts');
+const mailTransport = require('./mailer');
+const waterUsage = require('./water');
+const deviceSimulator = require('./simulator');
+const dataStorage = require('./storage');
+const realtimeEvents = require('./realtime');
+const backendMetrics = require('./metrics');
+const deviceHealth = require('./health');
+const remoteConfig = require('./deviceconfig');
 
 
 const app = express();
 const server = http.createServer(app);
 
 // --- Socket.IO (tiempo real para frontend) ---
+// La UI se sirve desde el mismo dominio; otros orígenes solo si se listan en CORS_ORIGIN (separados por coma).
+// Cada conexión se autentica con el access token (ver io.use más abajo).
 const io = new Server(server, {
   cors: {
-    origin: '*' // en producción: cambia '*' por la URL de tu frontend
+    origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',').map(o => o.trim()) : false
   }
 });
 
 // --- Middlewares ---
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // lotes de lecturas del Pico (POST /api/data/batch)
 app.use(morgan('dev'));
 
 
@@ -50,14 +76,34 @@ function authMiddleware(req, res, next) {
   if (!auth) return res.status(401).json({ ok:false, error:'missing auth' });
   const parts = auth.split(' ');
   if (parts.length !== 2 || parts[0] !== 'Bearer') return res.status(401).json({ ok:false, error:'invalid auth format' });
-  const token = parts[1];
+  const result = verifyAccessToken(parts[1]);
+  if (result.error) return res.status(401).json({ ok:false, error: result.error });
+  req.user = result.user;
+  return next();
+}
+
+// Valida un access token: firma y expiración, sesión no revocada y cuenta activa.
+// Devuelve { user: { email, name, role, sid, exp } } o { error }.
+function verifyAccessToken(token) {
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload;
-    return next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
-    return res.status(401).json({ ok:false, error:'invalid token' });
+    return { error: err.name === 'TokenExpiredError' ? 'token expired' : 'invalid token' };
   }
+  if (!sessions.isActive(payload.sid)) return { error: 'session revoked' };
+  // el rol se toma de la cuenta actual (no del token) para que cambios de rol / desactivación apliquen de inmediato
+  const account = users.get(payload.email);
+  if (!account || account.disabled) return { error: 'account disabled' };
+  return { user: { email: account.email, name: account.name, role: account.role, sid: payload.sid, exp: payload.exp } };
+}
+
+// Helper: exigir un rol mínimo (viewer < operator < admin). Usar después de authMiddleware.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !userAccounts.hasRole(req.user.role, role)) return res.status(403).json({ ok:false, error:'forbidden' });
+    return next();
+  };
 }
 
 
@@ -82,101 +128,443 @@ app.use(express.static(PUBLIC_DIR));
 
 
 
-// --- Cargar Service Account (soporta SERVICE_ACCOUNT_JSON o SERVICE_ACCOUNT_PATH) ---
-const SERVICE_ACCOUNT_PATH = process.env.SERVICE_ACCOUNT_PATH || null;
-let serviceAccountObj = null;
+// --- Almacenamiento: Firebase Realtime DB o base local (STORAGE_BACKEND, ver src/storage.js) ---
+let storage;
+try {
+  storage = dataStorage.createStorage({ env: process.env, loadFirebase: () => require('firebase-admin') });
+} catch (err) {
+  console.error('FATAL:', err.message);
+  process.exit(1);
+}
+
+// --- Métricas Prometheus (GET /metrics, ver src/metrics.js); las escrituras a la DB se miden desde aquí ---
+const metrics = backendMetrics.createMetrics({
+  client: promClient,
+  backend: storage.backend,
+  getSections: () => listSections(false),
+  getStates: () => realtime.getStates(),
+  getSocketClients: () => io.engine.clientsCount
+});
 
-if (process.env.SERVICE_ACCOUNT_JSON && process.env.SERVICE_ACCOUNT_JSON.trim().length > 0) {
-  try {
-    serviceAccountObj = JSON.parse(process.env.SERVICE_ACCOUNT_JSON);
-    console.log('Firebase Admin: usando SERVICE_ACCOUNT_JSON desde variables de entorno');
-  } catch (err) {
-    console.error('FATAL: SERVICE_ACCOUNT_JSON no es JSON válido:', err);
-    process.exit(1);
-  }
-} else if (SERVICE_ACCOUNT_PATH) {
-  // Si la ruta es relativa, normalizamos respecto al proyecto
-  const resolvedPath = path.isAbsolute(SERVICE_ACCOUNT_PATH)
-    ? SERVICE_ACCOUNT_PATH
-    : path.join(__dirname, '..', SERVICE_ACCOUNT_PATH.replace(/^\.\//, ''));
+const db = metrics.instrumentDatabase(storage.db);
 
-  if (!fs.existsSync(resolvedPath)) {
-    console.error('FATAL: no se encuentra el Service Account JSON en la ruta:', resolvedPath);
-    console.error('Verifica SERVICE_ACCOUNT_PATH en .env o usa SERVICE_ACCOUNT_JSON en producción.');
-    process.exit(1);
-  }
+// --- Registro de secciones (umbrales, nombre, enabled/archived; editable desde Ajustes) ---
+// Se sincroniza con /vivero/config/secciones, así crear/editar/archivar secciones
+// se aplica al control de riego sin reiniciar el servidor.
+const SECTIONS = {};
+Object.keys(sectionRegistry.DEFAULT_SECTIONS).forEach(s => { SECTIONS[s] = sectionRegistry.normalizeSection(s); });
 
-  try {
-    serviceAccountObj = require(resolvedPath);
-    console.log('Firebase Admin: usando Service Account desde archivo:', resolvedPath);
-  } catch (err) {
-    console.error('FATAL: error cargando Service Account desde archivo:', err);
-    process.exit(1);
-  }
-} else {
-  console.error('FATAL: No se proporcionó SERVICE_ACCOUNT_JSON ni SERVICE_ACCOUNT_PATH. Define al menos una.');
-  process.exit(1);
+function applySectionRegistry(stored) {
+  Object.keys(SECTIONS).forEach(s => { if (!stored[s]) delete SECTIONS[s]; });
+  Object.keys(stored).forEach(s => { SECTIONS[s] = sectionRegistry.normalizeSection(s, stored[s]); });
 }
 
-// Inicializar Firebase Admin SDK
-try {
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccountObj),
-    databaseURL: process.env.FIREBASE_DATABASE_URL
+sectionRegistry.seedDefaults(db)
+  .catch(err => console.error('Error sembrando secciones por defecto', err))
+  .then(() => {
+    db.ref(sectionRegistry.CONFIG_ROOT).on('value', snap => {
+      applySectionRegistry(snap.val() || {});
+    }, err => console.error('Error leyendo registro de secciones', err));
   });
-  console.log('Firebase Admin inicializado correctamente.');
-} catch (err) {
-  console.error('FATAL: error inicializando Firebase Admin:', err);
-  process.exit(1);
+
+// Sección que puede recibir datos: existe y no está archivada
+function activeSection(id) {
+  const s = id ? SECTIONS[id] : null;
+  return s && !s.archived ? s : null;
+}
+
+// Sección que puede controlar válvulas: activa y habilitada
+function controllableSection(id) {
+  const s = activeSection(id);
+  return s && s.enabled ? s : null;
+}
+
+// Lista pública de secciones (opcionalmente incluyendo archivadas)
+function listSections(includeArchived) {
+  return Object.keys(SECTIONS).sort()
+    .map(id => SECTIONS[id])
+    .filter(s => includeArchived || !s.archived);
+}
+
+// --- Tiempo real: rooms de Socket.IO por sección con seq, snapshot y resync (ver src/realtime.js) ---
+const realtime = realtimeEvents.createRealtimeHub({ io, db, getSection: id => SECTIONS[id] });
+realtime.start();
+
+// --- Registro de dispositivos: cada Pico tiene su propia API key (hash en la DB) ---
+const devices = deviceRegistry.createDeviceRegistry({ db });
+devices.start();
+
+// --- Salud de dispositivos: online / offline por último contacto y diagnósticos (ver src/health.js) ---
+const health = deviceHealth.createHealthMonitor({
+  devices,
+  notify: realtime.publish,
+  offlineMin: Number(process.env.DEVICE_OFFLINE_MIN) || Number(process.env.ALERT_DEVICE_OFFLINE_MIN) || deviceHealth.OFFLINE_MIN
+});
+health.start();
+
+// --- Configuración remota de cada Pico (intervalos y riego de respaldo; ver src/deviceconfig.js) ---
+const deviceConfigs = remoteConfig.createConfigStore({ devices });
+
+// La key compartida de .env (API_KEY) solo se acepta durante la migración si ALLOW_SHARED_API_KEY=true
+const SHARED_KEY_ENABLED = process.env.ALLOW_SHARED_API_KEY === 'true' && !!process.env.API_KEY;
+if (SHARED_KEY_ENABLED) console.warn('ALLOW_SHARED_API_KEY activo: la API_KEY compartida puede escribir en cualquier sección');
+
+// --- Usuarios (cuentas con rol; ver src/users.js) ---
+const users = userAccounts.createUserStore({ db, bcrypt });
+users.seedAdmin(process.env)
+  .catch(err => console.error('Error creando usuario admin inicial', err))
+  .then(() => users.start());
+
+// --- Sesiones: access token corto + refresh token rotativo, con lista de revocación (ver src/sessions.js) ---
+const sessions = userSessions.createSessionStore({
+  db,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || userSessions.ACCESS_TOKEN_TTL,
+  refreshTokenDays: Number(process.env.REFRESH_TOKEN_DAYS) || userSessions.REFRESH_TOKEN_DAYS
+});
+sessions.start();
+
+function signAccessToken(user, sid) {
+  return jwt.sign({ email: user.email, role: user.role, sid }, process.env.JWT_SECRET, { expiresIn: sessions.accessTokenTtl });
+}
+
+// Dispositivo dueño de una API key: la key propia "<id>.<secreto>" o, durante la migración, la compartida
+function deviceForKey(apiKey) {
+  if (typeof apiKey !== 'string' || !apiKey) return null;
+  if (SHARED_KEY_ENABLED && apiKey === process.env.API_KEY) return { id: null, shared: true, sections: null };
+  return devices.authenticate(apiKey);
+}
+
+// Utilidad: identificar al dispositivo por su API key (solo header x-api-key, ya no por query string)
+function authenticateDevice(req) {
+  return deviceForKey(req.header('x-api-key'));
+}
+
+// Verifica que el dispositivo pueda operar sobre la sección y que el device_id declarado sea el suyo.
+// Devuelve un mensaje de error (403) o null, y registra el último contacto del dispositivo.
+// origin: la petición (o { ip } para lecturas que no llegan por HTTP); diagnostics: los que trajo la lectura.
+function checkDeviceScope(origin, device, section, deviceId, diagnostics) {
+  if (device.shared) return null;
+  if (deviceId !== undefined && deviceId !== null && deviceId !== device.id) return 'device_id does not match API key';
+  if (!device.sections.includes(section)) return 'Device not allowed for this section';
+  health.seen(device.id, { lastSection: section, lastIp: origin.ip }, diagnostics || null);
+  return null;
+}
+
+// Humedad de suelo calibrada (%) junto al valor crudo, si la sección tiene calibración
+function addSoilPct(section, payload) {
+  const soilPct = telemetry.calibrateSoil(payload.humedad_suelo, SECTIONS[section]);
+  if (soilPct !== null) payload.humedad_suelo_pct = soilPct;
 }
 
-const db = admin.database();
+// Aplica una lectura como estado vigente de la sección: reporte de válvula / ack, nodo de la sección,
+// historial (salvo options.history === false), lógica de riego y aviso a la UI.
+// readingTs: hora de la medición (ms). Devuelve { suggestion, valvula, command } para responder al Pico.
+async function applyCurrentReading(section, payload, readingTs, options = {}) {
+  // ultima_lectura = hora de la medición (la usa el watchdog); ultima_actualizacion = hora de recepción
+  payload.ultima_actualizacion = new Date().toISOString();
+  payload.ultima_lectura = new Date(readingTs).toISOString();
+
+  // Estado real de la válvula / ack de comando reportado por el Pico (no pisa el estado deseado)
+  const refPath = `/vivero/secciones/${section}`;
+  const report = deviceCommands.extractReport(payload);
+  const before = (await db.ref(refPath).once('value')).val() || {};
+  const reportFields = deviceCommands.applyReport(before, report);
+  if (report.state) payload.valvula_reportada = report.state;
+  // caudalímetro: contador acumulado -> total medido de la sección (ver src/water.js)
+  if (typeof payload.agua_litros === 'number') Object.assign(payload, waterUsage.meterFields(before, payload.agua_litros));
+
+  // Guardar en Firebase Realtime DB en /vivero/secciones/<section>
+  await db.ref(refPath).update(Object.assign({}, payload, reportFields));
+  if (reportFields.comando || reportFields.mismatch !== !!before.mismatch) {
+    realtime.publish('command-update', { section, command: reportFields.comando || before.comando || null, mismatch: reportFields.mismatch });
+  }
+
+  // Guardar la lectura en el historial de la sección (no sobreescribe)
+  if (options.history !== false) await history.appendReading(db, section, payload, readingTs);
+
+  // Ejecutar lógica de riego simple
+  const suggestion = await evaluateAndMaybeTriggerValve(section, payload);
 
-// --- Configuración básica del sistema (umbrales por sección; personaliza) ---
-const SECTIONS = {
-  sombra: { soilThreshold: 400, tempHigh: 32, tempLow: 10 },
-  semisombra: { soilThreshold: 350, tempHigh: 34, tempLow: 10 },
-  sol: { soilThreshold: 300, tempHigh: 36, tempLow: 10 }
-};
+  // Estado deseado + comando pendiente (si lo hay) para el Pico
+  const current = (await db.ref(refPath).once('value')).val() || {};
+  const command = deviceCommands.commandForDevice(current);
 
-// Utilidad: validar API key enviada por Pico o frontend
-function checkApiKey(req) {
-  const apiKey = req.header('x-api-key') || req.query.api_key;
-  return apiKey && process.env.API_KEY && apiKey === process.env.API_KEY;
+  // Emitir evento a clientes conectados via Socket.IO
+  const update = Object.assign({}, payload, {
+    valvula: current.valvula, valvula_reportada: current.valvula_reportada, comando: current.comando || null, mismatch: !!current.mismatch
+  });
+  realtime.publish('sensor-update', { section, payload: update, suggestion });
+  console.log('Emitido sensor-update -> section:', section, 'payload.humedad_suelo=', payload.humedad_suelo);
+
+  return { suggestion, valvula: current.valvula || 'off', command };
+}
+
+// Valida y aplica una lectura en vivo (POST /api/data y puente MQTT).
+// device: { id, shared, sections } ya autenticado; origin: { ip } de donde llegó la lectura.
+// Devuelve { status, error, details? } si se rechaza, o { result: { suggestion, valvula, command, config? } }
+// (config: documento de configuración remota si el dispositivo no tiene la versión vigente).
+async function ingestTelemetry(body, device, origin) {
+  const channel = origin.channel || 'http';
+  // solo campos del esquema, con tipo y rango válidos (ver src/telemetry.js)
+  const checked = telemetry.validateTelemetry(body);
+  if (checked.errors) {
+    metrics.payloadRejected('invalid', channel);
+    return { status: 400, error: 'Invalid telemetry', details: checked.errors };
+  }
+  const payload = checked.payload;
+  const { section } = payload;
+  if (!activeSection(section)) {
+    metrics.payloadRejected('section', channel);
+    return { status: 400, error: 'Invalid or missing "section" field' };
+  }
+  // diagnósticos y versión de configuración del Pico: van al dispositivo, no a la sección ni al historial
+  const diagnostics = telemetry.splitDiagnostics(payload);
+  const configVersion = payload.config_version;
+  delete payload.config_version;
+  const scopeError = checkDeviceScope(origin, device, section, payload.device_id, diagnostics);
+  if (scopeError) {
+    metrics.payloadRejected('scope', channel);
+    return { status: 403, error: scopeError };
+  }
+  if (device.id) payload.device_id = device.id;
+  addSoilPct(section, payload);
+
+  // lectura en vivo: se toma la hora del servidor
+  const result = await applyCurrentReading(section, payload, Date.now());
+  metrics.readingIngested(section, channel);
+  const config = device.id ? await deviceConfigs.sync(device.id, configVersion) : null;
+  if (config) result.config = config;
+  return { result };
 }
 
 // --- Endpoint principal: el Pico envía lecturas aquí ---
 app.post('/api/data', async (req, res) => {
   try {
-    if (!checkApiKey(req)) {
+    const device = authenticateDevice(req);
+    if (!device) {
+      metrics.payloadRejected('auth', 'http');
+      return res.status(401).json({ error: 'Unauthorized: invalid API key' });
+    }
+
+    const outcome = await ingestTelemetry(req.body, device, req);
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error, details: outcome.details });
+    return res.json(Object.assign({ ok: true }, outcome.result));
+  } catch (err) {
+    console.error('Error /api/data', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- Lote de lecturas que el Pico acumuló mientras no tenía conexión ---
+// POST /api/data/batch  body: { section?, device_id?, readings: [{ ts, seq, section?, humedad_suelo, temp, ... }] }
+// ts: hora de la medición en el dispositivo (epoch ms o ISO); seq: número de secuencia del dispositivo.
+// section / device_id del cuerpo valen para las lecturas que no los traen.
+// - Idempotente: cada lectura va al historial con key "<dispositivo>_<seq>_<ts>", así que reenviar el lote
+//   (ej. se cortó la conexión antes de recibir la respuesta) no duplica nada: vuelve como 'duplicate'.
+// - El historial se escribe en orden cronológico; la lógica de riego solo corre con la lectura más nueva
+//   de cada sección, y solo si es más nueva que la que ya tiene la sección.
+// Respuesta: { ok, accepted, duplicates, rejected, results: [{ index, seq, status, errors? }],
+//              sections: { <id>: { suggestion, valvula, command } }, config? }
+app.post('/api/data/batch', async (req, res) => {
+  try {
+    const device = authenticateDevice(req);
+    if (!device) {
+      metrics.payloadRejected('auth', 'batch');
       return res.status(401).json({ error: 'Unauthorized: invalid API key' });
     }
 
-    const payload = req.body;
-    const { section } = payload;
-    if (!section || !SECTIONS[section]) {
-      return res.status(400).json({ error: 'Invalid or missing "section" field' });
+    const body = req.body || {};
+    if (!Array.isArray(body.readings) || !body.readings.length) {
+      return res.status(400).json({ error: '"readings" must be a non-empty array' });
+    }
+    if (body.readings.length > telemetry.MAX_BATCH_ITEMS) {
+      return res.status(413).json({ error: `At most ${telemetry.MAX_BATCH_ITEMS} readings per batch` });
+    }
+
+    // validación individual: una lectura inválida no rechaza el lote completo
+    const results = [];
+    const valid = [];
+    const scopeErrors = {}; // una verificación (y un lastSeen) por sección / device_id, no por lectura
+    let latestDiagnostics = null;
+    const now = Date.now();
+    body.readings.forEach((item, index) => {
+      const isObject = item && typeof item === 'object' && !Array.isArray(item);
+      const reading = isObject ? Object.assign({ section: body.section, device_id: body.device_id }, item) : item;
+      const result = { index, seq: isObject && item.seq !== undefined ? item.seq : null };
+      results.push(result);
+
+      const checked = telemetry.validateTelemetry(reading, telemetry.BATCH_ITEM_SCHEMA, now);
+      let errors = checked.errors || [];
+      let reason = 'invalid';
+      if (!errors.length && !activeSection(checked.payload.section)) {
+        errors = ['Invalid or missing "section" field'];
+        reason = 'section';
+      }
+      if (!errors.length) {
+        const { section, device_id: deviceId } = checked.payload;
+        const scopeKey = `${section}|${deviceId || ''}`;
+        if (!(scopeKey in scopeErrors)) scopeErrors[scopeKey] = checkDeviceScope(req, device, section, deviceId);
+        if (scopeErrors[scopeKey]) {
+          errors = [scopeErrors[scopeKey]];
+          reason = 'scope';
+        }
+      }
+      if (errors.length) {
+        metrics.payloadRejected(reason, 'batch');
+        return Object.assign(result, { status: 'rejected', errors });
+      }
+      // la versión de configuración se confirma en vivo (/api/data, heartbeat o ack), no con lecturas atrasadas
+      delete checked.payload.config_version;
+      const diagnostics = telemetry.splitDiagnostics(checked.payload);
+      if (diagnostics && (!latestDiagnostics || checked.payload.ts >= latestDiagnostics.ts)) {
+        latestDiagnostics = { ts: checked.payload.ts, diagnostics };
+      }
+      valid.push({ result, payload: checked.payload });
+    });
+    // diagnósticos: solo el reporte más reciente del lote
+    if (latestDiagnostics && device.id) health.seen(device.id, {}, latestDiagnostics.diagnostics, latestDiagnostics.ts);
+
+    // historial en orden cronológico (seq desempata lecturas con la misma hora)
+    valid.sort((a, b) => a.payload.ts - b.payload.ts || a.payload.seq - b.payload.seq);
+    const newest = {};
+    for (const { result, payload } of valid) {
+      const { section, ts, seq } = payload;
+      delete payload.ts;
+      delete payload.seq;
+      if (device.id) payload.device_id = device.id;
+      addSoilPct(section, payload);
+
+      const deviceKey = String(payload.device_id || 'shared').replace(/[^\w-]/g, '_');
+      const stored = await history.appendReadingOnce(db, section, `${deviceKey}_${seq}_${ts}`, payload, ts);
+      result.status = stored ? 'accepted' : 'duplicate';
+      if (stored) {
+        newest[section] = { payload, ts };
+        metrics.readingIngested(section, 'batch');
+      }
     }
 
-    // Timestamp ISO
-    const timestamp = new Date().toISOString();
-    payload.ultima_actualizacion = timestamp;
+    // la lectura más nueva de cada sección pasa a ser el estado vigente (si no hay una más reciente)
+    const sections = {};
+    for (const section of Object.keys(newest)) {
+      const { payload, ts } = newest[section];
+      const state = (await db.ref(`/vivero/secciones/${section}`).once('value')).val() || {};
+      const lastReading = Date.parse(state.ultima_lectura || '');
+      if (Number.isFinite(lastReading) && lastReading >= ts) continue;
+      sections[section] = await applyCurrentReading(section, payload, ts, { history: false });
+    }
 
-    // Guardar en Firebase Realtime DB en /vivero/secciones/<section>
-    const refPath = `/vivero/secciones/${section}`;
-    await db.ref(refPath).update(payload);
+    const count = status => results.filter(r => r.status === status).length;
+    const config = device.id ? await deviceConfigs.sync(device.id) : null;
+    return res.json(Object.assign({
+      ok: true,
+      accepted: count('accepted'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      results,
+      sections
+    }, config ? { config } : {}));
+  } catch (err) {
+    console.error('Error /api/data/batch', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Ejecutar lógica de riego simple
-    const suggestion = evaluateAndMaybeTriggerValve(section, payload);
+// --- Heartbeat del Pico: contacto sin lectura, con diagnósticos opcionales (ver src/health.js) ---
+// POST /api/device/heartbeat  body: { device_id?, config_version?, uptime_s?, rssi?, free_mem?, firmware?, vcc? }
+// Respuesta: { ok, offlineAfterMin, config? } (config: como en /api/data)
+app.post('/api/device/heartbeat', async (req, res) => {
+  try {
+    const device = authenticateDevice(req);
+    if (!device) {
+      metrics.payloadRejected('auth', 'http');
+      return res.status(401).json({ error: 'Unauthorized: invalid API key' });
+    }
+    if (device.shared) return res.status(400).json({ error: 'Heartbeat requires a per-device API key' });
 
-    // Emitir evento a clientes conectados via Socket.IO
-   io.emit('sensor-update', { section, payload, suggestion });
-console.log('Emitido sensor-update -> section:', section, 'payload.humedad_suelo=', payload.humedad_suelo);
+    const checked = telemetry.validateHeartbeat(req.body);
+    if (checked.errors) return res.status(400).json({ error: 'Invalid heartbeat', details: checked.errors });
+    const { device_id: deviceId } = checked.payload;
+    if (deviceId !== undefined && deviceId !== device.id) return res.status(403).json({ error: 'device_id does not match API key' });
 
+    health.seen(device.id, { lastIp: req.ip }, telemetry.splitDiagnostics(checked.payload));
+    const config = await deviceConfigs.sync(device.id, checked.payload.config_version);
+    return res.json(Object.assign({ ok: true, offlineAfterMin: health.offlineMin }, config ? { config } : {}));
+  } catch (err) {
+    console.error('Error /api/device/heartbeat', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    return res.json({ ok: true, suggestion });
+// --- Configuración remota: el Pico la pide al arrancar o cuando /api/data le avisa que cambió ---
+// GET /api/device/config -> { ok, version, config: { sample_interval_s, report_interval_s, ... }, updatedAt }
+// ETag "<id>-v<version>": con If-None-Match igual responde 304 sin cuerpo.
+app.get('/api/device/config', (req, res) => {
+  try {
+    const device = authenticateDevice(req);
+    if (!device) {
+      metrics.payloadRejected('auth', 'http');
+      return res.status(401).json({ error: 'Unauthorized: invalid API key' });
+    }
+    if (device.shared) return res.status(400).json({ error: 'Remote config requires a per-device API key' });
+
+    const document = deviceConfigs.document(device.id);
+    const tag = remoteConfig.etag(device.id, document.version);
+    res.set('ETag', tag);
+    res.set('Cache-Control', 'no-cache');
+    if (req.header('if-none-match') === tag) return res.status(304).end();
+    return res.json(Object.assign({ ok: true }, document));
   } catch (err) {
-    console.error('Error /api/data', err);
+    console.error('Error /api/device/config', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/device/config/ack  body: { version } -> versión que el Pico aplicó
+app.post('/api/device/config/ack', async (req, res) => {
+  try {
+    const device = authenticateDevice(req);
+    if (!device) {
+      metrics.payloadRejected('auth', 'http');
+      return res.status(401).json({ error: 'Unauthorized: invalid API key' });
+    }
+    if (device.shared) return res.status(400).json({ error: 'Remote config requires a per-device API key' });
+
+    const { version } = req.body || {};
+    const current = deviceConfigs.document(device.id).version;
+    if (!Number.isInteger(version) || version < 0 || version > current) {
+      return res.status(400).json({ error: `version must be an integer between 0 and ${current}` });
+    }
+    await deviceConfigs.acknowledge(device.id, version);
+    return res.json({ ok: true, version, current: version === current });
+  } catch (err) {
+    console.error('Error /api/device/config/ack', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// --- Confirmación de comandos desde el Pico (alternativa a reportar en /api/data) ---
+// POST /api/device/ack  body: { section, command_id?, state: 'on'|'off' }
+app.post('/api/device/ack', async (req, res) => {
+  try {
+    const device = authenticateDevice(req);
+    if (!device) return res.status(401).json({ error: 'Unauthorized: invalid API key' });
+
+    const { section, command_id, state } = req.body || {};
+    if (!activeSection(section)) return res.status(400).json({ error: 'Invalid or missing "section" field' });
+    const scopeError = checkDeviceScope(req, device, section, req.body.device_id);
+    if (scopeError) return res.status(403).json({ error: scopeError });
+    if (!['on', 'off'].includes(state) && !command_id) return res.status(400).json({ error: 'Invalid payload' });
+
+    const ref = db.ref(`/vivero/secciones/${section}`);
+    const before = (await ref.once('value')).val() || {};
+    const fields = deviceCommands.applyReport(before, { state: ['on', 'off'].includes(state) ? state : undefined, ack: command_id });
+    await ref.update(fields);
+
+    const command = fields.comando || before.comando || null;
+    realtime.publish('command-update', { section, command, mismatch: fields.mismatch });
+    return res.json({ ok: true, command, mismatch: fields.mismatch });
+  } catch (err) {
+    console.error('Error /api/device/ack', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -184,19 +572,22 @@ console.log('Emitido sensor-update -> section:', section, 'payload.humedad_suelo
 // --- Endpoint para controlar válvula manualmente desde la web (o móvil)
 app.post('/api/control', async (req, res) => {
   try {
-    if (!checkApiKey(req)) return res.status(401).json({ error: 'Unauthorized' });
+    const device = authenticateDevice(req);
+    if (!device) return res.status(401).json({ error: 'Unauthorized' });
 
     const { section, action } = req.body;
-    if (!section || !['on','off'].includes(action)) {
+    const durationMin = parseManualDuration(req.body.durationMin);
+    if (!section || !['on','off'].includes(action) || Number.isNaN(durationMin)) {
       return res.status(400).json({ error: 'Invalid payload' });
     }
+    const scopeError = checkDeviceScope(req, device, section, req.body.device_id);
+    if (scopeError) return res.status(403).json({ error: scopeError });
+    if (!controllableSection(section)) return res.status(409).json({ error: 'Section not found, disabled or archived' });
 
-    const refPath = `/vivero/secciones/${section}`;
-    await db.ref(refPath).update({ valvula: action, ultima_actualizacion: new Date().toISOString(), manual_override: true });
+    const result = await modeController.manualCommand(section, action, durationMin, device.id ? `device:${device.id}` : 'api', { ip: req.ip });
+    if (!result.ok) return res.status(409).json({ error: manualCommandError(result), code: result.code, retryInSec: result.retryInSec });
 
-    io.emit('control-update', { section, action });
-
-    return res.json({ ok: true, section, action });
+    return res.json({ ok: true, section, action, modo: result.modo, manual_hasta: result.manual_hasta });
   } catch (err) {
     console.error('Error /api/control', err);
     return res.status(500).json({ error: 'Internal server error' });
@@ -208,20 +599,54 @@ app.get('/api/status', (req, res) => {
   res.json({ ok: true, timestamp: new Date().toISOString() });
 });
 
-// --- Proxy seguro opcional para lecturas desde la UI ---
-app.get('/firebase-proxy', async (req, res) => {
+// --- Métricas para Prometheus ---
+// GET /metrics (formato de texto de Prometheus). Con METRICS_TOKEN definido exige
+// "Authorization: Bearer <METRICS_TOKEN>" (bearer_token en el scrape_config); sin él queda abierto.
+app.get('/metrics', async (req, res) => {
+  try {
+    if (process.env.METRICS_TOKEN && req.get('authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+      return res.status(401).json({ ok:false, error:'invalid metrics token' });
+    }
+    res.set('Content-Type', metrics.register.contentType);
+    return res.send(await metrics.register.metrics());
+  } catch (err) {
+    console.error('Error /metrics', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// --- Lecturas para la UI (reemplazan al antiguo /firebase-proxy, que exponía cualquier ruta de la DB) ---
+// GET /api/sections[?include=archived] -> { ok:true, sections: { <id>: { id, name, description, enabled, archived, state } } }
+// state: { humedad_suelo, temp, humedad_amb, luminosidad, device_id, ultima_lectura, ultima_actualizacion, valvula,
+//          valvula_reportada, reportada_at, mismatch, reason, modo, manual_hasta, fault, fault_at, schedule_run,
+//          valve_opened_at, valve_closed_at, comando: { id, action, status, issuedAt, attempts, ackAt?, failedAt? } }
+app.get('/api/sections', authMiddleware, async (req, res) => {
+  try {
+    const all = (await db.ref('/vivero/secciones').once('value')).val() || {};
+    const sections = {};
+    listSections(req.query.include === 'archived').forEach(s => { sections[s.id] = sectionRegistry.publicSection(s, all[s.id]); });
+    return res.json({ ok:true, sections });
+  } catch (err) {
+    console.error('Error /api/sections', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// GET /api/sections/:id -> { ok:true, section: { id, name, description, enabled, archived, state } }
+app.get('/api/sections/:id', authMiddleware, async (req, res) => {
   try {
-    const p = req.query.path;
-    if (!p) return res.status(400).json({ error: 'missing path' });
-    const snap = await db.ref(p).once('value');
-    return res.json(snap.val());
+    const section = SECTIONS[req.params.id];
+    if (!section) return res.status(404).json({ ok:false, error:'section not found' });
+    const snap = await db.ref(`/vivero/secciones/${section.id}`).once('value');
+    return res.json({ ok:true, section: sectionRegistry.publicSection(section, snap.val()) });
   } catch (err) {
-    console.error('firebase-proxy error', err);
-    return res.status(500).json({ error: 'internal' });
+    console.error('Error /api/sections/:id', err);
+    return res.status(500).json({ ok:false, error:'internal' });
   }
 });
+
 // GET /api/valve/:section  -> devuelve { ok:true, section, valvula, ultima_actualizacion, data }
-app.get('/api/valve/:section', async (req, res) => {
+app.get('/api/valve/:section', authMiddleware, async (req, res) => {
   try {
     const section = req.params.section;
     if (!section || !SECTIONS[section]) return res.status(400).json({ ok: false, error: 'Invalid section' });
@@ -233,47 +658,356 @@ app.get('/api/valve/:section', async (req, res) => {
     const valvula = data.valvula || 'off';
     const ultima = data.ultima_actualizacion || null;
 
-    return res.json({ ok: true, section, valvula, ultima_actualizacion: ultima, data });
+    return res.json({ ok: true, section, valvula, ultima_actualizacion: ultima, data: sectionRegistry.publicState(data) });
   } catch (err) {
     console.error('Error /api/valve/:section', err);
     return res.status(500).json({ ok: false, error: 'internal' });
   }
 });
 
+// GET /api/history/:section?from=&to=&fields=&resolution=
+// from/to: ISO o epoch ms (por defecto últimas 24h). fields: lista separada por comas.
+// resolution: 'raw' (por defecto) o tamaño de bucket ('15m', '1h', '1d') -> devuelve min/avg/max por bucket
+app.get('/api/history/:section', authMiddleware, async (req, res) => {
+  try {
+    const section = req.params.section;
+    if (!section || !SECTIONS[section]) return res.status(400).json({ ok: false, error: 'Invalid section' });
+
+    const to = req.query.to ? history.parseTimeParam(req.query.to) : Date.now();
+    const from = req.query.from ? history.parseTimeParam(req.query.from) : to - history.DEFAULT_RANGE_MS;
+    if (from === null || to === null || from > to) return res.status(400).json({ ok: false, error: 'invalid range' });
+
+    const bucketMs = history.parseResolution(req.query.resolution);
+    if (bucketMs === null) return res.status(400).json({ ok: false, error: 'invalid resolution' });
+
+    const fields = history.parseFields(req.query.fields);
+    if (!fields.length) return res.status(400).json({ ok: false, error: 'invalid fields' });
+
+    const rows = await history.queryRange(db, section, from, to);
+    const points = bucketMs ? history.bucketize(rows, fields, bucketMs) : history.projectRaw(rows, fields);
+
+    return res.json({
+      ok: true,
+      section,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      resolution: bucketMs ? req.query.resolution : 'raw',
+      fields,
+      points
+    });
+  } catch (err) {
+    console.error('Error /api/history/:section', err);
+    return res.status(500).json({ ok: false, error: 'internal' });
+  }
+});
+
+// GET /api/export/:type?sections=&from=&to=&fields=&resolution=&format=
+// type: 'readings' (lecturas) o 'events' (cambios de válvula). format: 'csv' (por defecto) o 'json'.
+// sections: lista separada por comas (por defecto todas). resolution: 'raw', '1h', '1d', ... (solo lecturas)
+app.get('/api/export/:type', authMiddleware, async (req, res) => {
+  try {
+    const type = req.params.type;
+    if (!['readings', 'events'].includes(type)) return res.status(400).json({ ok: false, error: 'invalid export type' });
+
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) return res.status(400).json({ ok: false, error: 'invalid format' });
+
+    const sections = req.query.sections
+      ? String(req.query.sections).split(',').map(s => s.trim()).filter(Boolean)
+      : listSections(false).map(s => s.id);
+    if (!sections.length || sections.some(s => !SECTIONS[s])) return res.status(400).json({ ok: false, error: 'Invalid section' });
+
+    const to = req.query.to ? history.parseTimeParam(req.query.to) : Date.now();
+    const from = req.query.from ? history.parseTimeParam(req.query.from) : to - history.DEFAULT_RANGE_MS;
+    if (from === null || to === null || from > to) return res.status(400).json({ ok: false, error: 'invalid range' });
+
+    const bucketMs = type === 'readings' ? history.parseResolution(req.query.resolution) : 0;
+    if (bucketMs === null) return res.status(400).json({ ok: false, error: 'invalid resolution' });
+
+    const fields = history.parseFields(req.query.fields);
+    if (type === 'readings' && !fields.length) return res.status(400).json({ ok: false, error: 'invalid fields' });
+
+    await reportExport.streamExport(db, res, { type, format, sections, from, to, fields, bucketMs });
+  } catch (err) {
+    console.error('Error /api/export/:type', err);
+    // si ya empezamos a enviar el archivo no podemos responder JSON: cortamos la conexión
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ ok: false, error: 'internal' });
+  }
+});
+
+
+// Cambia el estado de la válvula de una sección y, si hubo transición, registra el evento en el historial.
+// `extra` se guarda junto al estado (reason, modo, schedule_run, ...); `source` indica quién lo pidió.
+// valve_opened_at guarda desde cuándo está abierta (para el watchdog); al abrir se limpia un fault previo.
+// El cambio genera un comando para el Pico que queda 'pending' hasta que lo confirme (ver src/commands.js).
+// meta: { ip } de la petición (acciones manuales), para el registro de auditoría
+async function setValveState(section, valvula, extra = {}, source = 'auto', meta = {}) {
+  const ref = db.ref(`/vivero/secciones/${section}`);
+  const snap = await ref.once('value');
+  const current = snap.val() || {};
+  const previous = current.valvula || 'off';
+  const ts = Date.now();
+  const update = { valvula, ultima_actualizacion: new Date(ts).toISOString() };
+  // nuevo comando para el dispositivo si cambia lo deseado o el Pico reporta otra cosa
+  let command = null;
+  if (previous !== valvula || (current.valvula_reportada && current.valvula_reportada !== valvula)) {
+    command = deviceCommands.newCommand(valvula, source, ts);
+    Object.assign(update, { comando: command, mismatch: false });
+  }
+  if (previous !== valvula) {
+    update.valve_opened_at = valvula === 'on' ? ts : null;
+    if (valvula === 'off') update.valve_closed_at = ts;
+    // lectura del caudalímetro al abrir: el consumo del riego es la diferencia al cerrar
+    if (valvula === 'on') Object.assign(update, { fault: null, fault_at: null, agua_total_open: current.agua_total ?? null });
+    // un cambio que no viene del programador termina su riego (ver finishRun en src/scheduler.js)
+    if (!String(source).startsWith('schedule:')) update.schedule_run = null;
+  }
+  await ref.update(Object.assign(update, extra));
+  if (previous !== valvula) {
+    metrics.valveEvent(section, valvula, extra.reason);
+    await history.appendValveEvent(db, section, { valvula, previous, reason: extra.reason || null, source }, ts);
+  }
+  if (previous === 'on' && valvula === 'off' && SECTIONS[section]) {
+    await waterUsage.recordInterval(db, section, SECTIONS[section], current, ts, { reason: extra.reason, source });
+  }
+  if (previous !== valvula || command) {
+    // `current` trae las últimas lecturas de la sección: quedan como contexto de la decisión
+    await auditLog.appendValveAction(db, { ts, section, previous, valvula, reason: extra.reason, source, commandId: command && command.id }, current, meta);
+  }
+  if (command) realtime.publish('command-update', { section, command, mismatch: false });
+  return { previous, valvula, command };
+}
+
+// --- Puente MQTT (opcional, ver src/mqtt.js): telemetría por MQTT y estado de válvulas publicado ---
+// Cada mensaje trae su API key en `api_key` y se autentica igual que por HTTP (deviceForKey).
+const mqttBridge = process.env.MQTT_URL ? telemetryBridge.createMqttBridge({
+  mqtt,
+  url: process.env.MQTT_URL,
+  options: telemetryBridge.optionsFromEnv(process.env),
+  prefix: process.env.MQTT_TOPIC_PREFIX,
+  getState: async (section) => (await db.ref(`/vivero/secciones/${section}`).once('value')).val() || {},
+  ingest: async (body, apiKey) => {
+    const device = deviceForKey(apiKey);
+    if (!device) {
+      metrics.payloadRejected('auth', 'mqtt');
+      return { error: 'Unauthorized: invalid api_key' };
+    }
+    return ingestTelemetry(body, device, { ip: 'mqtt', channel: 'mqtt' });
+  }
+}) : null;
+
+// Cambio de válvula: aviso a la UI y publicación para los nodos MQTT
+function emitControlUpdate(data) {
+  realtime.publish('control-update', data);
+  if (mqttBridge) mqttBridge.publishValve(data.section, data);
+}
+
+// Demanda de agua por evapotranspiración para secciones con autoStrategy 'et' (ver src/et.js)
+const etEstimator = evapotranspiration.createEtEstimator({
+  db,
+  site: { latitude: parseFloat(process.env.SITE_LATITUDE), elevation: Number(process.env.SITE_ELEVATION) || 0 },
+  referenceMm: Number(process.env.ET_REFERENCE_MM) || evapotranspiration.ET_REFERENCE_MM
+});
 
 // --- Lógica de riego automatizada (muy simple) ---
-function evaluateAndMaybeTriggerValve(section, payload) {
+// Solo actúa sobre la válvula en modo 'auto'; en 'manual'/'off' se limita a sugerir.
+// Con autoStrategy 'et' el umbral de suelo se ajusta a la demanda estimada y la sugerencia explica el cálculo.
+async function evaluateAndMaybeTriggerValve(section, payload) {
   const cfg = SECTIONS[section];
   if (!cfg) return { msg: 'no config' };
+  if (!cfg.enabled) {
+    const text = 'Sección deshabilitada: riego automático detenido.';
+    return { suggestions: [text], suggestionText: text };
+  }
 
-  const soil = payload.humedad_suelo;
+  // humedad en la unidad de los umbrales (ADC crudo o % calibrado)
+  const soil = telemetry.soilValue(cfg, payload);
   const temp = payload.temp;
   const suggestions = [];
+  let et = null;
+
+  try {
+    let threshold = cfg.soilThreshold;
+    if (cfg.autoStrategy === 'et') {
+      et = await etEstimator.demand(cfg);
+      if (!et.error) threshold = et.threshold;
+      suggestions.push(et.text);
+    }
 
-  if (soil <= cfg.soilThreshold) {
-    db.ref(`/vivero/secciones/${section}`).update({ valvula: 'on', ultima_actualizacion: new Date().toISOString(), reason: 'auto_soil_low' }).catch(console.error);
-    suggestions.push('Humedad de suelo baja -> abriendo válvula automáticamente.');
-  } else {
-    db.ref(`/vivero/secciones/${section}`).once('value').then(snap => {
-      const data = snap.val() || {};
-      if (data.valvula === 'on' && data.manual_override !== true && soil > cfg.soilThreshold + 50) {
-        db.ref(`/vivero/secciones/${section}`).update({ valvula: 'off', ultima_actualizacion: new Date().toISOString(), reason: 'soil_ok' }).catch(console.error);
+    const data = (await db.ref(`/vivero/secciones/${section}`).once('value')).val() || {};
+    const mode = operatingModes.currentMode(data);
+
+    if (mode === 'off') {
+      suggestions.push('Sección apagada: válvula bloqueada cerrada.');
+    } else if (soil === null) {
+      suggestions.push(cfg.soilUnit === 'pct'
+        ? 'Sin lectura de humedad calibrada: riego automático sin cambios.'
+        : 'Sin lectura de humedad de suelo: riego automático sin cambios.');
+    } else if (mode === 'manual') {
+      suggestions.push(soil <= threshold
+        ? 'Humedad de suelo baja (modo manual: riego automático en pausa).'
+        : 'Humedad de suelo adecuada (modo manual).');
+    } else if (soil <= threshold) {
+      if (data.valvula !== 'on' && operatingModes.minTimeRemaining(data, cfg, 'on') === 0) {
+        await setValveState(section, 'on', { reason: 'auto_soil_low' });
+        emitControlUpdate({ section, action: 'on', reason: 'auto_soil_low' });
+      }
+      suggestions.push('Humedad de suelo baja -> abriendo válvula automáticamente.');
+    } else {
+      // un riego programado en curso se respeta hasta que termine su duración
+      if (data.valvula === 'on' && !data.schedule_run && soil > threshold + cfg.hysteresis &&
+          operatingModes.minTimeRemaining(data, cfg, 'off') === 0) {
+        await setValveState(section, 'off', { reason: 'soil_ok' });
+        emitControlUpdate({ section, action: 'off', reason: 'soil_ok' });
       }
-    }).catch(console.error);
-    suggestions.push('Humedad de suelo adecuada.');
+      suggestions.push('Humedad de suelo adecuada.');
+    }
+  } catch (err) {
+    console.error('Error evaluando riego automático', section, err);
   }
 
   if (temp >= cfg.tempHigh) suggestions.push('Temperatura alta: revisar ventilación/sombra.');
   if (temp <= cfg.tempLow) suggestions.push('Temperatura baja: proteger plantas si es necesario.');
 
   const suggestionText = suggestions.join(' ');
-  return { suggestions, suggestionText };
+  return et ? { suggestions, suggestionText, et } : { suggestions, suggestionText };
+}
+
+// --- Programador de riego (programas por horario; ver src/scheduler.js) ---
+const scheduler = irrigationScheduler.createScheduler({
+  db,
+  tz: process.env.SCHEDULER_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  getSection: controllableSection,
+  getState: async (section) => (await db.ref(`/vivero/secciones/${section}`).once('value')).val() || {},
+  setValve: async (section, action, extra, source) => {
+    await setValveState(section, action, extra, source);
+    emitControlUpdate({ section, action, reason: extra.reason });
+  },
+  notify: realtime.publish
+});
+
+// --- Modos de operación (auto / manual / off) y riegos manuales temporizados (ver src/modes.js) ---
+const modeController = operatingModes.createModeController({
+  db,
+  getSection: id => SECTIONS[id],
+  setValve: async (section, action, extra, source, meta) => {
+    await setValveState(section, action, extra, source, meta);
+    emitControlUpdate({ section, action, reason: extra.reason, modo: extra.modo, manual_hasta: extra.manual_hasta });
+  },
+  notify: realtime.publish
+});
+
+// durationMin opcional de un comando manual: undefined/null = manualDefaultMin de la sección, NaN = inválido
+function parseManualDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= operatingModes.MAX_MANUAL_MIN ? n : NaN;
+}
+
+// Mensaje de error de un comando manual rechazado por modo / tiempos mínimos
+function manualCommandError(result) {
+  if (result.code === 'section_off') return 'section is off (change mode first)';
+  if (result.code === 'min_time') return `valve minimum on/off time not reached, retry in ${result.retryInSec}s`;
+  return 'command rejected';
+}
+
+// --- Watchdog de válvulas: tiempo máximo abierta y sensor sin datos (ver src/watchdog.js) ---
+const watchdog = valveWatchdog.createWatchdog({
+  db,
+  getSections: () => listSections(false),
+  setValve: async (section, action, extra, source) => {
+    await setValveState(section, action, extra, source);
+    emitControlUpdate({ section, action, reason: extra.reason });
+  },
+  notify: realtime.publish
+});
+
+// --- Simulador de dispositivos (modo SIMULATE de Ajustes, ver src/simulator.js) ---
+// Sus lecturas entran por la misma ingesta que /api/data, como un dispositivo con acceso a todas las secciones.
+const SIMULATED_DEVICE = { id: null, shared: true, sections: null };
+const simulator = deviceSimulator.createSimulator({
+  getSections: () => listSections(false),
+  getState: async (section) => (await db.ref(`/vivero/secciones/${section}`).once('value')).val() || {},
+  ingest: (body) => ingestTelemetry(body, SIMULATED_DEVICE, { ip: 'simulator', channel: 'simulator' })
+});
+
+// --- Alertas (ver src/alerts.js): condiciones de secciones y dispositivos, ack/resolve y correo ---
+const mailer = mailTransport.createMailer({ nodemailer, env: process.env });
+const ALERT_EMAIL_MIN_SEVERITY = alertEngine.SEVERITIES.includes(process.env.ALERT_EMAIL_MIN_SEVERITY)
+  ? process.env.ALERT_EMAIL_MIN_SEVERITY
+  : 'warning';
+
+// Destinatarios: ALERT_EMAIL_TO (separados por coma) o, si no está, operadores y admins activos
+function alertRecipients() {
+  if (process.env.ALERT_EMAIL_TO) return process.env.ALERT_EMAIL_TO.split(',').map(e => e.trim()).filter(Boolean);
+  return users.list().filter(u => !u.disabled && userAccounts.hasRole(u.role, 'operator')).map(u => u.email);
 }
 
-// --- Socket.IO connection handling (logs simples) ---
+const alerts = alertEngine.createAlertEngine({
+  db,
+  getSections: () => listSections(false),
+  getDevices: () => devices.list(),
+  soilDryMin: Number(process.env.ALERT_SOIL_DRY_MIN) || alertEngine.SOIL_DRY_MIN,
+  deviceOfflineMin: health.offlineMin,
+  // alertas a todos los clientes (aunque sean de una sección), por el canal global con seq
+  notify: realtime.broadcast,
+  deliver: async (alert) => {
+    if (!mailer.enabled || !alertEngine.meetsSeverity(alert.severity, ALERT_EMAIL_MIN_SEVERITY)) return;
+    const to = alertRecipients();
+    if (to.length) await mailer.send(Object.assign({ to }, alertEngine.alertEmail(alert)));
+  }
+});
+
+// --- Seguimiento de comandos sin confirmar: reintentos y fallas (ver src/commands.js) ---
+const commandTracker = deviceCommands.createCommandTracker({
+  db,
+  getSections: () => listSections(false),
+  ackTimeoutMs: Number(process.env.COMMAND_ACK_TIMEOUT_MS) || deviceCommands.ACK_TIMEOUT_MS,
+  maxAttempts: Number(process.env.COMMAND_MAX_ATTEMPTS) || deviceCommands.MAX_ATTEMPTS,
+  notify: (event, data) => {
+    realtime.publish(event, data);
+    // reintento: se vuelve a publicar el comando para los nodos MQTT
+    if (mqttBridge && event === 'command-retry') mqttBridge.publishValve(data.section);
+  }
+});
+
+// --- Socket.IO: handshake autenticado con el access token (io({ auth: { token } }) en el cliente) ---
+io.use((socket, next) => {
+  const result = verifyAccessToken(socket.handshake.auth && socket.handshake.auth.token);
+  if (result.error) return next(new Error('unauthorized'));
+  socket.data.user = result.user;
+  return next();
+});
+
+// sockets abiertos por sesión, para desconectarlos al revocarla
+const socketsBySession = {};
+
+sessions.onRevoke(sid => {
+  (socketsBySession[sid] || new Set()).forEach(socket => {
+    socket.emit('session-revoked');
+    socket.disconnect(true);
+  });
+});
+
 io.on('connection', (socket) => {
-  console.log('Nuevo cliente conectado (socket id):', socket.id);
+  const { sid, email, exp } = socket.data.user;
+  console.log('Nuevo cliente conectado (socket id):', socket.id, email);
+  (socketsBySession[sid] = socketsBySession[sid] || new Set()).add(socket);
+  realtime.attach(socket);
+
+  // al vencer el access token se corta la conexión; el cliente renueva el token y reconecta
+  const expiry = setTimeout(() => {
+    socket.emit('session-expired');
+    socket.disconnect(true);
+  }, Math.min(Math.max(0, exp * 1000 - Date.now()), 2 ** 31 - 1));
+
   socket.on('disconnect', () => {
+    clearTimeout(expiry);
+    if (socketsBySession[sid]) {
+      socketsBySession[sid].delete(socket);
+      if (!socketsBySession[sid].size) delete socketsBySession[sid];
+    }
     console.log('Cliente desconectado:', socket.id);
   });
 });
@@ -281,33 +1015,58 @@ io.on('connection', (socket) => {
 
 
 
-// POST /api/auth/login  -> { ok:true, token }
+// POST /api/auth/login  -> { ok:true, token, refreshToken, expiresIn }
 app.post('/api/auth/login', loginLimiter, express.json(), async (req, res) => {
   try {
     const { email, password } = req.body || {};
     if (!email || !password) return res.status(400).json({ ok:false, error:'missing fields' });
 
-    const adminEmail = process.env.ADMIN_EMAIL;
-    // si tienes hash en env:
-    const adminHash = process.env.ADMIN_PASSWORD_HASH || null;
-    const adminPlain = process.env.ADMIN_PLAIN_PASSWORD || null;
+    // contraseña validada con bcrypt contra la cuenta guardada en la DB (cuentas desactivadas no entran)
+    const user = await users.verifyCredentials(email, String(password));
+    if (!user) return res.status(401).json({ ok:false, error:'invalid credentials' });
 
-    if (email !== adminEmail) return res.status(401).json({ ok:false, error:'invalid credentials' });
+    const session = await sessions.create(user.email, { userAgent: req.get('user-agent') || null });
+    const token = signAccessToken(user, session.sid);
+    return res.json({ ok:true, token, refreshToken: session.refreshToken, expiresIn: sessions.accessTokenTtl });
+  } catch (err) {
+    console.error('login error', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
 
-    // validar contraseña: si hay hash usamos bcrypt, sino comparamos plain (dev)
-    let ok = false;
-    if (adminHash) {
-      ok = await bcrypt.compare(password, adminHash);
-    } else if (adminPlain) {
-      ok = password === adminPlain;
-    }
+// POST /api/auth/refresh  body: { refreshToken } -> { ok:true, token, refreshToken } (el refresh token anterior deja de servir)
+app.post('/api/auth/refresh', express.json(), async (req, res) => {
+  try {
+    const rotated = await sessions.rotate((req.body || {}).refreshToken);
+    if (!rotated) return res.status(401).json({ ok:false, error:'invalid refresh token' });
 
-    if (!ok) return res.status(401).json({ ok:false, error:'invalid credentials' });
+    const user = users.get(rotated.session.email);
+    if (!user || user.disabled) {
+      await sessions.revoke(rotated.sid, 'account_disabled');
+      return res.status(401).json({ ok:false, error:'account disabled' });
+    }
+    return res.json({ ok:true, token: signAccessToken(user, rotated.sid), refreshToken: rotated.refreshToken, expiresIn: sessions.accessTokenTtl });
+  } catch (err) {
+    console.error('refresh error', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
 
-    const token = jwt.sign({ email: adminEmail, role: 'admin' }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES || '8h' });
-    return res.json({ ok:true, token });
+// POST /api/auth/logout  body: { refreshToken? } -> revoca la sesión (identificada por el Bearer o por el refresh token)
+app.post('/api/auth/logout', express.json(), async (req, res) => {
+  try {
+    const auth = (req.get('Authorization') || '').split(' ');
+    let sid = sessions.sidForRefreshToken((req.body || {}).refreshToken);
+    if (!sid && auth[0] === 'Bearer' && auth[1]) {
+      // un access token vencido igual identifica la sesión a cerrar
+      const payload = jwt.verify(auth[1], process.env.JWT_SECRET, { ignoreExpiration: true });
+      sid = payload.sid;
+    }
+    if (sid) await sessions.revoke(sid, 'logout');
+    return res.json({ ok:true });
   } catch (err) {
-    console.error('login error', err);
+    if (err.name === 'JsonWebTokenError') return res.status(401).json({ ok:false, error:'invalid token' });
+    console.error('logout error', err);
     return res.status(500).json({ ok:false, error:'internal' });
   }
 });
@@ -317,34 +1076,532 @@ app.get('/api/auth/me', authMiddleware, (req, res) => {
   res.json({ ok:true, user: req.user });
 });
 
+// --- Auditoría de válvulas (ver src/audit.js) ---
+// GET /api/audit?section=&source=&action=on|off&from=&to=&limit=&cursor=
+// source: tipo ('ui', 'device', 'schedule', 'watchdog', 'auto', 'api', 'manual_timer') o valor exacto ('ui:ana@vivero.cl').
+// Más recientes primero; `next` es el cursor para la página siguiente (null si no hay más).
+app.get('/api/audit', authMiddleware, requireRole('operator'), async (req, res) => {
+  try {
+    const to = req.query.to ? history.parseTimeParam(req.query.to) : Date.now();
+    const from = req.query.from ? history.parseTimeParam(req.query.from) : 0;
+    if (from === null || to === null || from > to) return res.status(400).json({ ok:false, error:'invalid time range' });
+    if (req.query.cursor && !auditLog.decodeCursor(req.query.cursor)) return res.status(400).json({ ok:false, error:'invalid cursor' });
+    if (req.query.action && !['on', 'off'].includes(req.query.action)) return res.status(400).json({ ok:false, error:'invalid action' });
+
+    const source = req.query.source || null;
+    const filters = {
+      from, to,
+      section: req.query.section || null,
+      action: req.query.action || null,
+      sourceType: source && auditLog.SOURCE_TYPES.includes(source) ? source : null,
+      source: source && !auditLog.SOURCE_TYPES.includes(source) ? source : null
+    };
+    const result = await auditLog.queryAudit(db, filters, parseInt(req.query.limit, 10) || 50, req.query.cursor);
+    return res.json({ ok:true, entries: result.entries, next: result.next });
+  } catch (err) {
+    console.error('Error /api/audit', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// --- Consumo de agua (ver src/water.js) ---
+// GET /api/water?from=&to=&period=day|week|month&section=
+// -> { ok:true, period, from, to, sections: { <id>: { flowRateLpm, liters, minutes, buckets: [{ start, liters, minutes, unmetered }] } },
+//      totals: [{ start, liters, minutes, unmetered }] }   (unmetered: riegos sin caudal ni caudalímetro)
+app.get('/api/water', authMiddleware, async (req, res) => {
+  try {
+    const period = req.query.period || 'day';
+    if (!waterUsage.PERIODS.includes(period)) return res.status(400).json({ ok:false, error:'period must be day, week or month' });
+    const to = req.query.to ? history.parseTimeParam(req.query.to) : Date.now();
+    const from = req.query.from ? history.parseTimeParam(req.query.from) : to - 7 * 24 * 60 * 60 * 1000;
+    if (from === null || to === null || from > to) return res.status(400).json({ ok:false, error:'invalid time range' });
+    if (req.query.section && !SECTIONS[req.query.section]) return res.status(400).json({ ok:false, error:'Invalid section' });
+
+    const list = req.query.section ? [SECTIONS[req.query.section]] : listSections(false);
+    const states = (await db.ref('/vivero/secciones').once('value')).val() || {};
+    const result = await waterUsage.consumption(db, list.map(cfg => ({ cfg, state: states[cfg.id] || {} })), period, from, to);
+    return res.json(Object.assign({ ok:true, period, from, to }, result));
+  } catch (err) {
+    console.error('Error /api/water', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// --- Simulador ---
+// GET /api/simulator -> { ok:true, config: { enabled, intervalSec, noise, speed, faults }, faults: [...], limits }
+app.get('/api/simulator', authMiddleware, requireRole('admin'), (req, res) => {
+  res.json({ ok:true, config: simulator.getConfig(), faults: deviceSimulator.FAULTS, limits: deviceSimulator.LIMITS });
+});
+
+// PUT /api/simulator  body (parcial): { enabled?, intervalSec?, noise?, speed?, faults?: { <section>: 'none'|'stuck_sensor'|'dropout'|'valve_stuck' } }
+app.put('/api/simulator', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const patch = {};
+    ['enabled', 'intervalSec', 'noise', 'speed', 'faults'].forEach(f => { if (body[f] !== undefined) patch[f] = body[f]; });
+    const checked = deviceSimulator.validateConfig(simulator.getConfig(), patch);
+    const unknown = checked.config ? Object.keys(checked.config.faults).filter(s => !SECTIONS[s]) : [];
+    if (checked.errors || unknown.length) {
+      return res.status(400).json({ ok:false, error:'invalid simulator config', details: checked.errors || unknown.map(s => `unknown section: ${s}`) });
+    }
+    const config = Object.assign(checked.config, { updatedAt: new Date().toISOString(), updatedBy: req.user.email });
+    // el listener de SIM_ROOT aplica la configuración (arranca / detiene el simulador)
+    await db.ref(deviceSimulator.SIM_ROOT).set(config);
+    return res.json({ ok:true, config });
+  } catch (err) {
+    console.error('Error /api/simulator', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// --- Alertas (centro de notificaciones) ---
+// GET /api/alerts?status=open            -> { ok:true, alerts } (abiertas: activas + reconocidas)
+// GET /api/alerts?limit=&cursor=          -> { ok:true, alerts, next } (historial, más recientes primero)
+app.get('/api/alerts', authMiddleware, async (req, res) => {
+  try {
+    if (req.query.status === 'open') return res.json({ ok:true, alerts: alerts.listOpen() });
+    const result = await alerts.listHistory(parseInt(req.query.limit, 10) || 50, req.query.cursor);
+    return res.json({ ok:true, alerts: result.alerts, next: result.next });
+  } catch (err) {
+    console.error('Error /api/alerts', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// POST /api/alerts/:id/ack | /api/alerts/:id/resolve -> { ok:true, alert } (404 si no está abierta)
+app.post('/api/alerts/:id/:action', authMiddleware, requireRole('operator'), async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    if (!['ack', 'resolve'].includes(action)) return res.status(404).json({ ok:false, error:'not found' });
+    const alert = action === 'ack'
+      ? await alerts.acknowledge(id, req.user.email)
+      : await alerts.resolve(id, req.user.email);
+    if (!alert) return res.status(404).json({ ok:false, error:'alert not found or already resolved' });
+    return res.json({ ok:true, alert });
+  } catch (err) {
+    console.error('Error /api/alerts/:id', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// --- Registro de secciones ---
+// GET /api/config/sections[?include=archived] -> { ok:true, sections: { <id>: { id, name, description, enabled, archived, soilThreshold, tempHigh, tempLow, hysteresis } }, ranges }
+app.get('/api/config/sections', authMiddleware, (req, res) => {
+  const sections = {};
+  listSections(req.query.include === 'archived').forEach(s => { sections[s.id] = s; });
+  res.json({ ok:true, sections, ranges: sectionRegistry.THRESHOLD_RANGES });
+});
+
+// Guarda secciones ya validadas en la DB y en memoria, y avisa a los clientes
+async function saveSections(updates) {
+  const stored = {};
+  Object.keys(updates).forEach(id => { stored[id] = sectionRegistry.toStored(updates[id]); });
+  await db.ref(sectionRegistry.CONFIG_ROOT).update(stored);
+  Object.assign(SECTIONS, updates); // aplicar ya, sin esperar al listener de la DB
+  realtime.broadcast('config-update', { sections: SECTIONS });
+}
+
+// POST /api/config/sections  body: { id, name, description?, enabled?, soilThreshold?, tempHigh?, tempLow?, hysteresis? }
+app.post('/api/config/sections', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!sectionRegistry.isValidId(body.id)) return res.status(400).json({ ok:false, error:'invalid id' });
+    if (SECTIONS[body.id]) return res.status(409).json({ ok:false, error:'section already exists' });
+
+    const created = Object.assign(sectionRegistry.normalizeSection(body.id), { createdAt: new Date().toISOString() });
+    const section = sectionRegistry.mergeSection(created, Object.assign({}, body, { archived: false }));
+    const errors = sectionRegistry.validateSection(section);
+    if (errors.length) return res.status(400).json({ ok:false, error:'validation failed', details: { [body.id]: errors } });
+
+    await saveSections({ [section.id]: section });
+    return res.status(201).json({ ok:true, section });
+  } catch (err) {
+    console.error('Error POST /api/config/sections', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// PUT /api/config/sections  body: { sections: { <id>: { name?, description?, enabled?, soilThreshold?, tempHigh?, tempLow?, hysteresis? } } }
+// Cambios parciales permitidos; se valida todo antes de guardar (si algo falla no se guarda nada).
+app.put('/api/config/sections', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const patch = (req.body && req.body.sections) || null;
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return res.status(400).json({ ok:false, error:'invalid payload' });
+
+    const updates = {};
+    const details = {};
+    for (const id of Object.keys(patch)) {
+      if (!SECTIONS[id]) { details[id] = ['unknown section']; continue; }
+      const merged = sectionRegistry.mergeSection(SECTIONS[id], patch[id] || {});
+      const errors = sectionRegistry.validateSection(merged);
+      if (errors.length) details[id] = errors;
+      else updates[id] = merged;
+    }
+    if (Object.keys(details).length) return res.status(400).json({ ok:false, error:'validation failed', details });
+
+    await saveSections(updates);
+    return res.json({ ok:true, sections: SECTIONS });
+  } catch (err) {
+    console.error('Error PUT /api/config/sections', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// PATCH /api/config/sections/:id  body: campos a cambiar (incluye archived:false para restaurar)
+app.patch('/api/config/sections/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!SECTIONS[id]) return res.status(404).json({ ok:false, error:'section not found' });
+
+    const section = sectionRegistry.mergeSection(SECTIONS[id], req.body || {});
+    const errors = sectionRegistry.validateSection(section);
+    if (errors.length) return res.status(400).json({ ok:false, error:'validation failed', details: { [id]: errors } });
+
+    await saveSections({ [id]: section });
+    return res.json({ ok:true, section });
+  } catch (err) {
+    console.error('Error PATCH /api/config/sections/:id', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// DELETE /api/config/sections/:id -> archiva la sección (no borra su historial ni su último estado)
+app.delete('/api/config/sections/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!SECTIONS[id]) return res.status(404).json({ ok:false, error:'section not found' });
+
+    // al retirar una sección cerramos su válvula por seguridad
+    const snap = await db.ref(`/vivero/secciones/${id}`).once('value');
+    if ((snap.val() || {}).valvula === 'on') {
+      await setValveState(id, 'off', { reason: 'section_archived' }, `ui:${req.user.email}`, { ip: req.ip });
+      emitControlUpdate({ section: id, action: 'off' });
+    }
+
+    const section = sectionRegistry.mergeSection(SECTIONS[id], { archived: true, enabled: false });
+    await saveSections({ [id]: section });
+    return res.json({ ok:true, section });
+  } catch (err) {
+    console.error('Error DELETE /api/config/sections/:id', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// --- Programas de riego ---
+// GET /api/schedules?section= -> { ok:true, programs: [...], active: { <section>: { programId, startedAt, endsAt } } }
+app.get('/api/schedules', authMiddleware, (req, res) => {
+  const section = req.query.section || null;
+  const programs = scheduler.list(section);
+  const active = {};
+  (section ? [section] : Object.keys(SECTIONS)).forEach(s => {
+    const run = scheduler.activeRun(s);
+    if (run) active[s] = run;
+  });
+  res.json({ ok:true, programs, active });
+});
+
+// GET /api/schedules/next?section=&count= -> próximos riegos (vista previa)
+app.get('/api/schedules/next', authMiddleware, (req, res) => {
+  const section = req.query.section || null;
+  if (section && !SECTIONS[section]) return res.status(400).json({ ok:false, error:'Invalid section' });
+  const count = Math.min(Math.max(parseInt(req.query.count, 10) || 10, 1), 100);
+  res.json({ ok:true, runs: scheduler.nextRuns(section, count) });
+});
+
+// POST /api/schedules  body: { section, name?, enabled?, startTimes: ['06:30'], durationMin, weekdays?: [0-6],
+//                              dateFrom?, dateTo?, blackouts?: [{ from:'12:00', to:'16:00' }], skipIfWet? }
+app.post('/api/schedules', authMiddleware, requireRole('operator'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!activeSection(body.section)) return res.status(400).json({ ok:false, error:'Invalid section' });
+    const result = await scheduler.create(body);
+    if (result.errors) return res.status(400).json({ ok:false, error:'validation failed', details: result.errors });
+    return res.status(201).json({ ok:true, program: result.program });
+  } catch (err) {
+    console.error('Error POST /api/schedules', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// PUT /api/schedules/:id  body: campos a cambiar
+app.put('/api/schedules/:id', authMiddleware, requireRole('operator'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.section !== undefined && !activeSection(body.section)) return res.status(400).json({ ok:false, error:'Invalid section' });
+    const result = await scheduler.update(req.params.id, body);
+    if (!result) return res.status(404).json({ ok:false, error:'program not found' });
+    if (result.errors) return res.status(400).json({ ok:false, error:'validation failed', details: result.errors });
+    return res.json({ ok:true, program: result.program });
+  } catch (err) {
+    console.error('Error PUT /api/schedules/:id', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// DELETE /api/schedules/:id -> borra el programa (si estaba regando, cierra la válvula)
+app.delete('/api/schedules/:id', authMiddleware, requireRole('operator'), async (req, res) => {
+  try {
+    const removed = await scheduler.remove(req.params.id);
+    if (!removed) return res.status(404).json({ ok:false, error:'program not found' });
+    return res.json({ ok:true });
+  } catch (err) {
+    console.error('Error DELETE /api/schedules/:id', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// --- Dispositivos (API keys por Pico) ---
+// GET /api/devices -> { ok:true, devices: [{ id, name, sections, keyHint, revoked, lastSeen, lastSection, ... }] }
+app.get('/api/devices', authMiddleware, requireRole('admin'), (req, res) => {
+  res.json({ ok:true, devices: devices.list() });
+});
+
+// GET /api/devices/health -> { ok:true, offlineAfterMin, devices: [{ id, name, status, lastSeen, firmware, diagnostics, ... }] }
+app.get('/api/devices/health', authMiddleware, (req, res) => {
+  res.json({ ok:true, offlineAfterMin: health.offlineMin, devices: health.list() });
+});
+
+// GET /api/devices/:id/config -> { ok:true, document: { version, config, updatedAt }, updatedBy, applied, defaults, limits }
+app.get('/api/devices/:id/config', authMiddleware, requireRole('admin'), (req, res) => {
+  const device = devices.get(req.params.id);
+  if (!device) return res.status(404).json({ ok:false, error:'device not found' });
+  res.json({
+    ok:true,
+    document: remoteConfig.configDocument(device),
+    updatedBy: (device.config || {}).updatedBy || null,
+    applied: device.configApplied || null,
+    defaults: remoteConfig.DEFAULT_CONFIG,
+    limits: remoteConfig.LIMITS
+  });
+});
+
+// PUT /api/devices/:id/config  body (parcial): { sample_interval_s?, report_interval_s?, heartbeat_interval_s?,
+//   fallback_enabled?, fallback_soil_threshold?, fallback_max_open_min? } -> { ok:true, document, changed }
+// El Pico recibe la nueva versión en su siguiente reporte (/api/data o heartbeat) o al pedir /api/device/config.
+app.put('/api/devices/:id/config', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    if (!devices.get(req.params.id)) return res.status(404).json({ ok:false, error:'device not found' });
+    const result = await deviceConfigs.update(req.params.id, req.body || {}, req.user.email);
+    if (result.errors) return res.status(400).json({ ok:false, error:'invalid device config', details: result.errors });
+    return res.json({ ok:true, document: result.document, changed: result.changed });
+  } catch (err) {
+    console.error('Error PUT /api/devices/:id/config', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// Normaliza `sections` (acepta un id suelto o una lista)
+function deviceSections(value) {
+  if (value === undefined) return undefined;
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// POST /api/devices  body: { id, name, sections: [...] } -> { ok:true, device, key } (la key se muestra solo aquí)
+app.post('/api/devices', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!deviceRegistry.isValidId(body.id)) return res.status(400).json({ ok:false, error:'invalid id' });
+    if (devices.get(body.id)) return res.status(409).json({ ok:false, error:'device already exists' });
+
+    const fields = { name: body.name, sections: deviceSections(body.sections) };
+    const errors = deviceRegistry.validateDevice(fields, activeSection);
+    if (errors.length) return res.status(400).json({ ok:false, error:'validation failed', details: errors });
+
+    const result = await devices.create(body.id, fields.name.trim(), fields.sections);
+    return res.status(201).json({ ok:true, device: result.device, key: result.key });
+  } catch (err) {
+    console.error('Error POST /api/devices', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// PATCH /api/devices/:id  body: { name?, sections? }
+app.patch('/api/devices/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const current = devices.get(req.params.id);
+    if (!current) return res.status(404).json({ ok:false, error:'device not found' });
+
+    const body = req.body || {};
+    const fields = {
+      name: body.name !== undefined ? body.name : current.name,
+      sections: body.sections !== undefined ? deviceSections(body.sections) : current.sections
+    };
+    const errors = deviceRegistry.validateDevice(fields, activeSection);
+    if (errors.length) return res.status(400).json({ ok:false, error:'validation failed', details: errors });
+
+    const device = await devices.save(current.id, { name: fields.name.trim(), sections: fields.sections });
+    return res.json({ ok:true, device });
+  } catch (err) {
+    console.error('Error PATCH /api/devices/:id', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// POST /api/devices/:id/rotate -> nueva key (la anterior deja de funcionar de inmediato; reactiva si estaba revocado)
+app.post('/api/devices/:id/rotate', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    if (!devices.get(req.params.id)) return res.status(404).json({ ok:false, error:'device not found' });
+    const result = await devices.rotate(req.params.id);
+    console.log(`API key rotada para ${req.params.id} por ${req.user.email}`);
+    return res.json({ ok:true, device: result.device, key: result.key });
+  } catch (err) {
+    console.error('Error POST /api/devices/:id/rotate', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// POST /api/devices/:id/revoke -> la key deja de aceptarse (el dispositivo queda registrado)
+app.post('/api/devices/:id/revoke', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    if (!devices.get(req.params.id)) return res.status(404).json({ ok:false, error:'device not found' });
+    const device = await devices.revoke(req.params.id);
+    console.log(`API key revocada para ${req.params.id} por ${req.user.email}`);
+    return res.json({ ok:true, device });
+  } catch (err) {
+    console.error('Error POST /api/devices/:id/revoke', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// --- Usuarios (solo admin) ---
+// GET /api/users -> { ok:true, users: [{ email, name, role, disabled, createdAt, lastLogin }] }
+app.get('/api/users', authMiddleware, requireRole('admin'), (req, res) => {
+  res.json({ ok:true, users: users.list(), roles: userAccounts.ROLES });
+});
+
+// POST /api/users  body: { email, name?, role, password }
+app.post('/api/users', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const email = userAccounts.normalizeEmail(body.email);
+    const errors = userAccounts.validateUser({ email, name: body.name, role: body.role, password: body.password === undefined ? null : body.password });
+    if (errors.length) return res.status(400).json({ ok:false, error:'validation failed', details: errors });
+    if (users.get(email)) return res.status(409).json({ ok:false, error:'user already exists' });
+
+    const user = await users.create(email, body.name, body.role, body.password);
+    console.log(`Usuario ${email} (${body.role}) creado por ${req.user.email}`);
+    return res.status(201).json({ ok:true, user });
+  } catch (err) {
+    console.error('Error POST /api/users', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// PATCH /api/users/:email  body: { name?, role?, disabled? }  (disabled:true desactiva la cuenta y sus sesiones)
+app.patch('/api/users/:email', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const current = users.get(req.params.email);
+    if (!current) return res.status(404).json({ ok:false, error:'user not found' });
+
+    const body = req.body || {};
+    const fields = {};
+    ['name', 'role', 'disabled'].forEach(f => { if (body[f] !== undefined) fields[f] = body[f]; });
+    const errors = userAccounts.validateUser(Object.assign({}, current, fields));
+    if (errors.length) return res.status(400).json({ ok:false, error:'validation failed', details: errors });
+    if (!users.keepsAnAdmin(current.email, fields)) return res.status(409).json({ ok:false, error:'at least one active admin is required' });
+
+    const user = await users.save(current.email, fields);
+    if (fields.disabled === true) await sessions.revokeUser(current.email, 'account_disabled');
+    return res.json({ ok:true, user });
+  } catch (err) {
+    console.error('Error PATCH /api/users/:email', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// POST /api/users/:email/password  body: { password } -> restablece la contraseña
+app.post('/api/users/:email/password', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const current = users.get(req.params.email);
+    if (!current) return res.status(404).json({ ok:false, error:'user not found' });
+
+    const errors = userAccounts.validatePassword((req.body || {}).password);
+    if (errors.length) return res.status(400).json({ ok:false, error:'validation failed', details: errors });
+
+    await users.setPassword(current.email, req.body.password);
+    // con la clave nueva se cierran las sesiones abiertas con la anterior
+    const closed = await sessions.revokeUser(current.email, 'password_reset');
+    console.log(`Contraseña de ${current.email} restablecida por ${req.user.email} (${closed} sesiones cerradas)`);
+    return res.json({ ok:true, sessionsClosed: closed });
+  } catch (err) {
+    console.error('Error POST /api/users/:email/password', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
+// POST /api/users/:email/logout -> cierra todas las sesiones del usuario (web y sockets)
+app.post('/api/users/:email/logout', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const current = users.get(req.params.email);
+    if (!current) return res.status(404).json({ ok:false, error:'user not found' });
+    const closed = await sessions.revokeUser(current.email, `admin:${req.user.email}`);
+    return res.json({ ok:true, sessionsClosed: closed });
+  } catch (err) {
+    console.error('Error POST /api/users/:email/logout', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
 // POST /api/ui/control
 // Este endpoint es llamado por la UI (sin API key). El servidor valida origen/sesión y aplica el control
-app.post('/api/ui/control', authMiddleware, async (req, res) => {
+app.post('/api/ui/control', authMiddleware, requireRole('operator'), async (req, res) => {
 
   try {
     // Opcional: validar origen o sesión
     // if (req.get('origin') && !req.get('origin').includes('your-frontend-domain')) return res.status(403).json({ ok:false, error:'forbidden' });
 
     // Alternativa más segura: validar sesión / cookie / JWT aquí
+    // durationMin (opcional): riego manual temporizado, al terminar vuelve al modo anterior
     const { section, action } = req.body;
-    if (!section || !['on','off'].includes(action)) return res.status(400).json({ ok:false, error:'invalid payload' });
+    const durationMin = parseManualDuration(req.body.durationMin);
+    if (!section || !['on','off'].includes(action) || Number.isNaN(durationMin)) return res.status(400).json({ ok:false, error:'invalid payload' });
+    if (!controllableSection(section)) return res.status(409).json({ ok:false, error:'section not found, disabled or archived' });
 
     // Internamente usamos la lógica existente: actualizamos la DB (sin exponer API_KEY)
-    const refPath = `/vivero/secciones/${section}`;
-    await db.ref(refPath).update({ valvula: action, ultima_actualizacion: new Date().toISOString(), manual_override: true });
-
-    // Emitimos evento a los clientes conectados
-    io.emit('control-update', { section, action });
+    // (el controlador de modos emite control-update a los clientes conectados)
+    const result = await modeController.manualCommand(section, action, durationMin, `ui:${req.user.email}`, { ip: req.ip });
+    if (!result.ok) return res.status(409).json({ ok:false, error: manualCommandError(result), code: result.code, retryInSec: result.retryInSec });
 
-    return res.json({ ok:true, section, action });
+    return res.json({ ok:true, section, action, modo: result.modo, manual_hasta: result.manual_hasta });
   } catch (err) {
     console.error('Error /api/ui/control', err);
     return res.status(500).json({ ok:false, error:'internal' });
   }
 });
 
+// POST /api/ui/mode  body: { section, mode: 'auto'|'manual'|'off' }
+app.post('/api/ui/mode', authMiddleware, requireRole('operator'), async (req, res) => {
+  try {
+    const { section, mode } = req.body || {};
+    if (!section || !operatingModes.MODES.includes(mode)) return res.status(400).json({ ok:false, error:'invalid payload' });
+    if (!controllableSection(section)) return res.status(409).json({ ok:false, error:'section not found, disabled or archived' });
+
+    const result = await modeController.setMode(section, mode, `ui:${req.user.email}`, { ip: req.ip });
+    return res.json({ ok:true, section, modo: result.modo });
+  } catch (err) {
+    console.error('Error /api/ui/mode', err);
+    return res.status(500).json({ ok:false, error:'internal' });
+  }
+});
+
 // --- Iniciar servidor ---
+scheduler.start();
+watchdog.start();
+commandTracker.start();
+alerts.start().catch(err => console.error('Error iniciando alertas', err));
+// la configuración del simulador se sigue desde la DB (se activa / desactiva desde Ajustes)
+db.ref(deviceSimulator.SIM_ROOT).on('value', snap => simulator.configure(snap.val()), err => console.error('Error leyendo simulación', err));
+if (mqttBridge) mqttBridge.start();
+modeController.restore().catch(err => console.error('Error restaurando riegos manuales', err));
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Servidor vivo en puerto ${PORT}`);
 });
+
+// Al detener el servidor se guarda lo pendiente de la base local (STORAGE_BACKEND=file)
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+  Promise.resolve(storage.close())
+    .catch(err => console.error('Error cerrando almacenamiento', err))
+    .then(() => process.exit(0));
+}));
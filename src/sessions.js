@@ -0,0 +1,174 @@
+// src/sessions.js
+// Sesiones de usuario: access token JWT de vida corta (lleva `sid`) + refresh token opaco que se rota en
+// cada uso. Guardadas en /vivero/sesiones/<sid> = { email, refreshHash, createdAt, expiresAt, lastRefresh,
+//                                                   userAgent, revoked, revokedAt, revokeReason }
+// Revocar una sesión (logout, admin, cuenta desactivada) invalida de inmediato sus access tokens aunque no
+// hayan expirado: authMiddleware y el handshake de Socket.IO consultan esta lista.
+
+const crypto = require('crypto');
+
+const SESSIONS_ROOT = '/vivero/sesiones';
+// valores por defecto de createSessionStore (el servidor los toma de ACCESS_TOKEN_TTL / REFRESH_TOKEN_DAYS)
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_DAYS = 7;
+const PRUNE_MS = 60 * 60 * 1000;
+// sesiones revocadas/expiradas se conservan un tiempo para poder auditar y luego se borran
+const KEEP_ENDED_MS = 24 * 60 * 60 * 1000;
+// tras rotar, el refresh token anterior sigue entregando el mismo par nuevo por este tiempo (dos pestañas
+// que renuevan a la vez con el token compartido no cuentan como reuso)
+const ROTATE_GRACE_MS = 30 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Refresh token "<sid>.<secreto>" (mismo formato que las API keys de dispositivos)
+function parseRefreshToken(token) {
+  if (typeof token !== 'string') return null;
+  const i = token.indexOf('.');
+  if (i <= 0 || i === token.length - 1) return null;
+  return { sid: token.slice(0, i), secret: token.slice(i + 1) };
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function isActive(session, now = Date.now()) {
+  return !!session && !session.revoked && Date.parse(session.expiresAt) > now;
+}
+
+// deps: { db, accessTokenTtl? (expiresIn de jsonwebtoken), refreshTokenDays? }
+function createSessionStore(deps) {
+  const { db, accessTokenTtl = ACCESS_TOKEN_TTL, refreshTokenDays = REFRESH_TOKEN_DAYS } = deps;
+  const sessions = {};
+  const revokeListeners = [];
+  // última rotación por sesión: { previousHash, refreshToken, at, saved } (solo en memoria: el token nuevo no se guarda)
+  const recentRotations = {};
+  let timer = null;
+
+  const sessionRef = sid => db.ref(`${SESSIONS_ROOT}/${sid}`);
+
+  function fireRevoked(sid, session) {
+    revokeListeners.forEach(fn => {
+      try { fn(sid, session); } catch (err) { console.error('Error en listener de revocación', err); }
+    });
+  }
+
+  function start() {
+    // la lista se mantiene sincronizada con la DB para que revocaciones hechas por otra instancia apliquen aquí
+    db.ref(SESSIONS_ROOT).on('value', snap => {
+      const stored = snap.val() || {};
+      Object.keys(sessions).forEach(sid => { if (!stored[sid]) delete sessions[sid]; });
+      Object.keys(stored).forEach(sid => {
+        const wasActive = sessions[sid] && !sessions[sid].revoked;
+        sessions[sid] = stored[sid];
+        if (wasActive && stored[sid].revoked) fireRevoked(sid, stored[sid]);
+      });
+    }, err => console.error('Error leyendo sesiones', err));
+    timer = setInterval(() => prune().catch(err => console.error('Error limpiando sesiones', err)), PRUNE_MS);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  async function create(email, meta = {}) {
+    const sid = crypto.randomUUID();
+    const secret = newSecret();
+    const now = Date.now();
+    const session = {
+      email,
+      refreshHash: hashSecret(secret),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + refreshTokenDays * 86400000).toISOString(),
+      userAgent: meta.userAgent || null,
+      revoked: false
+    };
+    await sessionRef(sid).set(session);
+    sessions[sid] = session;
+    return { sid, refreshToken: `${sid}.${secret}`, session };
+  }
+
+  // Cambia un refresh token por uno nuevo. Reusar un refresh token ya rotado revoca la sesión
+  // (indica que alguien copió el token), salvo dentro de ROTATE_GRACE_MS: ahí se devuelve el mismo par ya
+  // rotado. Devuelve { sid, refreshToken, session } o null.
+  async function rotate(refreshToken, now = Date.now()) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+    const session = sessions[parsed.sid];
+    if (!isActive(session, now)) return null;
+    const hash = hashSecret(parsed.secret);
+    if (hash !== session.refreshHash) {
+      const recent = recentRotations[parsed.sid];
+      if (recent && recent.previousHash === hash && now - recent.at <= ROTATE_GRACE_MS) {
+        await recent.saved;
+        return { sid: parsed.sid, refreshToken: recent.refreshToken, session };
+      }
+      await revoke(parsed.sid, 'refresh_reuse');
+      console.warn(`refresh token reutilizado en sesión ${parsed.sid} (${session.email}): sesión revocada`);
+      return null;
+    }
+    // el hash nuevo se aplica antes de esperar la DB: una petición simultánea ya ve el token como rotado
+    const secret = newSecret();
+    const fields = { refreshHash: hashSecret(secret), lastRefresh: new Date(now).toISOString() };
+    Object.assign(session, fields);
+    const saved = sessionRef(parsed.sid).update(fields);
+    recentRotations[parsed.sid] = { previousHash: hash, refreshToken: `${parsed.sid}.${secret}`, at: now, saved };
+    await saved;
+    return { sid: parsed.sid, refreshToken: `${parsed.sid}.${secret}`, session };
+  }
+
+  function get(sid) {
+    return sid ? sessions[sid] || null : null;
+  }
+
+  // Sid dueño del refresh token (sin rotarlo), para logout con el access token ya vencido
+  function sidForRefreshToken(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    const session = parsed && sessions[parsed.sid];
+    return session && hashSecret(parsed.secret) === session.refreshHash ? parsed.sid : null;
+  }
+
+  async function revoke(sid, reason) {
+    const session = sessions[sid];
+    if (!session || session.revoked) return false;
+    const fields = { revoked: true, revokedAt: new Date().toISOString(), revokeReason: reason || null };
+    Object.assign(session, fields);
+    await sessionRef(sid).update(fields);
+    fireRevoked(sid, session);
+    return true;
+  }
+
+  // Revoca todas las sesiones activas de un usuario; devuelve cuántas se cerraron
+  async function revokeUser(email, reason) {
+    const sids = Object.keys(sessions).filter(sid => sessions[sid].email === email && isActive(sessions[sid]));
+    for (const sid of sids) await revoke(sid, reason);
+    return sids.length;
+  }
+
+  async function prune(now = Date.now()) {
+    Object.keys(recentRotations).forEach(sid => {
+      if (now - recentRotations[sid].at > ROTATE_GRACE_MS) delete recentRotations[sid];
+    });
+    const updates = {};
+    Object.keys(sessions).forEach(sid => {
+      const s = sessions[sid];
+      const endedAt = s.revoked ? Date.parse(s.revokedAt) : Date.parse(s.expiresAt);
+      if (!isActive(s, now) && now - endedAt > KEEP_ENDED_MS) updates[sid] = null;
+    });
+    if (Object.keys(updates).length) await db.ref(SESSIONS_ROOT).update(updates);
+  }
+
+  function onRevoke(fn) {
+    revokeListeners.push(fn);
+  }
+
+  return {
+    accessTokenTtl, start, stop, create, rotate, get, sidForRefreshToken, revoke, revokeUser, prune, onRevoke,
+    isActive: sid => isActive(get(sid))
+  };
+}
+
+module.exports = { SESSIONS_ROOT, ACCESS_TOKEN_TTL, REFRESH_TOKEN_DAYS, ROTATE_GRACE_MS, parseRefreshToken, createSessionStore };
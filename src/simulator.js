@@ -0,0 +1,169 @@
+// src/simulator.js
+// Simulador de dispositivos (modo SIMULATE de Ajustes) para demos y para probar reglas sin hardware.
+// Genera lecturas de cada sección y las envía por la misma ingesta que POST /api/data:
+// - ciclo día / noche (luz según la hora local, la temperatura la sigue con retardo y la humedad
+//   ambiente al revés), el suelo se seca más rápido con sol y calor y sube con la válvula abierta;
+// - el "dispositivo" obedece el estado deseado de la válvula y confirma los comandos (ack), y lleva un
+//   contador de caudalímetro con el caudal de la sección (o DEFAULT_FLOW_LPM);
+// - ruido configurable y fallas por sección: 'stuck_sensor' (el suelo queda congelado), 'dropout' (no
+//   envía lecturas) y 'valve_stuck' (la válvula no obedece los comandos).
+// Configuración en /vivero/config/simulacion = { enabled, intervalSec, noise, speed, faults: { <section>: falla },
+//                                               updatedAt, updatedBy }
+
+const SIM_ROOT = '/vivero/config/simulacion';
+const DEVICE_ID = 'simulador';
+const FAULTS = ['none', 'stuck_sensor', 'dropout', 'valve_stuck'];
+const DEFAULT_CONFIG = { enabled: false, intervalSec: 10, noise: 0.2, speed: 1, faults: {} };
+const LIMITS = { intervalSec: [2, 3600], noise: [0, 1], speed: [1, 120] };
+// escala cruda del sensor para secciones sin calibrar (los umbrales por defecto, 300-400, quedan al 33-50 %)
+const RAW_DRY = 100;
+const RAW_WET = 700;
+const DEFAULT_FLOW_LPM = 6;
+const MAX_LUX = 60000;
+
+// Valida un cambio de configuración; devuelve { errors } o { config } completa
+function validateConfig(current, patch) {
+  const config = Object.assign({}, DEFAULT_CONFIG, current, patch);
+  const errors = [];
+  if (typeof config.enabled !== 'boolean') errors.push('enabled must be a boolean');
+  Object.keys(LIMITS).forEach(f => {
+    const [min, max] = LIMITS[f];
+    if (typeof config[f] !== 'number' || config[f] < min || config[f] > max) errors.push(`${f} must be a number between ${min} and ${max}`);
+  });
+  if (!config.faults || typeof config.faults !== 'object' || Array.isArray(config.faults)) {
+    errors.push('faults must be an object { <section>: fault }');
+  } else {
+    Object.keys(config.faults).forEach(s => {
+      if (!FAULTS.includes(config.faults[s])) errors.push(`faults.${s} must be one of ${FAULTS.join(', ')}`);
+    });
+  }
+  return errors.length ? { errors } : { config };
+}
+
+// Luz relativa 0..1 según la hora local (amanece 6:00, anochece 18:00)
+function sunFactor(date) {
+  const hour = date.getHours() + date.getMinutes() / 60;
+  return hour <= 6 || hour >= 18 ? 0 : Math.sin(Math.PI * (hour - 6) / 12);
+}
+
+// Ruido gaussiano (Box-Muller)
+function gaussian() {
+  const u = 1 - Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+function round(v, decimals) {
+  const f = Math.pow(10, decimals);
+  return Math.round(v * f) / f;
+}
+
+// Humedad de suelo (%) -> lectura cruda del ADC, con la calibración de la sección si la tiene
+function rawSoil(cfg, pct) {
+  const calibrated = Number.isFinite(cfg.soilDry) && Number.isFinite(cfg.soilWet) && cfg.soilDry !== cfg.soilWet;
+  const dry = calibrated ? cfg.soilDry : RAW_DRY;
+  const wet = calibrated ? cfg.soilWet : RAW_WET;
+  return Math.round(dry + (wet - dry) * pct / 100);
+}
+
+// Estado inicial de una sección simulada
+function initialState(date) {
+  const sun = sunFactor(date);
+  const soil = 45 + Math.random() * 10;
+  return { soil, temp: 16 + 10 * sun, valve: 'off', water: 0, stuckSoil: soil };
+}
+
+// Avanza el modelo `hours` horas (ya multiplicadas por speed). Muta y devuelve `sim`.
+function step(sim, date, hours, valveOn, flowLpm) {
+  const sun = sunFactor(date);
+  // la temperatura se acerca a la del momento del día con una constante de ~1 h
+  const targetTemp = 14 + 14 * sun;
+  sim.temp += (targetTemp - sim.temp) * Math.min(1, hours);
+  // secado (%/h): base + sol y calor; riego: +30 %/h con la válvula abierta
+  const drying = 0.3 + 2.5 * sun * Math.max(0.2, sim.temp / 30);
+  sim.soil += (valveOn ? 30 : 0) * hours - drying * hours;
+  sim.soil = Math.min(100, Math.max(0, sim.soil));
+  if (valveOn) sim.water += flowLpm * 60 * hours;
+  return sim;
+}
+
+// Lectura en el formato de /api/data a partir del modelo (con ruido y falla de sensor congelado)
+function reading(cfg, sim, date, noise, fault) {
+  const sun = sunFactor(date);
+  const soil = fault === 'stuck_sensor' ? sim.stuckSoil : sim.soil + gaussian() * 2 * noise;
+  return {
+    section: cfg.id,
+    device_id: DEVICE_ID,
+    humedad_suelo: rawSoil(cfg, Math.min(100, Math.max(0, soil))),
+    temp: round(sim.temp + gaussian() * 0.5 * noise, 1),
+    humedad_amb: round(Math.min(100, Math.max(5, 85 - 40 * sun + gaussian() * 3 * noise)), 1),
+    luminosidad: Math.max(0, Math.round(MAX_LUX * sun * (1 + gaussian() * 0.05 * noise))),
+    agua_litros: round(sim.water, 2),
+    valvula_estado: sim.valve
+  };
+}
+
+// deps: { getSections() -> secciones activas, getState(section) -> Promise<estado>,
+//         ingest(body) -> Promise<{ error?, details? }> (misma ingesta que /api/data) }
+function createSimulator(deps) {
+  const { getSections, getState, ingest } = deps;
+  const sims = {};
+  let config = Object.assign({}, DEFAULT_CONFIG);
+  let timer = null;
+  let ticking = false;
+  let lastTick = null;
+
+  async function simulateSection(cfg, now, hours) {
+    const fault = config.faults[cfg.id] || 'none';
+    const sim = sims[cfg.id] || (sims[cfg.id] = initialState(new Date(now)));
+    const state = await getState(cfg.id);
+
+    // el dispositivo obedece el estado deseado (salvo falla de válvula) y confirma el comando pendiente
+    if (fault !== 'valve_stuck') sim.valve = state.valvula === 'on' ? 'on' : 'off';
+    step(sim, new Date(now), hours, sim.valve === 'on', cfg.flowRateLpm || DEFAULT_FLOW_LPM);
+    if (fault !== 'stuck_sensor') sim.stuckSoil = sim.soil;
+    if (fault === 'dropout') return;
+
+    const body = reading(cfg, sim, new Date(now), config.noise, fault);
+    const command = state.comando;
+    if (fault !== 'valve_stuck' && command && command.status === 'pending' && command.action === sim.valve) body.ack = command.id;
+    const outcome = await ingest(body);
+    if (outcome.error) console.warn(`simulador ${cfg.id}: lectura rechazada (${outcome.error})`, outcome.details || '');
+  }
+
+  async function tick(now = Date.now()) {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const hours = (lastTick ? now - lastTick : config.intervalSec * 1000) / 3600000 * config.speed;
+      lastTick = now;
+      for (const cfg of getSections()) {
+        try {
+          await simulateSection(cfg, now, hours);
+        } catch (err) {
+          console.error('simulador: error en sección', cfg.id, err);
+        }
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    lastTick = null;
+  }
+
+  // Aplica una configuración (la guardada en la DB); arranca, reprograma o detiene el simulador
+  function configure(stored) {
+    config = Object.assign({}, DEFAULT_CONFIG, stored, { faults: (stored && stored.faults) || {} });
+    stop();
+    if (!config.enabled) return;
+    timer = setInterval(() => tick().catch(err => console.error('simulador tick error', err)), config.intervalSec * 1000);
+    console.log(`Simulador activo: lecturas cada ${config.intervalSec}s (velocidad ×${config.speed})`);
+  }
+
+  return { configure, stop, tick, getConfig: () => Object.assign({}, config) };
+}
+
+module.exports = { SIM_ROOT, DEVICE_ID, FAULTS, DEFAULT_CONFIG, LIMITS, validateConfig, sunFactor, step, createSimulator };
@@ -0,0 +1,86 @@
+// src/storage.js
+// Capa de almacenamiento: elige la base de datos según STORAGE_BACKEND.
+// - 'firebase' (por defecto): Firebase Realtime DB con el Service Account (SERVICE_ACCOUNT_JSON o
+//   SERVICE_ACCOUNT_PATH) y FIREBASE_DATABASE_URL.
+// - 'memory': base local en memoria (src/localdb.js); se pierde al reiniciar. Para pruebas automatizadas.
+// - 'file': base local guardada en JSON (STORAGE_FILE, por defecto data/vivero-db.json). Para desarrollo sin conexión.
+// Todos los módulos reciben `db` y usan solo la interfaz de referencias de Firebase (ref, once, on, set,
+// update, push, transaction y consultas orderByChild / startAt / endAt / limitTo*), que la base local
+// implementa con la misma semántica; así la app se comporta igual con cualquiera de los dos.
+
+const fs = require('fs');
+const path = require('path');
+
+const { createLocalDatabase } = require('./localdb');
+
+const BACKENDS = ['firebase', 'memory', 'file'];
+const PROJECT_DIR = path.join(__dirname, '..');
+const DEFAULT_FILE = path.join('data', 'vivero-db.json');
+
+function resolveProjectPath(p) {
+  return path.isAbsolute(p) ? p : path.join(PROJECT_DIR, p.replace(/^\.\//, ''));
+}
+
+// Service Account de Firebase desde SERVICE_ACCOUNT_JSON o SERVICE_ACCOUNT_PATH (lanza error si falta o es inválido)
+function loadServiceAccount(env) {
+  if (env.SERVICE_ACCOUNT_JSON && env.SERVICE_ACCOUNT_JSON.trim().length > 0) {
+    try {
+      const account = JSON.parse(env.SERVICE_ACCOUNT_JSON);
+      console.log('Firebase Admin: usando SERVICE_ACCOUNT_JSON desde variables de entorno');
+      return account;
+    } catch (err) {
+      throw new Error(`SERVICE_ACCOUNT_JSON no es JSON válido: ${err.message}`);
+    }
+  }
+  if (env.SERVICE_ACCOUNT_PATH) {
+    const resolvedPath = resolveProjectPath(env.SERVICE_ACCOUNT_PATH);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`no se encuentra el Service Account JSON en la ruta: ${resolvedPath}. ` +
+        'Verifica SERVICE_ACCOUNT_PATH en .env o usa SERVICE_ACCOUNT_JSON en producción.');
+    }
+    try {
+      const account = require(resolvedPath);
+      console.log('Firebase Admin: usando Service Account desde archivo:', resolvedPath);
+      return account;
+    } catch (err) {
+      throw new Error(`error cargando Service Account desde archivo: ${err.message}`);
+    }
+  }
+  throw new Error('No se proporcionó SERVICE_ACCOUNT_JSON ni SERVICE_ACCOUNT_PATH. Define al menos una, ' +
+    'o usa STORAGE_BACKEND=memory | file para correr sin Firebase.');
+}
+
+// deps: { env, loadFirebase() -> firebase-admin (se carga solo si se usa) }
+// Devuelve { backend, db, close() }; lanza error si la configuración no sirve.
+function createStorage(deps) {
+  const { env, loadFirebase } = deps;
+  const backend = env.STORAGE_BACKEND || 'firebase';
+  if (!BACKENDS.includes(backend)) throw new Error(`STORAGE_BACKEND debe ser uno de: ${BACKENDS.join(', ')}`);
+
+  if (backend === 'memory') {
+    console.log('Almacenamiento: base local en memoria (los datos se pierden al reiniciar)');
+    return { backend, db: createLocalDatabase(), close: () => {} };
+  }
+
+  if (backend === 'file') {
+    const file = resolveProjectPath(env.STORAGE_FILE || DEFAULT_FILE);
+    const db = createLocalDatabase({ file });
+    console.log('Almacenamiento: base local en', file);
+    return { backend, db, close: () => db.flush() };
+  }
+
+  const serviceAccount = loadServiceAccount(env);
+  const admin = loadFirebase();
+  try {
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+      databaseURL: env.FIREBASE_DATABASE_URL
+    });
+  } catch (err) {
+    throw new Error(`error inicializando Firebase Admin: ${err.message}`);
+  }
+  console.log('Firebase Admin inicializado correctamente.');
+  return { backend, db: admin.database(), close: () => admin.app().delete() };
+}
+
+module.exports = { BACKENDS, loadServiceAccount, createStorage };
@@ -0,0 +1,140 @@
+// src/telemetry.js
+// Esquema de la telemetría que envía el Pico a POST /api/data y calibración del sensor de suelo.
+// - Solo se aceptan los campos del esquema, con su tipo y rango; cualquier error rechaza la lectura
+//   completa (400 con el detalle) para no guardar basura en la DB.
+// - humedad_suelo llega como valor crudo del ADC; con la calibración de la sección (soilDry / soilWet /
+//   soilOffset) se convierte a porcentaje y se guarda también como humedad_suelo_pct.
+// - Diagnósticos opcionales del dispositivo (DIAGNOSTIC_SCHEMA) pueden venir en cualquier lectura o en un
+//   heartbeat; no son de la sección: se separan de la lectura y se guardan en el dispositivo (ver src/health.js).
+
+// type: 'number' | 'integer' | 'string' | 'enum' | 'time'; unit es informativa (mensajes de error / documentación)
+const TELEMETRY_SCHEMA = {
+  section: { type: 'string', required: true, max: 32 },
+  device_id: { type: 'string', max: 40 },
+  humedad_suelo: { type: 'number', min: 0, max: 65535, unit: 'ADC' },
+  temp: { type: 'number', min: -40, max: 85, unit: '°C' },
+  humedad_amb: { type: 'number', min: 0, max: 100, unit: '%' },
+  luminosidad: { type: 'number', min: 0, max: 200000, unit: 'lux' },
+  agua_litros: { type: 'number', min: 0, max: 1e9, unit: 'L' }, // contador acumulado del caudalímetro
+  valvula_estado: { type: 'enum', values: ['on', 'off'] },
+  valvula: { type: 'enum', values: ['on', 'off'] }, // firmwares antiguos: estado reportado
+  ack: { type: 'string', max: 64 },
+  config_version: { type: 'integer', min: 0, max: 1e9 } // configuración remota aplicada (ver src/deviceconfig.js)
+};
+
+// Diagnósticos del dispositivo: uptime, señal Wi-Fi, memoria libre, versión de firmware y tensión de alimentación
+const DIAGNOSTIC_SCHEMA = {
+  uptime_s: { type: 'integer', min: 0, max: 1e10, unit: 's' },
+  rssi: { type: 'number', min: -120, max: 0, unit: 'dBm' },
+  free_mem: { type: 'integer', min: 0, max: 1e9, unit: 'bytes' },
+  firmware: { type: 'string', max: 40 },
+  vcc: { type: 'number', min: 0, max: 30, unit: 'V' }
+};
+const DIAGNOSTIC_FIELDS = Object.keys(DIAGNOSTIC_SCHEMA);
+Object.assign(TELEMETRY_SCHEMA, DIAGNOSTIC_SCHEMA);
+
+// Campos extra de cada lectura de un lote (POST /api/data/batch): hora del dispositivo (epoch ms o ISO)
+// y número de secuencia. Se aceptan lecturas de hasta MAX_BACKFILL_MS atrás y MAX_CLOCK_SKEW_MS adelante.
+const BATCH_ITEM_SCHEMA = {
+  ts: { type: 'time', required: true },
+  seq: { type: 'integer', required: true, min: 0, max: Number.MAX_SAFE_INTEGER }
+};
+const MAX_BATCH_ITEMS = 500;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_BACKFILL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Campos de lectura: una telemetría debe traer al menos uno
+const READING_FIELDS = ['humedad_suelo', 'temp', 'humedad_amb', 'luminosidad', 'agua_litros'];
+
+// Devuelve { value } (normalizado) o { error }
+function checkField(name, rule, value, now) {
+  if (rule.type === 'number' || rule.type === 'integer') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${name} must be a number` };
+    if (rule.type === 'integer' && !Number.isInteger(value)) return { error: `${name} must be an integer` };
+    if (value < rule.min || value > rule.max) return { error: `${name} must be between ${rule.min} and ${rule.max}${rule.unit ? ` ${rule.unit}` : ''}` };
+  } else if (rule.type === 'string') {
+    if (typeof value !== 'string' || !value.trim()) return { error: `${name} must be a non-empty string` };
+    if (value.length > rule.max) return { error: `${name} must have at most ${rule.max} characters` };
+  } else if (rule.type === 'enum' && !rule.values.includes(value)) {
+    return { error: `${name} must be one of ${rule.values.join(', ')}` };
+  } else if (rule.type === 'time') {
+    const ts = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(ts)) return { error: `${name} must be epoch ms or an ISO date` };
+    if (ts > now + MAX_CLOCK_SKEW_MS) return { error: `${name} is in the future (check the device clock)` };
+    if (ts < now - MAX_BACKFILL_MS) return { error: `${name} is older than ${MAX_BACKFILL_MS / 86400000} days` };
+    return { value: ts };
+  }
+  return { value };
+}
+
+// Valida los campos de `body` contra `schema`: { errors, payload } (payload solo con campos válidos)
+function checkFields(body, schema, now) {
+  const errors = [];
+  const payload = {};
+  Object.keys(body).forEach(name => {
+    const rule = schema[name];
+    if (!rule) return errors.push(`unknown field: ${name}`);
+    if (body[name] === null || body[name] === undefined) return;
+    const checked = checkField(name, rule, body[name], now);
+    if (checked.error) errors.push(checked.error);
+    else payload[name] = checked.value;
+  });
+  Object.keys(schema).forEach(name => {
+    if (schema[name].required && body[name] === undefined) errors.push(`${name} is required`);
+  });
+  return { errors, payload };
+}
+
+// Valida una telemetría. Devuelve { errors: [...] } o { payload } (copia solo con campos del esquema).
+// extraSchema: campos adicionales permitidos (ej. BATCH_ITEM_SCHEMA para lecturas de un lote).
+function validateTelemetry(body, extraSchema, now = Date.now()) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { errors: ['payload must be a JSON object'] };
+  const { errors, payload } = checkFields(body, Object.assign({}, TELEMETRY_SCHEMA, extraSchema), now);
+  if (!READING_FIELDS.some(f => payload[f] !== undefined) && !errors.length) {
+    errors.push(`at least one reading is required (${READING_FIELDS.join(', ')})`);
+  }
+  return errors.length ? { errors } : { payload };
+}
+
+// Valida un heartbeat (POST /api/device/heartbeat): solo device_id, config_version y diagnósticos, todos opcionales
+function validateHeartbeat(body, now = Date.now()) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { errors: ['payload must be a JSON object'] };
+  const schema = Object.assign({ device_id: TELEMETRY_SCHEMA.device_id, config_version: TELEMETRY_SCHEMA.config_version }, DIAGNOSTIC_SCHEMA);
+  const { errors, payload } = checkFields(body, schema, now);
+  return errors.length ? { errors } : { payload };
+}
+
+// Quita los diagnósticos de una lectura validada; los devuelve (o null si no traía ninguno)
+function splitDiagnostics(payload) {
+  const diagnostics = {};
+  DIAGNOSTIC_FIELDS.forEach(f => {
+    if (payload[f] === undefined) return;
+    diagnostics[f] = payload[f];
+    delete payload[f];
+  });
+  return Object.keys(diagnostics).length ? diagnostics : null;
+}
+
+// ¿La sección tiene los dos puntos de referencia del sensor de suelo?
+function isCalibrated(cfg) {
+  return Number.isFinite(cfg.soilDry) && Number.isFinite(cfg.soilWet) && cfg.soilDry !== cfg.soilWet;
+}
+
+// Lectura cruda -> % (0 = suelo seco como en soilDry, 100 = saturado como en soilWet), más soilOffset.
+// Funciona tanto para sensores cuyo valor sube como baja con la humedad. null si no hay calibración.
+function calibrateSoil(raw, cfg) {
+  if (typeof raw !== 'number' || !isCalibrated(cfg)) return null;
+  const pct = (raw - cfg.soilDry) / (cfg.soilWet - cfg.soilDry) * 100 + (cfg.soilOffset || 0);
+  return Math.round(Math.min(100, Math.max(0, pct)) * 10) / 10;
+}
+
+// Humedad de suelo en la unidad de los umbrales de la sección (soilUnit 'raw' o 'pct'); null si no hay dato
+function soilValue(cfg, state) {
+  const v = cfg.soilUnit === 'pct' ? state.humedad_suelo_pct : state.humedad_suelo;
+  return typeof v === 'number' && Number.isFinite(v) ? v : null;
+}
+
+module.exports = {
+  TELEMETRY_SCHEMA, BATCH_ITEM_SCHEMA, DIAGNOSTIC_SCHEMA, MAX_BATCH_ITEMS, READING_FIELDS, DIAGNOSTIC_FIELDS,
+  validateTelemetry, validateHeartbeat, splitDiagnostics, isCalibrated, calibrateSoil, soilValue
+};
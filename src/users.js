@@ -0,0 +1,121 @@
+// src/users.js
+// Cuentas de usuario con roles, guardadas en /vivero/usuarios/<key> (key = email en minúsculas con '.' -> ',',
+// porque Firebase no acepta puntos en las keys):
+//   { email, name, role: 'viewer'|'operator'|'admin', disabled, passwordHash (bcrypt), createdAt, updatedAt, lastLogin }
+// Roles acumulativos: viewer ve dashboards/reportes, operator además controla válvulas y programas,
+// admin además cambia umbrales, dispositivos y usuarios.
+
+const USERS_ROOT = '/vivero/usuarios';
+const ROLES = ['viewer', 'operator', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+const EMAIL_PATTERN = /^[^\s@/#$[\]]+@[^\s@/#$[\]]+\.[^\s@/#$[\]]+$/;
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function userKey(email) {
+  return normalizeEmail(email).replace(/\./g, ',');
+}
+
+// ¿El rol `role` alcanza para lo que exige `required`?
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Valida los campos de un usuario (password solo si viene)
+function validateUser(user) {
+  const errors = [];
+  if (!EMAIL_PATTERN.test(user.email || '')) errors.push('email must be a valid address');
+  if (!ROLES.includes(user.role)) errors.push(`role must be one of ${ROLES.join(', ')}`);
+  if (user.name !== undefined && (typeof user.name !== 'string' || user.name.length > 60)) errors.push('name must be a string (max 60)');
+  if (user.disabled !== undefined && typeof user.disabled !== 'boolean') errors.push('disabled must be boolean');
+  if (user.password !== undefined) errors.push(...validatePassword(user.password));
+  return errors;
+}
+
+function validatePassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH
+    ? []
+    : [`password must have at least ${MIN_PASSWORD_LENGTH} characters`];
+}
+
+// Vista pública de un usuario (sin hash)
+function publicUser(stored) {
+  const u = Object.assign({}, stored);
+  delete u.passwordHash;
+  return u;
+}
+
+// deps: { db, bcrypt }
+function createUserStore(deps) {
+  const { db, bcrypt } = deps;
+  const users = {};
+
+  function start() {
+    db.ref(USERS_ROOT).on('value', snap => {
+      const stored = snap.val() || {};
+      Object.keys(users).forEach(k => { if (!stored[k]) delete users[k]; });
+      Object.keys(stored).forEach(k => { users[k] = stored[k]; });
+    }, err => console.error('Error leyendo usuarios', err));
+  }
+
+  // Primera ejecución: si no hay usuarios, crea el admin de .env (ADMIN_EMAIL + ADMIN_PASSWORD_HASH o
+  // ADMIN_PLAIN_PASSWORD) para no quedar fuera del sistema al migrar desde la cuenta única.
+  async function seedAdmin(env) {
+    const snap = await db.ref(USERS_ROOT).once('value');
+    if (snap.exists() || !env.ADMIN_EMAIL) return;
+    const passwordHash = env.ADMIN_PASSWORD_HASH || (env.ADMIN_PLAIN_PASSWORD ? await bcrypt.hash(env.ADMIN_PLAIN_PASSWORD, BCRYPT_ROUNDS) : null);
+    if (!passwordHash) return;
+    await save(env.ADMIN_EMAIL, { name: 'Administrador', role: 'admin', disabled: false, passwordHash, createdAt: new Date().toISOString() });
+    console.log(`Usuario admin inicial creado: ${normalizeEmail(env.ADMIN_EMAIL)}`);
+  }
+
+  function get(email) {
+    const u = users[userKey(email)];
+    return u ? publicUser(u) : null;
+  }
+
+  function list() {
+    return Object.keys(users).sort().map(k => publicUser(users[k]));
+  }
+
+  async function save(email, fields) {
+    const key = userKey(email);
+    const stored = Object.assign({}, users[key], fields, { email: normalizeEmail(email), updatedAt: new Date().toISOString() });
+    await db.ref(`${USERS_ROOT}/${key}`).set(stored);
+    users[key] = stored;
+    return publicUser(stored);
+  }
+
+  // Usuario si email/contraseña son válidos y la cuenta está activa, si no null
+  async function verifyCredentials(email, password) {
+    const u = users[userKey(email)];
+    if (!u || u.disabled || !u.passwordHash) return null;
+    if (!(await bcrypt.compare(password, u.passwordHash))) return null;
+    return save(email, { lastLogin: new Date().toISOString() });
+  }
+
+  async function create(email, name, role, password) {
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    return save(email, { name: name || '', role, disabled: false, passwordHash, createdAt: new Date().toISOString() });
+  }
+
+  async function setPassword(email, password) {
+    return save(email, { passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS), passwordChangedAt: new Date().toISOString() });
+  }
+
+  // ¿Queda al menos un admin activo si `email` pasa a tener estos campos?
+  function keepsAnAdmin(email, fields) {
+    const key = userKey(email);
+    return Object.keys(users).some(k => {
+      const u = k === key ? Object.assign({}, users[k], fields) : users[k];
+      return u.role === 'admin' && !u.disabled;
+    });
+  }
+
+  return { start, seedAdmin, get, list, save, verifyCredentials, create, setPassword, keepsAnAdmin };
+}
+
+module.exports = { USERS_ROOT, ROLES, normalizeEmail, userKey, hasRole, validateUser, validatePassword, createUserStore };
@@ -0,0 +1,90 @@
+// src/watchdog.js
+// Watchdog de válvulas (fail-safe): revisa periódicamente todas las secciones y cierra la válvula si
+//  - lleva abierta más de `maxOpenMin` minutos seguidos  -> reason/fault 'watchdog_timeout'
+//  - no llega una lectura del sensor hace más de `staleSensorMin` minutos -> reason/fault 'stale_sensor'
+//    (una sección que nunca reportó se cuenta desde su creación y, con la válvula abierta, desde que se abrió)
+// No depende de que lleguen datos del Pico (a diferencia de evaluateAndMaybeTriggerValve).
+
+const TICK_MS = 30 * 1000;
+
+// Desde cuándo se esperan lecturas: la última recibida o, si nunca llegó una, lo más reciente entre la
+// creación de la sección y la apertura de la válvula (-Infinity si no se sabe: sección sin createdAt)
+function expectingSince(state, cfg) {
+  const lastReading = Date.parse(state.ultima_lectura || '');
+  if (Number.isFinite(lastReading)) return lastReading;
+  const openedAt = state.valvula === 'on' && state.valve_opened_at ? Number(state.valve_opened_at) : NaN;
+  const since = [Date.parse(cfg.createdAt || ''), openedAt].filter(Number.isFinite);
+  return since.length ? Math.max(...since) : -Infinity;
+}
+
+// Qué falla (si alguna) tiene una sección en `now`. state: nodo /vivero/secciones/<id>, cfg: registro
+function detectFault(state, cfg, now) {
+  const stale = now - expectingSince(state, cfg) > cfg.staleSensorMin * 60000;
+  const openedAt = Number(state.valve_opened_at);
+  const tooLong = state.valvula === 'on' && Number.isFinite(openedAt) && now - openedAt > cfg.maxOpenMin * 60000;
+  if (tooLong) return 'watchdog_timeout';
+  if (stale) return 'stale_sensor';
+  return null;
+}
+
+// deps: { db, getSections() -> lista de secciones activas (registro),
+//         setValve(section, 'off', extra, source) -> Promise, notify(event, data) }
+function createWatchdog(deps) {
+  const { db, getSections, setValve, notify } = deps;
+  let timer = null;
+  let ticking = false;
+
+  async function checkSection(cfg, state, now) {
+    const fault = detectFault(state, cfg, now);
+
+    if (fault && state.valvula === 'on') {
+      await setValve(cfg.id, 'off', { reason: fault, fault, fault_at: new Date(now).toISOString(), schedule_run: null }, 'watchdog');
+      console.warn(`watchdog: válvula ${cfg.id} cerrada (${fault})`);
+      return;
+    }
+
+    // marcar / limpiar sensor sin datos aunque la válvula esté cerrada
+    if (fault === 'stale_sensor' && state.fault !== 'stale_sensor') {
+      await db.ref(`/vivero/secciones/${cfg.id}`).update({ fault, fault_at: new Date(now).toISOString() });
+      notify('section-fault', { section: cfg.id, fault });
+    } else if (!fault && state.fault === 'stale_sensor') {
+      await db.ref(`/vivero/secciones/${cfg.id}`).update({ fault: null, fault_at: null });
+      notify('section-fault', { section: cfg.id, fault: null });
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      const snap = await db.ref('/vivero/secciones').once('value');
+      const all = snap.val() || {};
+      for (const cfg of getSections()) {
+        try {
+          await checkSection(cfg, all[cfg.id] || {}, now);
+        } catch (err) {
+          console.error('watchdog error en sección', cfg.id, err);
+        }
+      }
+    } catch (err) {
+      console.error('watchdog tick error', err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    start() {
+      timer = setInterval(tick, TICK_MS);
+      tick();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    tick
+  };
+}
+
+module.exports = { createWatchdog, detectFault };
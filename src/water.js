@@ -0,0 +1,146 @@
+// src/water.js
+// Consumo de agua por sección.
+// - Cada vez que una válvula se cierra se guarda el intervalo de riego:
+//   /vivero/riegos/<section>/<pushId> = { start, end, durationSec, liters, method, flowRateLpm, reason, source }
+// - liters sale del caudalímetro si el dispositivo lo informa (`agua_litros`: contador acumulado en litros) o,
+//   si no, de flowRateLpm (L/min, configurable por sección) × minutos abierta. Sin ninguno queda en null.
+// - Con caudalímetro la sección guarda agua_total (suma de incrementos del contador, tolera reinicios del
+//   dispositivo) y al abrir la válvula agua_total_open; lo medido en el riego es la diferencia al cerrar.
+// Totales por día / semana (lunes) / mes en hora local del servidor (TZ).
+// Índice recomendado: "vivero": { "riegos": { "$section": { ".indexOn": ["end"] } } }
+
+const WATER_ROOT = '/vivero/riegos';
+const PERIODS = ['day', 'week', 'month'];
+// un riego no puede durar más que el máximo del watchdog (maxOpenMin <= 720): margen para la consulta por `end`
+const MAX_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+// Incremento del contador del caudalímetro entre dos lecturas (si bajó, el dispositivo se reinició)
+function meterDelta(previous, counter) {
+  if (typeof previous !== 'number') return 0;
+  return counter >= previous ? counter - previous : counter;
+}
+
+// Campos de la sección a guardar con una lectura que trae `agua_litros`
+function meterFields(state, counter) {
+  const total = (state.agua_total || 0) + meterDelta(state.agua_litros, counter);
+  return { agua_litros: counter, agua_total: Math.round(total * 100) / 100 };
+}
+
+// Litros de un riego: caudalímetro si hubo, si no caudal configurado × duración
+function intervalLiters(state, cfg, durationSec) {
+  if (typeof state.agua_total_open === 'number' && typeof state.agua_total === 'number') {
+    return { liters: Math.round((state.agua_total - state.agua_total_open) * 10) / 10, method: 'meter' };
+  }
+  if (typeof cfg.flowRateLpm === 'number' && cfg.flowRateLpm > 0) {
+    return { liters: Math.round(cfg.flowRateLpm * durationSec / 60 * 10) / 10, method: 'flow_rate' };
+  }
+  return { liters: null, method: null };
+}
+
+// Guarda el riego que termina en `end`. state: sección antes del cierre (trae valve_opened_at)
+async function recordInterval(db, section, cfg, state, end, meta = {}) {
+  const start = Number(state.valve_opened_at);
+  if (!Number.isFinite(start) || start >= end) return null;
+  const durationSec = Math.round((end - start) / 1000);
+  const { liters, method } = intervalLiters(state, cfg, durationSec);
+  const entry = {
+    start, end, durationSec, liters, method,
+    flowRateLpm: cfg.flowRateLpm ?? null,
+    reason: meta.reason || null,
+    source: meta.source || null
+  };
+  await db.ref(`${WATER_ROOT}/${section}`).push(entry);
+  return entry;
+}
+
+// Inicio (ms, hora local) del día / semana / mes que contiene `ts`
+function periodStart(ts, period) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  if (period === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (period === 'month') d.setDate(1);
+  return d.getTime();
+}
+
+function nextPeriod(start, period) {
+  const d = new Date(start);
+  if (period === 'day') d.setDate(d.getDate() + 1);
+  if (period === 'week') d.setDate(d.getDate() + 7);
+  if (period === 'month') d.setMonth(d.getMonth() + 1);
+  return d.getTime();
+}
+
+// Reparte un intervalo entre los periodos que toca (proporcional al tiempo) y lo suma a `buckets`
+function addToBuckets(buckets, interval, period, from, to) {
+  const start = Math.max(interval.start, from);
+  const end = Math.min(interval.end, to);
+  if (end <= start) return;
+  const total = interval.end - interval.start;
+  for (let b = periodStart(start, period); b < end; b = nextPeriod(b, period)) {
+    const overlap = Math.min(end, nextPeriod(b, period)) - Math.max(start, b);
+    if (overlap <= 0) continue;
+    const bucket = buckets[b] || (buckets[b] = { start: b, liters: 0, minutes: 0, unmetered: 0 });
+    bucket.minutes += overlap / 60000;
+    // la DB no guarda los null: un riego sin medición vuelve sin `liters`
+    if (typeof interval.liters !== 'number') bucket.unmetered += 1;
+    else bucket.liters += interval.liters * overlap / total;
+  }
+}
+
+function roundBucket(b) {
+  return { start: b.start, liters: Math.round(b.liters * 10) / 10, minutes: Math.round(b.minutes * 10) / 10, unmetered: b.unmetered };
+}
+
+// Riegos de una sección que se solapan con [from, to]
+async function queryIntervals(db, section, from, to) {
+  const snap = await db.ref(`${WATER_ROOT}/${section}`)
+    .orderByChild('end').startAt(from).endAt(to + MAX_INTERVAL_MS)
+    .once('value');
+  const rows = [];
+  snap.forEach(child => {
+    const v = child.val();
+    if (v.start <= to) rows.push(v);
+  });
+  return rows;
+}
+
+// Totales por periodo. sections: [{ cfg, state }] (state para incluir un riego en curso).
+// Devuelve { sections: { <id>: { liters, minutes, buckets } }, totals: [{ start, liters, minutes, unmetered }] }
+async function consumption(db, sections, period, from, to, now = Date.now()) {
+  const result = { sections: {}, totals: [] };
+  const all = {};
+  for (const { cfg, state } of sections) {
+    const intervals = await queryIntervals(db, cfg.id, from, to);
+    // riego en curso: se estima hasta ahora con lo que se sepa
+    const openedAt = state.valvula === 'on' ? Number(state.valve_opened_at) : NaN;
+    if (Number.isFinite(openedAt) && openedAt < now) {
+      const durationSec = (now - openedAt) / 1000;
+      intervals.push(Object.assign({ start: openedAt, end: now, durationSec }, intervalLiters(state, cfg, durationSec)));
+    }
+    const buckets = {};
+    intervals.forEach(i => {
+      addToBuckets(buckets, i, period, from, to);
+      addToBuckets(all, i, period, from, to);
+    });
+    const list = Object.keys(buckets).sort().map(k => roundBucket(buckets[k]));
+    result.sections[cfg.id] = {
+      flowRateLpm: cfg.flowRateLpm ?? null,
+      liters: Math.round(list.reduce((a, b) => a + b.liters, 0) * 10) / 10,
+      minutes: Math.round(list.reduce((a, b) => a + b.minutes, 0) * 10) / 10,
+      buckets: list
+    };
+  }
+  result.totals = Object.keys(all).sort().map(k => roundBucket(all[k]));
+  return result;
+}
+
+module.exports = {
+  WATER_ROOT,
+  PERIODS,
+  meterDelta,
+  meterFields,
+  intervalLiters,
+  recordInterval,
+  periodStart,
+  consumption
+};
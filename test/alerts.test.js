@@ -0,0 +1,125 @@
+// Motor de alertas (src/alerts.js): condiciones, deduplicación, auto-resolución, ack y correo
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const alerts = require('../src/alerts');
+
+const T0 = Date.UTC(2026, 3, 1, 12);
+const MIN = 60000;
+const iso = ts => new Date(ts).toISOString();
+const CFG = {
+  id: 'sombra', name: 'Sombra', enabled: true, soilUnit: 'raw', soilThreshold: 400,
+  tempHigh: 32, tempLow: 10, staleSensorMin: 15, maxOpenMin: 60
+};
+
+const types = conditions => conditions.map(c => [c.type, c.severity]);
+
+test('sectionConditions: sin lecturas recientes solo alerta no_data', () => {
+  assert.deepStrictEqual(types(alerts.sectionConditions(CFG, { temp: 50, ultima_lectura: iso(T0 - 20 * MIN) }, T0, null)), [['no_data', 'warning']]);
+});
+
+test('sectionConditions: temperatura con severidad según el margen', () => {
+  const fresh = { ultima_lectura: iso(T0) };
+  assert.deepStrictEqual(types(alerts.sectionConditions(CFG, Object.assign({ temp: 33 }, fresh), T0, null)), [['temp_high', 'warning']]);
+  assert.deepStrictEqual(types(alerts.sectionConditions(CFG, Object.assign({ temp: 37 }, fresh), T0, null)), [['temp_high', 'critical']]);
+  assert.deepStrictEqual(types(alerts.sectionConditions(CFG, Object.assign({ temp: 4 }, fresh), T0, null)), [['temp_low', 'critical']]);
+  assert.deepStrictEqual(alerts.sectionConditions(CFG, Object.assign({ temp: 20 }, fresh), T0, null), []);
+});
+
+test('sectionConditions: suelo seco tras soilDryMin y válvula trabada', () => {
+  const state = { ultima_lectura: iso(T0), humedad_suelo: 300 };
+  assert.deepStrictEqual(alerts.sectionConditions(CFG, state, T0, T0 - 59 * MIN), []);
+  assert.deepStrictEqual(types(alerts.sectionConditions(CFG, state, T0, T0 - 60 * MIN)), [['soil_dry', 'warning']]);
+  assert.deepStrictEqual(types(alerts.sectionConditions(CFG, state, T0, T0 - 10 * MIN, 10)), [['soil_dry', 'warning']]);
+
+  const stuck = { ultima_lectura: iso(T0), comando: { status: 'failed', action: 'on' } };
+  assert.deepStrictEqual(types(alerts.sectionConditions(CFG, stuck, T0, null)), [['valve_stuck', 'critical']]);
+});
+
+test('deviceConditions: solo dispositivos vistos y sin contacto hace más de offlineMin', () => {
+  assert.deepStrictEqual(alerts.deviceConditions({ id: 'p' }, T0), []);
+  assert.deepStrictEqual(alerts.deviceConditions({ id: 'p', lastSeen: iso(T0 - 10 * MIN) }, T0), []);
+  assert.deepStrictEqual(types(alerts.deviceConditions({ id: 'p', lastSeen: iso(T0 - 10 * MIN) }, T0, 5)), [['device_offline', 'critical']]);
+  assert.deepStrictEqual(alerts.deviceConditions({ id: 'p', revoked: true, lastSeen: iso(T0 - 60 * MIN) }, T0, 5), []);
+});
+
+test('meetsSeverity y alertEmail', () => {
+  assert.ok(alerts.meetsSeverity('critical', 'warning'));
+  assert.ok(!alerts.meetsSeverity('info', 'warning'));
+  const mail = alerts.alertEmail({ type: 'temp_high', severity: 'critical', section: 'sombra', message: 'calor', createdAt: T0 });
+  assert.strictEqual(mail.subject, '[Vivero][critical] Temperatura alta (sombra)');
+});
+
+async function harness(options = {}) {
+  const db = createLocalDatabase();
+  const events = [];
+  const delivered = [];
+  const engine = alerts.createAlertEngine(Object.assign({
+    db,
+    getSections: () => [CFG],
+    getDevices: () => [],
+    notify: (event, data) => events.push([event, data.type, data.status, data.severity]),
+    deliver: async alert => delivered.push(alert.severity)
+  }, options));
+  return { db, events, delivered, engine };
+}
+
+test('una alerta por condición: se actualiza mientras sigue y avisa de nuevo solo si empeora', async () => {
+  const h = await harness();
+  await h.db.ref('/vivero/secciones/sombra').set({ temp: 33, ultima_lectura: iso(T0) });
+  await h.engine.tick(T0);
+  await h.engine.tick(T0 + MIN);
+  assert.deepStrictEqual(h.events, [['alert', 'temp_high', 'active', 'warning']]);
+  assert.strictEqual(h.engine.listOpen()[0].occurrences, 2);
+
+  await h.db.ref('/vivero/secciones/sombra').update({ temp: 38 });
+  await h.engine.tick(T0 + 2 * MIN);
+  assert.deepStrictEqual(h.events.at(-1), ['alert-update', 'temp_high', 'active', 'critical']);
+  assert.deepStrictEqual(h.delivered, ['warning', 'critical']);
+  assert.strictEqual(h.engine.listOpen().length, 1);
+});
+
+test('se resuelve sola si la condición no aparece por 5 minutos', async () => {
+  const h = await harness();
+  await h.db.ref('/vivero/secciones/sombra').set({ temp: 33, ultima_lectura: iso(T0) });
+  await h.engine.tick(T0);
+  await h.db.ref('/vivero/secciones/sombra').update({ temp: 20 });
+  await h.engine.tick(T0 + MIN);
+  await h.engine.tick(T0 + 5 * MIN);
+  assert.strictEqual(h.engine.listOpen().length, 1);
+  await h.engine.tick(T0 + 6 * MIN);
+  assert.strictEqual(h.engine.listOpen().length, 0);
+  assert.deepStrictEqual(h.events.at(-1), ['alert-update', 'temp_high', 'resolved', 'warning']);
+
+  const { alerts: history } = await h.engine.listHistory(10);
+  assert.strictEqual(history[0].resolvedBy, 'auto');
+});
+
+test('reconocer deja la alerta abierta; resolver la cierra y si sigue se abre otra', async () => {
+  const h = await harness();
+  await h.db.ref('/vivero/secciones/sombra').set({ temp: 33, ultima_lectura: iso(T0) });
+  await h.engine.tick(T0);
+  const [alert] = h.engine.listOpen();
+
+  const acked = await h.engine.acknowledge(alert.id, 'a@b.cl');
+  assert.strictEqual(acked.status, 'acknowledged');
+  assert.strictEqual(acked.ackBy, 'a@b.cl');
+  assert.strictEqual(h.engine.listOpen().length, 1);
+
+  const resolved = await h.engine.resolve(alert.id, 'a@b.cl');
+  assert.strictEqual(resolved.resolvedBy, 'a@b.cl');
+  assert.strictEqual(await h.engine.resolve(alert.id, 'a@b.cl'), null);
+
+  await h.engine.tick(T0 + MIN);
+  assert.notStrictEqual(h.engine.listOpen()[0].id, alert.id);
+});
+
+test('soilDryMin y deviceOfflineMin se configuran al crear el motor', async () => {
+  const device = { id: 'pico-1', lastSeen: iso(T0 - 3 * MIN) };
+  const h = await harness({ soilDryMin: 1, deviceOfflineMin: 2, getDevices: () => [device] });
+  await h.db.ref('/vivero/secciones/sombra').set({ humedad_suelo: 300, ultima_lectura: iso(T0) });
+  await h.engine.tick(T0);
+  await h.engine.tick(T0 + MIN);
+  assert.deepStrictEqual(h.engine.listOpen().map(a => a.type).sort(), ['device_offline', 'soil_dry']);
+});
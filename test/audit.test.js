@@ -0,0 +1,73 @@
+// Auditoría de válvulas (src/audit.js): entradas append-only y consulta paginada con filtros
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const audit = require('../src/audit');
+
+const T0 = Date.UTC(2026, 3, 1, 12);
+
+test('sourceType es la parte del origen antes de ":"', () => {
+  assert.strictEqual(audit.sourceType('ui:a@b.cl'), 'ui');
+  assert.strictEqual(audit.sourceType('schedule:riego-am'), 'schedule');
+  assert.strictEqual(audit.sourceType('watchdog'), 'watchdog');
+  assert.strictEqual(audit.sourceType(undefined), 'auto');
+});
+
+test('appendValveAction guarda quién, por qué y las lecturas del momento', async () => {
+  const db = createLocalDatabase();
+  const state = { device_id: 'pico-1', temp: 21, humedad_suelo: 300, ultima_lectura: '2026-04-01T11:59:00.000Z', modo: 'auto' };
+  await audit.appendValveAction(db, { ts: T0, section: 'sombra', valvula: 'on', reason: 'manual', source: 'ui:a@b.cl', commandId: 'c1' }, state, { ip: '10.0.0.5' });
+
+  const [entry] = Object.values((await db.ref(audit.AUDIT_ROOT).once('value')).val());
+  assert.deepStrictEqual(entry, {
+    ts: T0, section: 'sombra', previous: 'off', valvula: 'on', reason: 'manual', source: 'ui:a@b.cl', sourceType: 'ui',
+    ip: '10.0.0.5', device_id: 'pico-1', command_id: 'c1',
+    readings: { humedad_suelo: 300, temp: 21, ultima_lectura: '2026-04-01T11:59:00.000Z' }
+  });
+});
+
+async function seeded(count) {
+  const db = createLocalDatabase();
+  for (let i = 0; i < count; i++) {
+    await audit.appendValveAction(db, {
+      ts: T0 + i * 1000,
+      section: i % 2 ? 'sol' : 'sombra',
+      valvula: i % 3 ? 'off' : 'on',
+      source: i % 4 ? 'auto' : 'ui:a@b.cl'
+    });
+  }
+  return db;
+}
+
+test('queryAudit pagina de la más reciente a la más antigua sin repetir entradas', async () => {
+  const db = await seeded(7);
+  const filters = { from: T0, to: T0 + 60000 };
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = await audit.queryAudit(db, filters, 3, cursor);
+    seen.push(page.entries.map(e => e.ts - T0));
+    cursor = page.next;
+  } while (cursor);
+  assert.deepStrictEqual(seen, [[6000, 5000, 4000], [3000, 2000, 1000], [0]]);
+});
+
+test('queryAudit aplica filtros y rango', async () => {
+  const db = await seeded(8);
+  const ts = entries => entries.map(e => (e.ts - T0) / 1000);
+  assert.deepStrictEqual(ts((await audit.queryAudit(db, { from: T0, to: T0 + 60000, section: 'sol' }, 10)).entries), [7, 5, 3, 1]);
+  assert.deepStrictEqual(ts((await audit.queryAudit(db, { from: T0, to: T0 + 60000, sourceType: 'ui' }, 10)).entries), [4, 0]);
+  assert.deepStrictEqual(ts((await audit.queryAudit(db, { from: T0, to: T0 + 60000, action: 'on' }, 10)).entries), [6, 3, 0]);
+  assert.deepStrictEqual(ts((await audit.queryAudit(db, { from: T0 + 2000, to: T0 + 4000 }, 10)).entries), [4, 3, 2]);
+
+  const page = await audit.queryAudit(db, { from: T0, to: T0 + 60000, section: 'sol' }, 2);
+  assert.deepStrictEqual(ts(page.entries), [7, 5]);
+  assert.deepStrictEqual(ts((await audit.queryAudit(db, { from: T0, to: T0 + 60000, section: 'sol' }, 2, page.next)).entries), [3, 1]);
+});
+
+test('decodeCursor rechaza cursores mal formados', () => {
+  assert.deepStrictEqual(audit.decodeCursor(`${T0}:-Nabc_1`), { ts: T0, key: '-Nabc_1' });
+  assert.strictEqual(audit.decodeCursor('abc'), null);
+  assert.strictEqual(audit.decodeCursor(undefined), null);
+});
@@ -0,0 +1,81 @@
+// Estado deseado vs. reportado (src/commands.js): confirmación de comandos, mismatch y reintentos
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const commands = require('../src/commands');
+
+const T0 = Date.UTC(2026, 3, 1, 12);
+
+test('extractReport saca estado y ack del payload (también `valvula` de firmwares antiguos)', () => {
+  const payload = { temp: 20, valvula_estado: 'on', ack: 42 };
+  assert.deepStrictEqual(commands.extractReport(payload), { state: 'on', ack: '42' });
+  assert.deepStrictEqual(payload, { temp: 20 });
+
+  const legacy = { valvula: 'off' };
+  assert.deepStrictEqual(commands.extractReport(legacy), { state: 'off' });
+  assert.deepStrictEqual(commands.extractReport({ valvula: 'abierta' }), {}, 'estados desconocidos se ignoran');
+});
+
+test('applyReport confirma con ack explícito o con el estado pedido', () => {
+  const command = commands.newCommand('on', 'ui:a@b.cl', T0);
+  const state = { valvula: 'on', comando: command };
+
+  const acked = commands.applyReport(state, { ack: command.id }, T0 + 1000);
+  assert.strictEqual(acked.comando.status, 'confirmed');
+  assert.strictEqual(acked.comando.ackAt, T0 + 1000);
+  assert.strictEqual(acked.mismatch, false);
+
+  const byState = commands.applyReport(state, { state: 'on' }, T0 + 1000);
+  assert.strictEqual(byState.comando.status, 'confirmed');
+  assert.strictEqual(byState.valvula_reportada, 'on');
+
+  const other = commands.applyReport(state, { state: 'off', ack: 'otro' }, T0 + 1000);
+  assert.strictEqual(other.comando, undefined, 'sigue pendiente');
+  assert.strictEqual(other.mismatch, false, 'sin mismatch mientras hay un comando pendiente');
+});
+
+test('mismatch cuando el reportado difiere y no hay comando en curso', () => {
+  assert.strictEqual(commands.isMismatch('on', 'off', { status: 'confirmed' }), true);
+  assert.strictEqual(commands.isMismatch('on', 'off', { status: 'pending' }), false);
+  assert.strictEqual(commands.isMismatch(undefined, 'off', null), false, 'sin deseado cuenta como off');
+  assert.strictEqual(commands.isMismatch('on', null, null), false, 'sin reporte no hay mismatch');
+});
+
+test('commandForDevice solo entrega comandos pendientes', () => {
+  const command = commands.newCommand('off', 'auto', T0);
+  assert.deepStrictEqual(commands.commandForDevice({ comando: command }), { id: command.id, action: 'off' });
+  assert.strictEqual(commands.commandForDevice({ comando: Object.assign({}, command, { status: 'confirmed' }) }), null);
+  assert.strictEqual(commands.commandForDevice({}), null);
+});
+
+test('el tracker reintenta tras ackTimeoutMs y falla al llegar a maxAttempts', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const db = createLocalDatabase();
+  const events = [];
+  const tracker = commands.createCommandTracker({
+    db,
+    getSections: () => [{ id: 'sombra' }],
+    notify: (event, data) => events.push([event, data.command.status, data.command.attempts]),
+    ackTimeoutMs: 10 * 1000,
+    maxAttempts: 2
+  });
+  const read = async () => (await db.ref('/vivero/secciones/sombra').once('value')).val();
+  await db.ref('/vivero/secciones/sombra').set({ valvula: 'on', valvula_reportada: 'off', comando: commands.newCommand('on', 'auto', T0) });
+
+  t.mock.timers.setTime(T0 + 9 * 1000);
+  await tracker.tick();
+  assert.strictEqual(events.length, 0, 'aún dentro del plazo');
+
+  t.mock.timers.setTime(T0 + 10 * 1000);
+  await tracker.tick();
+  assert.deepStrictEqual(events, [['command-retry', 'pending', 2]]);
+  assert.strictEqual((await read()).comando.issuedAt, T0 + 10 * 1000);
+
+  t.mock.timers.setTime(T0 + 20 * 1000);
+  await tracker.tick();
+  assert.deepStrictEqual(events.at(-1), ['command-update', 'failed', 2]);
+  const state = await read();
+  assert.strictEqual(state.comando.failedAt, T0 + 20 * 1000);
+  assert.strictEqual(state.mismatch, true);
+});
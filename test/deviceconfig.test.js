@@ -0,0 +1,70 @@
+// Configuración remota de dispositivos (src/deviceconfig.js): validación, versiones, ETag y confirmación
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const { createDeviceRegistry } = require('../src/devices');
+const deviceconfig = require('../src/deviceconfig');
+
+test('validateConfig aplica el cambio sobre la configuración vigente', () => {
+  assert.deepStrictEqual(deviceconfig.validateConfig(undefined, { fallback_enabled: true }).config,
+    Object.assign({}, deviceconfig.DEFAULT_CONFIG, { fallback_enabled: true }));
+  assert.strictEqual(deviceconfig.validateConfig({ sample_interval_s: 30, version: 2 }, {}).config.sample_interval_s, 30);
+  assert.strictEqual(deviceconfig.validateConfig({}, {}).config.version, undefined, 'solo valores de configuración');
+});
+
+test('validateConfig rechaza campos desconocidos, tipos y rangos', () => {
+  assert.deepStrictEqual(deviceconfig.validateConfig({}, { wifi: 'x', fallback_enabled: 1, sample_interval_s: 2.5 }).errors, [
+    'unknown field: wifi',
+    'fallback_enabled must be a boolean',
+    'sample_interval_s must be an integer between 5 and 3600'
+  ]);
+  assert.deepStrictEqual(deviceconfig.validateConfig({}, { sample_interval_s: 600, report_interval_s: 300 }).errors, [
+    'report_interval_s must be greater than or equal to sample_interval_s'
+  ]);
+  assert.deepStrictEqual(deviceconfig.validateConfig({}, null).errors, ['config must be a JSON object']);
+});
+
+test('configDocument, etag y pendingConfig', () => {
+  assert.deepStrictEqual(deviceconfig.configDocument({}), { version: 0, config: deviceconfig.DEFAULT_CONFIG, updatedAt: null });
+  assert.strictEqual(deviceconfig.etag('pico-1', 3), '"pico-1-v3"');
+
+  const device = { config: { version: 3, sample_interval_s: 30 }, configApplied: { version: 2 } };
+  assert.strictEqual(deviceconfig.pendingConfig(device).version, 3, 'sin config_version se usa la confirmada');
+  assert.strictEqual(deviceconfig.pendingConfig(device, 3), null);
+  assert.strictEqual(deviceconfig.pendingConfig({}, undefined), null, 'sin configuración guardada rige la del firmware');
+});
+
+async function harness() {
+  const devices = createDeviceRegistry({ db: createLocalDatabase() });
+  devices.start();
+  await devices.create('pico-1', 'Pico 1', ['sombra']);
+  return { devices, store: deviceconfig.createConfigStore({ devices }) };
+}
+
+test('update sube la versión solo si algo cambia', async () => {
+  const { devices, store } = await harness();
+  const first = await store.update('pico-1', { sample_interval_s: 30 }, 'a@b.cl');
+  assert.strictEqual(first.changed, true);
+  assert.strictEqual(first.document.version, 1);
+  assert.strictEqual(first.document.config.sample_interval_s, 30);
+  assert.strictEqual(devices.get('pico-1').config.updatedBy, 'a@b.cl');
+
+  assert.deepStrictEqual(await store.update('pico-1', { sample_interval_s: 30 }, 'a@b.cl'), { document: first.document, changed: false });
+  assert.strictEqual((await store.update('pico-1', { fallback_enabled: true }, 'a@b.cl')).document.version, 2);
+  assert.ok((await store.update('pico-1', { sample_interval_s: 1 }, 'a@b.cl')).errors);
+  assert.strictEqual(store.document('pico-1').version, 2);
+});
+
+test('sync entrega la configuración hasta que el dispositivo confirma la versión', async () => {
+  const { devices, store } = await harness();
+  assert.strictEqual(await store.sync('pico-1', 0), null);
+  await store.update('pico-1', { report_interval_s: 600 }, 'a@b.cl');
+
+  assert.strictEqual((await store.sync('pico-1')).version, 1);
+  assert.strictEqual((await store.sync('pico-1', 0)).config.report_interval_s, 600);
+  assert.strictEqual(await store.sync('pico-1', 1), null);
+  assert.strictEqual(devices.get('pico-1').configApplied.version, 1);
+  assert.strictEqual(await store.sync('pico-1'), null, 'sin config_version vale la versión confirmada');
+  assert.strictEqual(await store.sync('otro', 1), null);
+});
@@ -0,0 +1,67 @@
+// API keys por dispositivo (src/devices.js) sobre la base local en memoria
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const { parseKey, secretMatches, generateKey, validateDevice, createDeviceRegistry } = require('../src/devices');
+
+async function newRegistry() {
+  const devices = createDeviceRegistry({ db: createLocalDatabase() });
+  devices.start();
+  return devices;
+}
+
+test('parseKey separa "<id>.<secreto>" y rechaza formatos inválidos', () => {
+  assert.deepStrictEqual(parseKey('pico1.abc.def'), { id: 'pico1', secret: 'abc.def' });
+  assert.strictEqual(parseKey('sinpunto'), null);
+  assert.strictEqual(parseKey('.secreto'), null);
+  assert.strictEqual(parseKey('pico1.'), null);
+  assert.strictEqual(parseKey(undefined), null);
+});
+
+test('secretMatches compara contra el hash guardado', () => {
+  const { key, keyHash, keyHint } = generateKey('pico1');
+  const { secret } = parseKey(key);
+  assert.ok(secretMatches(secret, keyHash));
+  assert.ok(!secretMatches(secret + 'x', keyHash));
+  assert.ok(!secretMatches(secret, null));
+  assert.strictEqual(keyHint, secret.slice(-4));
+});
+
+test('validateDevice exige nombre y secciones existentes', () => {
+  const exists = s => s === 'sombra';
+  assert.deepStrictEqual(validateDevice({ name: 'Pico', sections: ['sombra'] }, exists), []);
+  assert.deepStrictEqual(validateDevice({ name: 'Pico', sections: ['sombra', 'luna'] }, exists), ['unknown section: luna']);
+  assert.strictEqual(validateDevice({ name: '', sections: [] }, exists).length, 2);
+});
+
+test('authenticate acepta solo la key vigente de un dispositivo no revocado', async () => {
+  const devices = await newRegistry();
+  const { key, device } = await devices.create('pico1', 'Pico 1', ['sombra']);
+  assert.strictEqual(device.keyHash, undefined);
+
+  const auth = devices.authenticate(key);
+  assert.strictEqual(auth.id, 'pico1');
+  assert.deepStrictEqual(auth.sections, ['sombra']);
+  assert.strictEqual(auth.keyHash, undefined);
+
+  assert.strictEqual(devices.authenticate(key.slice(0, -1) + (key.endsWith('a') ? 'b' : 'a')), null);
+  assert.strictEqual(devices.authenticate(key.replace('pico1.', 'pico2.')), null);
+
+  const rotated = await devices.rotate('pico1');
+  assert.strictEqual(devices.authenticate(key), null);
+  assert.strictEqual(devices.authenticate(rotated.key).id, 'pico1');
+
+  await devices.revoke('pico1');
+  assert.strictEqual(devices.authenticate(rotated.key), null);
+});
+
+test('touch registra el último contacto sin cambiar las secciones', async () => {
+  const devices = await newRegistry();
+  await devices.create('pico1', 'Pico 1', ['sombra', 'sol']);
+  await devices.touch('pico1', { lastSection: 'sol' });
+  const device = devices.get('pico1');
+  assert.strictEqual(device.lastSection, 'sol');
+  assert.ok(Date.parse(device.lastSeen));
+  assert.deepStrictEqual(device.sections, ['sombra', 'sol']);
+});
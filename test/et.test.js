@@ -0,0 +1,93 @@
+// Evapotranspiración (src/et.js): FAO-56 contra los ejemplos del manual y ajuste del umbral de suelo
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const history = require('../src/history');
+const et = require('../src/et');
+
+const HOUR = 60 * 60 * 1000;
+
+function saturation(t) {
+  return 0.6108 * Math.exp(17.27 * t / (t + 237.3));
+}
+
+// Lecturas cada 2 h de un día con temperatura entre tmin y tmax
+function dayRows(start, tmin, tmax, extra = {}) {
+  const rows = [];
+  for (let h = 0; h <= 24; h += 2) {
+    const temp = tmin + (tmax - tmin) * Math.sin(Math.PI * h / 24);
+    rows.push(Object.assign({ ts: start + h * HOUR, temp }, extra));
+  }
+  return rows;
+}
+
+test('Ra coincide con el ejemplo 8 de FAO-56 (20°S, 3 de septiembre: 32.2 MJ/m²/día)', () => {
+  const ra = et.extraterrestrialRadiation(-20, new Date(Date.UTC(2026, 8, 3)));
+  assert.ok(Math.abs(ra - 32.2) < 0.1, `Ra = ${ra}`);
+});
+
+test('ETo coincide con el ejemplo 18 de FAO-56 (Bruselas, 6 de julio: 3.9 mm/día)', () => {
+  const es = (saturation(21.5) + saturation(12.3)) / 2;
+  const weather = { tmax: 21.5, tmin: 12.3, tmean: 16.9, rhMean: 1.409 / es * 100, rs: 22.07 };
+  const eto = et.referenceEt(weather, { latitude: 50.8, elevation: 100 }, new Date(Date.UTC(2026, 6, 6)));
+  assert.ok(Math.abs(eto - 3.9) < 0.1, `ETo = ${eto}`);
+});
+
+test('dailyWeather exige lecturas suficientes que cubran al menos 12 h', () => {
+  const start = Date.UTC(2026, 0, 15);
+  assert.strictEqual(et.dailyWeather(dayRows(start, 12, 30).slice(0, 4)), null);
+  assert.strictEqual(et.dailyWeather(dayRows(start, 12, 30).slice(0, 6)), null, '10 h no alcanzan');
+
+  const weather = et.dailyWeather(dayRows(start, 12, 30, { humedad_amb: 50 }));
+  assert.strictEqual(weather.tmax, 30);
+  assert.strictEqual(weather.tmin, 12);
+  assert.strictEqual(weather.rhMean, 50);
+  assert.strictEqual(weather.rs, null, 'sin luminosidad se usa Hargreaves');
+});
+
+test('el umbral sube con más demanda, baja con menos y se limita a ±ET_MAX_ADJUST', () => {
+  const cfg = { soilThreshold: 40, soilUnit: 'pct' };
+  const max = 40 * (1 + et.ET_MAX_ADJUST);
+  const min = 40 * (1 - et.ET_MAX_ADJUST);
+  assert.strictEqual(et.adjustedThreshold(cfg, et.ET_REFERENCE_MM), 40);
+  assert.strictEqual(et.adjustedThreshold(cfg, et.ET_REFERENCE_MM * 10), max);
+  assert.strictEqual(et.adjustedThreshold(cfg, 0), min);
+  assert.strictEqual(et.adjustedThreshold({ soilThreshold: 90, soilUnit: 'pct' }, et.ET_REFERENCE_MM * 10), 100, 'en % no pasa de 100');
+});
+
+test('estimateDemand cae al umbral fijo sin latitud o sin datos', () => {
+  const cfg = { soilThreshold: 40, soilUnit: 'pct', cropCoefficient: 1 };
+  const rows = dayRows(Date.UTC(2026, 0, 15), 12, 30);
+  assert.strictEqual(et.estimateDemand(cfg, rows, {}).error, 'no_latitude');
+  assert.strictEqual(et.estimateDemand(cfg, rows.slice(0, 3), { latitude: -33.4 }).error, 'insufficient_data');
+
+  const demand = et.estimateDemand(cfg, rows, { latitude: -33.4 }, Date.UTC(2026, 0, 16));
+  assert.strictEqual(demand.radiation, 'hargreaves');
+  assert.ok(demand.eto > 0);
+  assert.strictEqual(demand.etc, demand.eto);
+  assert.strictEqual(demand.threshold, et.adjustedThreshold(cfg, demand.etc));
+
+  const half = et.estimateDemand(Object.assign({}, cfg, { cropCoefficient: 0.5 }), rows, { latitude: -33.4 }, Date.UTC(2026, 0, 16));
+  assert.ok(Math.abs(half.etc - demand.eto * 0.5) <= 0.1, 'ETc = ETo × Kc');
+});
+
+test('createEtEstimator usa referenceMm y guarda la estimación hasta que cambia la configuración', async () => {
+  const db = createLocalDatabase();
+  const now = Date.UTC(2026, 0, 16);
+  for (const row of dayRows(now - 24 * HOUR, 12, 30)) await history.appendReading(db, 'sombra', row, row.ts);
+
+  const cfg = { id: 'sombra', soilThreshold: 40, soilUnit: 'pct', cropCoefficient: 1 };
+  const site = { latitude: -33.4 };
+  const base = await et.createEtEstimator({ db, site }).demand(cfg, now);
+  const low = et.createEtEstimator({ db, site, referenceMm: base.etc * 2 });
+  const first = await low.demand(cfg, now);
+  assert.strictEqual(first.threshold, et.adjustedThreshold(cfg, first.etc, base.etc * 2));
+  assert.ok(first.threshold < 40, 'con una referencia más alta la misma demanda es baja');
+  assert.match(first.text, /demanda baja/);
+
+  await history.appendReading(db, 'sombra', { temp: 45 }, now - HOUR);
+  assert.strictEqual(await low.demand(cfg, now + 1000), first, 'misma estimación dentro del cache');
+  const changed = await low.demand(Object.assign({}, cfg, { cropCoefficient: 0.5 }), now + 1000);
+  assert.notStrictEqual(changed, first);
+});
@@ -0,0 +1,65 @@
+// Exportación en streaming (src/export.js) sobre la base local en memoria
+const test = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('node:stream');
+
+const { createLocalDatabase } = require('../src/localdb');
+const history = require('../src/history');
+const { streamExport, csvLine } = require('../src/export');
+
+const T0 = Date.UTC(2026, 0, 1);
+
+async function dbWithReadings(n) {
+  const db = createLocalDatabase();
+  for (let i = 0; i < n; i++) await history.appendReading(db, 'sombra', { humedad_suelo: 300 + i, temp: 20 }, T0 + i * 60000);
+  return db;
+}
+
+// Respuesta HTTP de mentira: junta lo escrito, o nunca termina de escribir (cliente que no lee)
+function fakeResponse(stalled) {
+  const chunks = [];
+  const res = new Writable({
+    highWaterMark: 64,
+    write(chunk, enc, cb) {
+      if (stalled) return;
+      chunks.push(chunk.toString());
+      cb();
+    }
+  });
+  res.headers = {};
+  res.setHeader = (k, v) => { res.headers[k.toLowerCase()] = v; };
+  res.body = () => chunks.join('');
+  return res;
+}
+
+const opts = { type: 'readings', sections: ['sombra'], from: T0, to: T0 + 86400000, fields: ['humedad_suelo', 'temp'], bucketMs: 0 };
+
+test('csvLine escapa separadores, comillas y saltos de línea', () => {
+  assert.strictEqual(csvLine(['a', 'b,c', 'd"e', null]), 'a,"b,c","d""e",\n');
+});
+
+test('CSV: encabezado y una fila por lectura', async () => {
+  const db = await dbWithReadings(3);
+  const res = fakeResponse(false);
+  await streamExport(db, res, Object.assign({ format: 'csv' }, opts));
+  const lines = res.body().trim().split('\n');
+  assert.strictEqual(lines[0], 'section,ts,device_id,humedad_suelo,temp');
+  assert.strictEqual(lines.length, 4);
+  assert.match(res.headers['content-type'], /text\/csv/);
+});
+
+test('JSON: arreglo válido con todas las lecturas', async () => {
+  const db = await dbWithReadings(3);
+  const res = fakeResponse(false);
+  await streamExport(db, res, Object.assign({ format: 'json' }, opts));
+  const rows = JSON.parse(res.body());
+  assert.deepStrictEqual(rows.map(r => r.humedad_suelo), [300, 301, 302]);
+});
+
+test('si el cliente se desconecta con el buffer lleno la exportación termina', { timeout: 5000 }, async () => {
+  const db = await dbWithReadings(50);
+  const res = fakeResponse(true);
+  setTimeout(() => res.destroy(), 50);
+  await streamExport(db, res, Object.assign({ format: 'csv' }, opts));
+  assert.ok(res.destroyed);
+});
@@ -0,0 +1,80 @@
+// Salud de los dispositivos (src/health.js): online / offline por último contacto y diagnósticos
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const { createDeviceRegistry } = require('../src/devices');
+const { createHealthMonitor, deviceStatus, healthView, OFFLINE_MIN } = require('../src/health');
+
+const T0 = Date.UTC(2026, 3, 1, 12);
+const MIN = 60000;
+const iso = ts => new Date(ts).toISOString();
+
+test('deviceStatus según el último contacto y offlineMin', () => {
+  assert.strictEqual(deviceStatus({}, T0), 'unknown');
+  assert.strictEqual(deviceStatus({ lastSeen: iso(T0 - OFFLINE_MIN * MIN) }, T0), 'online');
+  assert.strictEqual(deviceStatus({ lastSeen: iso(T0 - OFFLINE_MIN * MIN - 1) }, T0), 'offline');
+  assert.strictEqual(deviceStatus({ lastSeen: iso(T0 - 3 * MIN) }, T0, 2), 'offline');
+});
+
+test('healthView muestra revocado y la configuración aplicada', () => {
+  const device = { id: 'pico-1', name: 'Pico', revoked: true, lastSeen: iso(T0), config: { version: 3 }, configApplied: { version: 2 } };
+  const view = healthView(device, T0);
+  assert.strictEqual(view.status, 'revoked');
+  assert.strictEqual(view.configVersion, 3);
+  assert.strictEqual(view.configApplied, 2);
+  assert.deepStrictEqual(view.sections, []);
+});
+
+async function harness(t, offlineMin) {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const devices = createDeviceRegistry({ db: createLocalDatabase() });
+  devices.start();
+  await devices.create('pico-1', 'Pico 1', ['sombra']);
+  const events = [];
+  const health = createHealthMonitor({ devices, notify: (event, data) => events.push(data), offlineMin });
+  return { devices, events, health };
+}
+
+test('seen pasa el dispositivo a online y guarda los diagnósticos', async (t) => {
+  const h = await harness(t);
+  h.health.seen('pico-1', { lastIp: '10.0.0.2' }, { rssi: -60, firmware: '1.2.0' }, T0 - 1000);
+  const device = h.devices.get('pico-1');
+  assert.strictEqual(device.status, 'online');
+  assert.strictEqual(device.firmware, '1.2.0');
+  assert.deepStrictEqual(device.diagnostics, { rssi: -60, firmware: '1.2.0', at: iso(T0 - 1000) });
+  assert.deepStrictEqual(h.events.map(e => [e.id, e.status, e.previous]), [['pico-1', 'online', 'unknown']]);
+
+  h.health.seen('pico-1', {}, null);
+  assert.strictEqual(h.events.length, 1, 'sin transición no se avisa');
+});
+
+test('tick marca offline tras offlineMin sin contacto y vuelve a online con el siguiente', async (t) => {
+  const h = await harness(t, 5);
+  assert.strictEqual(h.health.offlineMin, 5);
+  h.health.seen('pico-1', {}, null);
+
+  t.mock.timers.setTime(T0 + 5 * MIN);
+  await h.health.tick();
+  assert.strictEqual(h.events.length, 1);
+
+  t.mock.timers.setTime(T0 + 5 * MIN + 1);
+  await h.health.tick();
+  assert.deepStrictEqual(h.events.at(-1), {
+    id: 'pico-1', name: 'Pico 1', status: 'offline', previous: 'online', lastSeen: iso(T0), at: iso(T0 + 5 * MIN + 1)
+  });
+  assert.strictEqual(h.health.list()[0].status, 'offline');
+
+  h.health.seen('pico-1', {}, null);
+  assert.deepStrictEqual([h.events.at(-1).status, h.events.at(-1).previous], ['online', 'offline']);
+});
+
+test('tick no revisa dispositivos revocados', async (t) => {
+  const h = await harness(t, 5);
+  h.health.seen('pico-1', {}, null);
+  await h.devices.revoke('pico-1');
+  t.mock.timers.setTime(T0 + 60 * MIN);
+  await h.health.tick();
+  assert.strictEqual(h.events.length, 1);
+  assert.strictEqual(h.health.list()[0].status, 'revoked');
+});
@@ -0,0 +1,111 @@
+// Historial (src/history.js): parámetros de la API, lecturas idempotentes de los lotes y consultas por rango
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const history = require('../src/history');
+
+const T0 = Date.UTC(2026, 3, 1, 12);
+
+async function stored(db, section) {
+  return (await db.ref(`/vivero/historial/${section}`).once('value')).val() || {};
+}
+
+test('parseTimeParam acepta ISO, fecha y epoch en ms', () => {
+  assert.strictEqual(history.parseTimeParam('2026-04-01T12:00:00Z'), T0);
+  assert.strictEqual(history.parseTimeParam(String(T0)), T0);
+  assert.strictEqual(history.parseTimeParam('2026-04-01'), Date.UTC(2026, 3, 1));
+  assert.strictEqual(history.parseTimeParam('ayer'), null);
+  assert.strictEqual(history.parseTimeParam(''), null);
+});
+
+test('parseResolution y parseFields', () => {
+  assert.strictEqual(history.parseResolution(undefined), 0);
+  assert.strictEqual(history.parseResolution('raw'), 0);
+  assert.strictEqual(history.parseResolution('15m'), 15 * 60000);
+  assert.strictEqual(history.parseResolution('1d'), 86400000);
+  assert.strictEqual(history.parseResolution('0h'), null);
+  assert.strictEqual(history.parseResolution('1w'), null);
+
+  assert.deepStrictEqual(history.parseFields('temp, luminosidad,otro'), ['temp', 'luminosidad']);
+  assert.deepStrictEqual(history.parseFields(''), history.HISTORY_FIELDS);
+});
+
+test('appendReading guarda solo los campos del historial y la válvula reportada', async () => {
+  const db = createLocalDatabase();
+  await history.appendReading(db, 's1', { device_id: 'pico-1', temp: 20, api_key: 'x', valvula_estado: 'on' }, T0);
+  assert.deepStrictEqual(Object.values(await stored(db, 's1')), [{ ts: T0, device_id: 'pico-1', temp: 20, valvula: 'on' }]);
+});
+
+test('projectRaw deja null los campos que faltan', () => {
+  assert.deepStrictEqual(history.projectRaw([{ ts: T0, temp: 20 }], ['temp', 'luminosidad']), [
+    { ts: T0, device_id: null, temp: 20, luminosidad: null }
+  ]);
+});
+
+test('iterateRange recorre el rango en páginas sin repetir ni saltar lecturas con el mismo ts', async () => {
+  const db = createLocalDatabase();
+  for (let i = 0; i < 7; i++) await history.appendReading(db, 's1', { temp: i }, T0 + Math.floor(i / 2) * 1000);
+  await history.appendReading(db, 's1', { temp: 99 }, T0 + 60000);
+
+  const temps = [];
+  for await (const row of history.iterateRange(db, history.HISTORY_ROOT, 's1', T0, T0 + 3000, 2)) temps.push(row.temp);
+  assert.deepStrictEqual(temps, [0, 1, 2, 3, 4, 5, 6]);
+});
+
+test('reenviar una lectura del lote con la misma key no la duplica', async () => {
+  const db = createLocalDatabase();
+  const payload = { device_id: 'pico-1', temp: 21.5, humedad_suelo: 400 };
+
+  assert.strictEqual(await history.appendReadingOnce(db, 's1', 'pico-1_7_' + T0, payload, T0), true);
+  assert.strictEqual(await history.appendReadingOnce(db, 's1', 'pico-1_7_' + T0, Object.assign({}, payload, { temp: 99 }), T0), false);
+
+  const rows = await stored(db, 's1');
+  assert.deepStrictEqual(Object.keys(rows), ['pico-1_7_' + T0]);
+  assert.strictEqual(rows['pico-1_7_' + T0].temp, 21.5, 'el reintento no pisa la lectura original');
+});
+
+test('dos reintentos simultáneos guardan la lectura una sola vez', async () => {
+  const db = createLocalDatabase();
+  const payload = { device_id: 'pico-1', temp: 20 };
+  const results = await Promise.all([
+    history.appendReadingOnce(db, 's1', 'pico-1_1_' + T0, payload, T0),
+    history.appendReadingOnce(db, 's1', 'pico-1_1_' + T0, payload, T0)
+  ]);
+  assert.deepStrictEqual(results.sort(), [false, true]);
+  assert.strictEqual(Object.keys(await stored(db, 's1')).length, 1);
+});
+
+test('otra secuencia u otra hora es una lectura distinta', async () => {
+  const db = createLocalDatabase();
+  const payload = { device_id: 'pico-1', temp: 20 };
+  assert.strictEqual(await history.appendReadingOnce(db, 's1', 'pico-1_1_' + T0, payload, T0), true);
+  assert.strictEqual(await history.appendReadingOnce(db, 's1', 'pico-1_2_' + T0, payload, T0), true);
+  assert.strictEqual(await history.appendReadingOnce(db, 's1', 'pico-1_1_' + (T0 + 1000), payload, T0 + 1000), true);
+  assert.strictEqual(await history.appendReadingOnce(db, 's2', 'pico-1_1_' + T0, payload, T0), true, 'otra sección');
+  assert.strictEqual(Object.keys(await stored(db, 's1')).length, 3);
+});
+
+test('queryRange devuelve las lecturas del rango en orden de ts', async () => {
+  const db = createLocalDatabase();
+  await history.appendReadingOnce(db, 's1', 'b', { temp: 2 }, T0 + 2000);
+  await history.appendReadingOnce(db, 's1', 'a', { temp: 1 }, T0 + 1000);
+  await history.appendReading(db, 's1', { temp: 3 }, T0 + 3000);
+  await history.appendReading(db, 's1', { temp: 9 }, T0 + 9000);
+
+  const rows = await history.queryRange(db, 's1', T0 + 1000, T0 + 3000);
+  assert.deepStrictEqual(rows.map(r => r.temp), [1, 2, 3]);
+});
+
+test('bucketize calcula min/avg/max por bucket', () => {
+  const rows = [
+    { ts: T0, temp: 10 },
+    { ts: T0 + 60000, temp: 20 },
+    { ts: T0 + 3600000, temp: 5 }
+  ];
+  const points = history.bucketize(rows, ['temp', 'luminosidad'], 3600000);
+  assert.deepStrictEqual(points, [
+    { ts: T0, count: 2, temp: { min: 10, avg: 15, max: 20 }, luminosidad: null },
+    { ts: T0 + 3600000, count: 1, temp: { min: 5, avg: 5, max: 5 }, luminosidad: null }
+  ]);
+});
@@ -0,0 +1,123 @@
+// Base local (src/localdb.js): misma semántica que Firebase en escrituras, consultas y listeners
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createLocalDatabase, pushId, compareKeys, compareValues } = require('../src/localdb');
+
+const keysOf = snap => {
+  const keys = [];
+  snap.forEach(child => { keys.push(child.key); });
+  return keys;
+};
+
+async function seeded() {
+  const db = createLocalDatabase();
+  await db.ref('r').set({
+    a: { ts: 30, v: 'x' },
+    b: { ts: 10, v: 'y' },
+    c: { ts: 20, v: 'x' },
+    d: { ts: 20, v: 'z' },
+    e: { v: 'sin ts' }
+  });
+  return db;
+}
+
+test('orden de claves y valores como Firebase', () => {
+  assert.deepStrictEqual(['b', '10', 'a', '2', '-1'].sort(compareKeys), ['-1', '2', '10', 'a', 'b']);
+  assert.deepStrictEqual([{}, 'a', 3, true, false, null].sort(compareValues), [null, false, true, 3, 'a', {}]);
+});
+
+test('pushId genera ids crecientes en el mismo milisegundo', () => {
+  const ids = [pushId(1000), pushId(1000), pushId(1000), pushId(1001)];
+  assert.deepStrictEqual([...ids].sort(), ids);
+  assert.strictEqual(new Set(ids).size, 4);
+});
+
+test('orderByChild ordena por el hijo (sin valor primero) y desempata por clave', async () => {
+  const db = await seeded();
+  assert.deepStrictEqual(keysOf(await db.ref('r').orderByChild('ts').once('value')), ['e', 'b', 'c', 'd', 'a']);
+});
+
+test('startAt / endAt / equalTo con clave de desempate', async () => {
+  const db = await seeded();
+  const q = db.ref('r').orderByChild('ts');
+  assert.deepStrictEqual(keysOf(await q.startAt(20).endAt(30).once('value')), ['c', 'd', 'a']);
+  assert.deepStrictEqual(keysOf(await q.startAt(20, 'd').once('value')), ['d', 'a']);
+  assert.deepStrictEqual(keysOf(await q.endAt(20, 'c').once('value')), ['e', 'b', 'c']);
+  assert.deepStrictEqual(keysOf(await q.equalTo(20).once('value')), ['c', 'd']);
+  assert.strictEqual((await q.equalTo(99).once('value')).exists(), false);
+});
+
+test('limitToFirst / limitToLast y orderByKey', async () => {
+  const db = await seeded();
+  assert.deepStrictEqual(keysOf(await db.ref('r').orderByChild('ts').limitToLast(2).once('value')), ['d', 'a']);
+  assert.deepStrictEqual(keysOf(await db.ref('r').orderByChild('ts').startAt(15).limitToFirst(2).once('value')), ['c', 'd']);
+  assert.deepStrictEqual(keysOf(await db.ref('r').orderByKey().startAt('b').endAt('c').once('value')), ['b', 'c']);
+});
+
+test('update con rutas y null borra; no se guardan objetos vacíos', async () => {
+  const db = await seeded();
+  await db.ref('r').update({ 'a/v': 'w', b: null, 'e/v': null });
+  const val = (await db.ref('r').once('value')).val();
+  assert.deepStrictEqual(Object.keys(val), ['a', 'c', 'd']);
+  assert.strictEqual(val.a.v, 'w');
+  await assert.rejects(db.ref('r/x').set({ y: undefined }), /undefined/);
+});
+
+test('val() devuelve arrays como Firebase y copias inmutables', async () => {
+  const db = createLocalDatabase();
+  await db.ref('d').set({ sections: ['sombra', 'sol'], sparse: { 0: 'a', 9: 'b' } });
+  const snap = await db.ref('d').once('value');
+  assert.deepStrictEqual(snap.val().sections, ['sombra', 'sol']);
+  assert.deepStrictEqual(snap.val().sparse, { 0: 'a', 9: 'b' });
+  snap.val().sections.push('x');
+  await db.ref('d/sections').set(['otra']);
+  assert.deepStrictEqual(snap.val().sections, ['sombra', 'sol']);
+});
+
+test('transaction aplica o aborta', async () => {
+  const db = createLocalDatabase();
+  const first = await db.ref('n').transaction(v => (v || 0) + 1);
+  assert.strictEqual(first.committed, true);
+  assert.strictEqual(first.snapshot.val(), 1);
+  const aborted = await db.ref('n').transaction(() => undefined);
+  assert.strictEqual(aborted.committed, false);
+  assert.strictEqual((await db.ref('n').once('value')).val(), 1);
+});
+
+test('on(value) entrega el valor inicial y los cambios de rutas relacionadas', async () => {
+  const db = createLocalDatabase();
+  const seen = [];
+  const cb = db.ref('a').on('value', snap => seen.push(snap.val()));
+  await new Promise(resolve => setImmediate(resolve));
+  await db.ref('a/b').set(1);
+  await db.ref('otra').set(2);
+  await db.ref().update({ 'a/c': 3 });
+  db.ref('a').off('value', cb);
+  await db.ref('a/b').set(4);
+  assert.deepStrictEqual(seen, [null, { b: 1 }, { b: 1, c: 3 }]);
+});
+
+test('push crea hijos en orden de creación', async () => {
+  const db = createLocalDatabase();
+  const first = await db.ref('l').push({ n: 1 });
+  await db.ref('l').push({ n: 2 });
+  assert.ok(first.key);
+  const values = [];
+  (await db.ref('l').orderByKey().once('value')).forEach(c => { values.push(c.val().n); });
+  assert.deepStrictEqual(values, [1, 2]);
+});
+
+test('con file guarda en disco y recarga al crear la base', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vivero-db-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'db.json');
+  const db = createLocalDatabase({ file });
+  await db.ref('x/y').set(5);
+  await db.flush();
+  const reloaded = createLocalDatabase({ file });
+  assert.strictEqual((await reloaded.ref('x/y').once('value')).val(), 5);
+});
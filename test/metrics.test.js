@@ -0,0 +1,69 @@
+// Métricas Prometheus (src/metrics.js): gauges por sección, contadores y escrituras instrumentadas
+const test = require('node:test');
+const assert = require('node:assert');
+const client = require('prom-client');
+
+const { createLocalDatabase } = require('../src/localdb');
+const { createMetrics } = require('../src/metrics');
+
+function harness(states = {}) {
+  return createMetrics({
+    client,
+    backend: 'memory',
+    getSections: () => [{ id: 'sombra' }, { id: 'sol' }],
+    getStates: () => states,
+    getSocketClients: () => 3
+  });
+}
+
+async function values(metrics, name) {
+  const metric = (await metrics.register.getMetricsAsJSON()).find(m => m.name === name);
+  return metric.values.map(v => [v.labels, v.value]);
+}
+
+test('gauges por sección con el estado vigente al momento del scrape', async () => {
+  const states = { sombra: { humedad_suelo: 420, temp: 21.5, valvula: 'on', ultima_lectura: '2026-04-01T12:00:00.000Z' } };
+  const metrics = harness(states);
+
+  assert.deepStrictEqual(await values(metrics, 'vivero_section_soil_humidity'), [[{ section: 'sombra' }, 420]]);
+  assert.deepStrictEqual(await values(metrics, 'vivero_section_valve_open'), [[{ section: 'sombra' }, 1], [{ section: 'sol' }, 0]]);
+  assert.deepStrictEqual(await values(metrics, 'vivero_section_last_reading_timestamp_seconds'), [[{ section: 'sombra' }, Date.UTC(2026, 3, 1, 12) / 1000]]);
+  assert.deepStrictEqual(await values(metrics, 'vivero_socketio_clients'), [[{}, 3]]);
+
+  states.sombra.valvula = 'off';
+  assert.deepStrictEqual(await values(metrics, 'vivero_section_valve_open'), [[{ section: 'sombra' }, 0], [{ section: 'sol' }, 0]]);
+});
+
+test('contadores de lecturas, rechazos y eventos de válvula', async () => {
+  const metrics = harness();
+  metrics.readingIngested('sombra', 'http');
+  metrics.readingIngested('sombra', 'http');
+  metrics.payloadRejected('auth', 'mqtt');
+  metrics.valveEvent('sol', 'on', 'schedule');
+  metrics.valveEvent('sol', 'off');
+
+  assert.deepStrictEqual(await values(metrics, 'vivero_readings_ingested_total'), [[{ section: 'sombra', channel: 'http' }, 2]]);
+  assert.deepStrictEqual(await values(metrics, 'vivero_payloads_rejected_total'), [[{ reason: 'auth', channel: 'mqtt' }, 1]]);
+  assert.deepStrictEqual(await values(metrics, 'vivero_valve_events_total'), [
+    [{ section: 'sol', action: 'open', reason: 'schedule' }, 1],
+    [{ section: 'sol', action: 'close', reason: 'unknown' }, 1]
+  ]);
+  assert.match(await metrics.register.metrics(), /^vivero_readings_ingested_total\{section="sombra",channel="http"\} 2$/m);
+});
+
+test('instrumentDatabase mide las escrituras sin cambiar la interfaz de la db', async () => {
+  const metrics = harness();
+  const db = metrics.instrumentDatabase(createLocalDatabase());
+
+  await db.ref('/vivero/secciones/sombra').set({ temp: 20 });
+  await db.ref('/vivero/secciones').child('sombra').update({ temp: 21 });
+  const pushed = db.ref('/vivero/historial/sombra').push({ temp: 21 });
+  await pushed;
+  assert.ok(pushed.key, 'push sigue entregando la key');
+  assert.deepStrictEqual((await db.ref('/vivero/secciones/sombra').once('value')).val(), { temp: 21 });
+
+  const counts = (await values(metrics, 'vivero_db_write_duration_seconds'))
+    .filter(([labels]) => labels.le === '+Inf')
+    .map(([labels, count]) => [labels.operation, count]);
+  assert.deepStrictEqual(counts, [['set', 1], ['update', 1], ['push', 1]]);
+});
@@ -0,0 +1,134 @@
+// Modos de operación (src/modes.js): comandos manuales temporizados, vuelta al modo anterior y tiempos mínimos
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const { createModeController, currentMode, minTimeRemaining } = require('../src/modes');
+
+const T0 = Date.UTC(2026, 3, 1, 12);
+const CFG = { id: 'sombra', minOnSec: 60, minOffSec: 60, manualDefaultMin: 30 };
+
+// Controlador con la DB en memoria y setValve falso que escribe el estado como setValveState
+function harness(t, state = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: T0 });
+  const db = createLocalDatabase();
+  const calls = [];
+  const events = [];
+  const modes = createModeController({
+    db,
+    getSection: () => CFG,
+    setValve: async (section, action, extra, source) => {
+      calls.push({ section, action, extra, source });
+      await db.ref(`/vivero/secciones/${section}`).update(Object.assign({ valvula: action }, extra));
+    },
+    notify: (event, data) => events.push({ event, data })
+  });
+  const read = async () => (await db.ref('/vivero/secciones/sombra').once('value')).val() || {};
+  return db.ref('/vivero/secciones/sombra').set(state).then(() => ({ db, calls, events, modes, read }));
+}
+
+// Deja correr el callback async del temporizador (usa la DB, que resuelve con setImmediate)
+async function settle() {
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+test('currentMode: sin modo guardado es auto', () => {
+  assert.strictEqual(currentMode({}), 'auto');
+  assert.strictEqual(currentMode({ modo: 'raro' }), 'auto');
+  assert.strictEqual(currentMode({ modo: 'off' }), 'off');
+});
+
+test('minTimeRemaining respeta el mínimo encendida y apagada', () => {
+  assert.strictEqual(minTimeRemaining({ valvula: 'on', valve_opened_at: T0 }, CFG, 'off', T0 + 20000), 40000);
+  assert.strictEqual(minTimeRemaining({ valvula: 'off', valve_closed_at: T0 }, CFG, 'on', T0 + 90000), 0);
+  assert.strictEqual(minTimeRemaining({ valvula: 'off', valve_closed_at: T0 }, CFG, 'off', T0), 0, 'sin cambio no aplica');
+});
+
+test('comando temporizado: al vencer cierra y vuelve al modo anterior', async (t) => {
+  const h = await harness(t, { valvula: 'off' });
+  const result = await h.modes.manualCommand('sombra', 'on', 10, 'ui:a@b.cl');
+  assert.deepStrictEqual(result, { ok: true, modo: 'manual', manual_hasta: T0 + 10 * 60000 });
+  let state = await h.read();
+  assert.strictEqual(state.modo, 'manual');
+  assert.strictEqual(state.modo_anterior, 'auto');
+
+  t.mock.timers.tick(10 * 60000);
+  await settle();
+  state = await h.read();
+  assert.strictEqual(state.valvula, 'off');
+  assert.strictEqual(state.modo, 'auto');
+  assert.strictEqual(h.calls[1].extra.reason, 'manual_timer_done');
+  assert.deepStrictEqual(h.events.at(-1), { event: 'mode-update', data: { section: 'sombra', modo: 'auto', manual_hasta: null } });
+});
+
+test('comando sin duración: dura manualDefaultMin y vuelve a auto', async (t) => {
+  const h = await harness(t, { valvula: 'off' });
+  const result = await h.modes.manualCommand('sombra', 'on', null, 'ui:a@b.cl');
+  assert.strictEqual(result.manual_hasta, T0 + CFG.manualDefaultMin * 60000);
+
+  t.mock.timers.tick(CFG.manualDefaultMin * 60000 - 1);
+  await settle();
+  assert.strictEqual((await h.read()).modo, 'manual');
+
+  t.mock.timers.tick(1);
+  await settle();
+  const state = await h.read();
+  assert.strictEqual(state.modo, 'auto');
+  assert.strictEqual(state.valvula, 'off');
+});
+
+test('un segundo comando conserva el modo original al que hay que volver', async (t) => {
+  const h = await harness(t, { valvula: 'off' });
+  await h.modes.manualCommand('sombra', 'on', 10, 'ui:a@b.cl');
+  t.mock.timers.tick(2 * 60000);
+  await h.modes.manualCommand('sombra', 'off', 5, 'ui:a@b.cl');
+  assert.strictEqual((await h.read()).modo_anterior, 'auto');
+
+  t.mock.timers.tick(5 * 60000);
+  await settle();
+  assert.strictEqual((await h.read()).modo, 'auto');
+});
+
+test('en modo manual explícito el comando vence pero la sección sigue en manual', async (t) => {
+  const h = await harness(t, { valvula: 'off', modo: 'manual' });
+  await h.modes.manualCommand('sombra', 'on', null, 'ui:a@b.cl');
+  t.mock.timers.tick(CFG.manualDefaultMin * 60000);
+  await settle();
+  const state = await h.read();
+  assert.strictEqual(state.valvula, 'off');
+  assert.strictEqual(state.modo, 'manual');
+});
+
+test('rechaza comandos en modo off y antes del tiempo mínimo', async (t) => {
+  const h = await harness(t, { valvula: 'off', modo: 'off' });
+  assert.deepStrictEqual(await h.modes.manualCommand('sombra', 'on', 10, 'api'), { ok: false, code: 'section_off' });
+
+  await h.db.ref('/vivero/secciones/sombra').update({ modo: 'auto', valve_closed_at: T0 - 15000 });
+  assert.deepStrictEqual(await h.modes.manualCommand('sombra', 'on', 10, 'api'), { ok: false, code: 'min_time', retryInSec: 45 });
+  assert.strictEqual(h.calls.length, 0);
+});
+
+test('setMode off cierra la válvula y cancela el riego temporizado', async (t) => {
+  const h = await harness(t, { valvula: 'off' });
+  await h.modes.manualCommand('sombra', 'on', 10, 'ui:a@b.cl');
+  await h.modes.setMode('sombra', 'off', 'ui:a@b.cl');
+  let state = await h.read();
+  assert.strictEqual(state.valvula, 'off');
+  assert.strictEqual(state.modo, 'off');
+
+  t.mock.timers.tick(10 * 60000);
+  await settle();
+  state = await h.read();
+  assert.strictEqual(state.modo, 'off', 'el temporizador cancelado no vuelve a auto');
+  assert.strictEqual(h.calls.length, 2);
+});
+
+test('restore reprograma los riegos temporizados pendientes', async (t) => {
+  const h = await harness(t, { valvula: 'on', modo: 'manual', modo_anterior: 'auto', manual_hasta: T0 + 60000 });
+  await h.modes.restore();
+  t.mock.timers.tick(60000);
+  await settle();
+  const state = await h.read();
+  assert.strictEqual(state.valvula, 'off');
+  assert.strictEqual(state.modo, 'auto');
+});
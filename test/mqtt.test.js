@@ -0,0 +1,37 @@
+// Puente MQTT (src/mqtt.js): topics y paso de la API key a la ingesta
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseTelemetryTopic, createMqttBridge } = require('../src/mqtt');
+
+function bridgeWith(ingest) {
+  return createMqttBridge({ mqtt: null, url: null, options: {}, getState: async () => ({}), ingest });
+}
+
+test('parseTelemetryTopic solo acepta <prefijo>/<section>/telemetry', () => {
+  assert.strictEqual(parseTelemetryTopic('vivero/sombra/telemetry', 'vivero'), 'sombra');
+  assert.strictEqual(parseTelemetryTopic('a/b/sol/telemetry', 'a/b'), 'sol');
+  assert.strictEqual(parseTelemetryTopic('vivero/sombra/valve', 'vivero'), null);
+  assert.strictEqual(parseTelemetryTopic('otro/sombra/telemetry', 'vivero'), null);
+});
+
+test('handleMessage entrega la api_key aparte y no como campo de la lectura', async () => {
+  const calls = [];
+  const bridge = bridgeWith(async (body, apiKey) => { calls.push({ body, apiKey }); return {}; });
+  await bridge.handleMessage('vivero/sombra/telemetry', Buffer.from(JSON.stringify({ temp: 20, api_key: 'pico1.secreto' })));
+  assert.deepStrictEqual(calls, [{ body: { temp: 20, section: 'sombra' }, apiKey: 'pico1.secreto' }]);
+});
+
+test('handleMessage sin api_key la entrega como undefined (la ingesta la rechaza)', async () => {
+  const calls = [];
+  const bridge = bridgeWith(async (body, apiKey) => { calls.push(apiKey); return { error: 'Unauthorized' }; });
+  await bridge.handleMessage('vivero/sombra/telemetry', Buffer.from(JSON.stringify({ temp: 20, device_id: 'pico1' })));
+  assert.deepStrictEqual(calls, [undefined]);
+});
+
+test('handleMessage descarta mensajes con section distinta a la del topic', async () => {
+  let called = false;
+  const bridge = bridgeWith(async () => { called = true; return {}; });
+  await bridge.handleMessage('vivero/sombra/telemetry', Buffer.from(JSON.stringify({ temp: 20, section: 'sol' })));
+  assert.strictEqual(called, false);
+});
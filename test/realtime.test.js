@@ -0,0 +1,136 @@
+// Rooms por sección con seq / epoch y resync (src/realtime.js), con io y sockets de mentira
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const { createRealtimeHub, roomName, BUFFER_SIZE } = require('../src/realtime');
+
+function fakeIo() {
+  const sent = [];
+  return {
+    sent,
+    emit: (event, data) => sent.push({ room: '*', event, data }),
+    to: room => ({ emit: (event, data) => sent.push({ room, event, data }) })
+  };
+}
+
+function fakeSocket() {
+  const handlers = {};
+  return {
+    rooms: new Set(),
+    received: [],
+    on: (event, fn) => { handlers[event] = fn; },
+    emit(event, data) { this.received.push({ event, data }); },
+    join(room) { this.rooms.add(room); },
+    leave(room) { this.rooms.delete(room); },
+    request: (event, data) => new Promise(resolve => handlers[event](data, resolve))
+  };
+}
+
+async function newHub() {
+  const db = createLocalDatabase();
+  await db.ref('/vivero/secciones/sombra').set({ temp: 20, valvula: 'off' });
+  const io = fakeIo();
+  const hub = createRealtimeHub({ io, db, getSection: id => (['sombra', 'sol'].includes(id) ? { id } : null) });
+  hub.start();
+  return { hub, io };
+}
+
+test('publish numera por sección y manda al room con el estado', async () => {
+  const { hub, io } = await newHub();
+  await new Promise(resolve => setImmediate(resolve));
+  hub.publish('sensor-update', { section: 'sombra' });
+  hub.publish('sensor-update', { section: 'sombra' });
+  hub.publish('sensor-update', { section: 'sol' });
+  hub.publish('alert', { message: 'sin sección' });
+  assert.deepStrictEqual(io.sent.map(s => [s.room, s.data.seq]), [
+    [roomName('sombra'), 1], [roomName('sombra'), 2], [roomName('sol'), 1], ['*', 1]
+  ]);
+  assert.strictEqual(io.sent[3].data.global, true);
+  assert.strictEqual(io.sent[0].data.epoch, hub.epoch);
+  assert.strictEqual(io.sent[0].data.state.temp, 20);
+});
+
+test('subscribe sin since recibe snapshot; con since del mismo epoch, solo lo que faltó', async () => {
+  const { hub } = await newHub();
+  hub.publish('sensor-update', { section: 'sombra' });
+
+  const first = fakeSocket();
+  hub.attach(first);
+  const ack = await first.request('subscribe', { sections: ['sombra', 'luna'] });
+  assert.deepStrictEqual(ack.sections.sombra, { mode: 'snapshot', seq: 1 });
+  assert.deepStrictEqual(ack.errors, ['unknown section: luna']);
+  assert.ok(first.rooms.has(roomName('sombra')));
+  assert.strictEqual(first.received[0].event, 'section-snapshot');
+  assert.strictEqual(first.received[0].data.state.temp, 20);
+
+  hub.publish('sensor-update', { section: 'sombra' });
+  hub.publish('control-update', { section: 'sombra' });
+  const again = fakeSocket();
+  hub.attach(again);
+  const resync = await again.request('subscribe', { sections: ['sombra'], since: { epoch: hub.epoch, seqs: { sombra: 1 } } });
+  assert.deepStrictEqual(resync.sections.sombra, { mode: 'replay', seq: 3, replayed: 2 });
+  assert.deepStrictEqual(again.received.map(r => [r.event, r.data.seq]), [['sensor-update', 2], ['control-update', 3]]);
+});
+
+test('otro epoch o eventos fuera del buffer -> snapshot', async () => {
+  const { hub } = await newHub();
+  for (let i = 0; i < BUFFER_SIZE + 5; i++) hub.publish('sensor-update', { section: 'sombra' });
+
+  const stale = fakeSocket();
+  hub.attach(stale);
+  const old = await stale.request('subscribe', { sections: ['sombra'], since: { epoch: hub.epoch, seqs: { sombra: 1 } } });
+  assert.strictEqual(old.sections.sombra.mode, 'snapshot');
+
+  const restarted = fakeSocket();
+  hub.attach(restarted);
+  const other = await restarted.request('subscribe', { sections: ['sombra'], since: { epoch: 'otro', seqs: { sombra: BUFFER_SIZE } } });
+  assert.strictEqual(other.sections.sombra.mode, 'snapshot');
+});
+
+test('subscribe rechaza listas inválidas', async () => {
+  const { hub } = await newHub();
+  const socket = fakeSocket();
+  hub.attach(socket);
+  assert.strictEqual((await socket.request('subscribe', { sections: 'sombra' })).ok, false);
+  assert.strictEqual((await socket.request('subscribe', { sections: [1] })).ok, false);
+});
+
+test('broadcast va a todos con seq global aunque el evento sea de una sección', async () => {
+  const { hub, io } = await newHub();
+  hub.broadcast('alert', { id: 'a1', section: 'sombra' });
+  hub.publish('config-update', { sections: {} });
+  assert.deepStrictEqual(io.sent.map(s => [s.room, s.event, s.data.seq, s.data.global]), [
+    ['*', 'alert', 1, true], ['*', 'config-update', 2, true]
+  ]);
+  assert.strictEqual(io.sent[0].data.state, undefined, 'sin estado de sección');
+});
+
+test('subscribe con since.global reenvía los eventos globales perdidos o pide recargar', async () => {
+  const { hub } = await newHub();
+  hub.broadcast('alert', { id: 'a1' });
+
+  const first = fakeSocket();
+  hub.attach(first);
+  assert.deepStrictEqual((await first.request('subscribe', { sections: [] })).global, { seq: 1 });
+
+  hub.broadcast('alert-update', { id: 'a1' });
+  hub.publish('sensor-update', { section: 'sombra' });
+  hub.broadcast('config-update', { sections: {} });
+  const again = fakeSocket();
+  hub.attach(again);
+  const resync = await again.request('subscribe', { sections: [], since: { epoch: hub.epoch, global: 1 } });
+  assert.deepStrictEqual(resync.global, { mode: 'replay', seq: 3, replayed: 2 });
+  assert.deepStrictEqual(again.received.map(r => [r.event, r.data.seq]), [['alert-update', 2], ['config-update', 3]]);
+
+  const restarted = fakeSocket();
+  hub.attach(restarted);
+  const other = await restarted.request('subscribe', { sections: [], since: { epoch: 'otro', global: 1 } });
+  assert.deepStrictEqual(other.global, { mode: 'reset', seq: 3 });
+  assert.strictEqual(restarted.received.length, 0);
+
+  for (let i = 0; i < BUFFER_SIZE + 5; i++) hub.broadcast('device-status', { id: 'pico-1' });
+  const late = fakeSocket();
+  hub.attach(late);
+  assert.strictEqual((await late.request('subscribe', { sections: [], since: { epoch: hub.epoch, global: 3 } })).global.mode, 'reset');
+});
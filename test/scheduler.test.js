@@ -0,0 +1,113 @@
+// Reglas del programador de riego (src/scheduler.js): zonas horarias, bloqueos y próximos riegos
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const { createScheduler, validateProgram, nextRuns, localParts, zonedToUtc, inBlackout, effectiveDuration } = require('../src/scheduler');
+
+const TZ = 'America/Santiago'; // UTC-3 en verano, UTC-4 en invierno
+
+test('zonedToUtc respeta el horario de verano de la zona', () => {
+  assert.strictEqual(new Date(zonedToUtc('2026-01-15', 6 * 60, TZ)).toISOString(), '2026-01-15T09:00:00.000Z');
+  assert.strictEqual(new Date(zonedToUtc('2026-07-15', 6 * 60, TZ)).toISOString(), '2026-07-15T10:00:00.000Z');
+  assert.deepStrictEqual(localParts(Date.parse('2026-07-15T10:00:00Z'), TZ), { date: '2026-07-15', minutes: 360, weekday: 3 });
+});
+
+test('inBlackout con ventanas normales y que cruzan medianoche', () => {
+  const blackouts = [{ from: '12:00', to: '16:00' }, { from: '22:00', to: '02:00' }];
+  assert.ok(inBlackout(13 * 60, blackouts));
+  assert.ok(!inBlackout(16 * 60, blackouts));
+  assert.ok(inBlackout(23 * 60, blackouts));
+  assert.ok(inBlackout(60, blackouts));
+  assert.ok(inBlackout(24 * 60 + 60, blackouts));
+  assert.ok(!inBlackout(8 * 60, blackouts));
+});
+
+test('effectiveDuration corta el riego al entrar a un bloqueo', () => {
+  const blackouts = [{ from: '12:00', to: '16:00' }];
+  assert.strictEqual(effectiveDuration(11 * 60 + 50, 30, blackouts), 10);
+  assert.strictEqual(effectiveDuration(8 * 60, 30, blackouts), 30);
+});
+
+test('validateProgram normaliza y reporta errores', () => {
+  const ok = validateProgram({ section: 'sombra', startTimes: ['18:00', '06:00', '06:00'], durationMin: 10, weekdays: [5, 1, 1] });
+  assert.deepStrictEqual(ok.errors, []);
+  assert.deepStrictEqual(ok.program.startTimes, ['06:00', '18:00']);
+  assert.deepStrictEqual(ok.program.weekdays, [1, 5]);
+  const bad = validateProgram({ section: 'sombra', startTimes: ['25:00'], durationMin: 0, dateFrom: '2026-02-01', dateTo: '2026-01-01' });
+  assert.strictEqual(bad.errors.length, 3);
+});
+
+test('nextRuns: días de la semana, zona horaria y riegos bloqueados', () => {
+  const program = validateProgram({
+    section: 'sombra', startTimes: ['06:00', '13:00'], durationMin: 15, weekdays: [1], blackouts: [{ from: '12:00', to: '16:00' }]
+  }).program;
+  program.id = 'p1';
+  // domingo 2026-07-12 12:00 local -> el próximo lunes
+  const runs = nextRuns([program], Date.parse('2026-07-12T16:00:00Z'), TZ, 2);
+  assert.deepStrictEqual(runs.map(r => [r.start, r.durationMin, r.blocked]), [
+    ['2026-07-13T10:00:00.000Z', 15, false],
+    ['2026-07-13T17:00:00.000Z', 0, true]
+  ]);
+});
+
+// Programador con la DB en memoria y setValve falso que escribe el estado como setValveState
+function harness() {
+  const db = createLocalDatabase();
+  const calls = [];
+  const scheduler = createScheduler({
+    db,
+    tz: 'UTC',
+    getSection: id => ({ id, soilThreshold: 300, hysteresis: 20 }),
+    getState: async section => (await db.ref(`/vivero/secciones/${section}`).once('value')).val() || {},
+    setValve: async (section, action, extra, source) => {
+      calls.push({ section, action, extra, source });
+      await db.ref(`/vivero/secciones/${section}`).update(Object.assign({ valvula: action }, extra));
+    },
+    notify: () => {}
+  });
+  return { db, calls, scheduler };
+}
+
+// Programa que parte ahora mismo (hora UTC actual) todos los días
+async function startNow(h) {
+  const now = localParts(Date.now(), 'UTC').minutes;
+  const time = `${String(Math.floor(now / 60)).padStart(2, '0')}:${String(now % 60).padStart(2, '0')}`;
+  const { program } = await h.scheduler.create({ section: 'sombra', startTimes: [time], durationMin: 30, skipIfWet: false });
+  await h.scheduler.tick();
+  return program;
+}
+
+test('al terminar el riego cierra la válvula que abrió el programa', async () => {
+  const h = harness();
+  const program = await startNow(h);
+  assert.strictEqual(h.calls[0].source, `schedule:${program.id}`);
+
+  await h.scheduler.remove(program.id);
+  const state = (await h.db.ref('/vivero/secciones/sombra').once('value')).val();
+  assert.strictEqual(state.valvula, 'off');
+  assert.strictEqual(state.schedule_run, undefined, 'null borra el campo, como en Firebase');
+});
+
+test('si otro cerró la válvula, al terminar solo suelta la marca del programa', async () => {
+  const h = harness();
+  const program = await startNow(h);
+  // ej. la sección se archivó: cierre sin tocar schedule_run
+  await h.db.ref('/vivero/secciones/sombra').update({ valvula: 'off', reason: 'section_archived' });
+
+  await h.scheduler.remove(program.id);
+  const state = (await h.db.ref('/vivero/secciones/sombra').once('value')).val();
+  assert.strictEqual(state.schedule_run, undefined, 'null borra el campo, como en Firebase');
+  assert.strictEqual(h.calls.length, 1, 'no vuelve a mandar la válvula');
+});
+
+test('no toca una sección que ya tomó otro control', async () => {
+  const h = harness();
+  const program = await startNow(h);
+  await h.db.ref('/vivero/secciones/sombra').update({ valvula: 'on', schedule_run: null, modo: 'manual' });
+
+  await h.scheduler.remove(program.id);
+  const state = (await h.db.ref('/vivero/secciones/sombra').once('value')).val();
+  assert.strictEqual(state.valvula, 'on');
+  assert.strictEqual(h.calls.length, 1);
+});
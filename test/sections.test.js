@@ -0,0 +1,106 @@
+// Secciones (src/sections.js): validación de umbrales e histéresis, registro, siembra inicial y vista pública
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const sections = require('../src/sections');
+
+test('las secciones por defecto tienen umbrales válidos', () => {
+  Object.keys(sections.DEFAULT_SECTIONS).forEach(id => {
+    assert.deepStrictEqual(sections.validateThresholds(sections.normalizeSection(id)), [], id);
+  });
+});
+
+test('validateThresholds exige números dentro de rango', () => {
+  const cfg = sections.normalizeSection('sombra');
+  assert.deepStrictEqual(sections.validateThresholds(Object.assign({}, cfg, { hysteresis: -1, tempHigh: '30' })), [
+    'tempHigh must be a number',
+    'hysteresis must be between 0 and 5000'
+  ]);
+  assert.deepStrictEqual(sections.validateThresholds(Object.assign({}, cfg, { maxOpenMin: NaN })), ['maxOpenMin must be a number']);
+});
+
+test('tempLow debe ser menor que tempHigh', () => {
+  const cfg = Object.assign(sections.normalizeSection('sombra'), { tempLow: 30, tempHigh: 30 });
+  assert.deepStrictEqual(sections.validateThresholds(cfg), ['tempLow must be lower than tempHigh']);
+});
+
+test('mergeSection aplica solo los campos conocidos', () => {
+  const current = sections.normalizeSection('sombra');
+  const merged = sections.mergeSection(current, { soilThreshold: 420, hysteresis: 30, id: 'otra', valvula: 'on' });
+  assert.strictEqual(merged.soilThreshold, 420);
+  assert.strictEqual(merged.hysteresis, 30);
+  assert.strictEqual(merged.id, 'sombra', 'el id no se puede cambiar');
+  assert.strictEqual(merged.valvula, undefined);
+  assert.strictEqual(current.soilThreshold, 400, 'no modifica la sección original');
+});
+
+test('isValidId acepta ids aptos para rutas de la DB y URLs', () => {
+  ['sombra', 'invernadero-2', 'a_1'].forEach(id => assert.ok(sections.isValidId(id), id));
+  ['a', 'Sombra', '-sombra', 'sol/x', 'x'.repeat(33), 12].forEach(id => assert.ok(!sections.isValidId(id), String(id)));
+});
+
+test('normalizeSection rellena defaults y conserva lo guardado', () => {
+  const nueva = sections.normalizeSection('invernadero', { name: 'Invernadero', soilThreshold: 500, createdAt: '2026-04-01T12:00:00.000Z' });
+  assert.strictEqual(nueva.id, 'invernadero');
+  assert.strictEqual(nueva.name, 'Invernadero');
+  assert.strictEqual(nueva.soilThreshold, 500);
+  assert.strictEqual(nueva.enabled, true);
+  assert.strictEqual(nueva.archived, false);
+  assert.strictEqual(nueva.createdAt, '2026-04-01T12:00:00.000Z');
+  assert.deepStrictEqual(sections.validateSection(nueva), []);
+
+  assert.strictEqual(sections.normalizeSection('sol').tempHigh, 36, 'las originales mantienen sus umbrales');
+  assert.strictEqual(sections.normalizeSection('sol').createdAt, null);
+});
+
+test('validateSection revisa los datos de la sección además de los umbrales', () => {
+  const cfg = Object.assign(sections.normalizeSection('sombra'), { name: ' ', enabled: 'si', archived: 1, tempLow: 40 });
+  assert.deepStrictEqual(sections.validateSection(cfg), [
+    'name must be a non-empty string (max 60)',
+    'enabled must be a boolean',
+    'archived must be a boolean',
+    'tempLow must be lower than tempHigh'
+  ]);
+});
+
+test('toStored deja el id fuera (es la key del nodo)', () => {
+  const stored = sections.toStored(sections.normalizeSection('sombra'));
+  assert.strictEqual(stored.id, undefined);
+  assert.strictEqual(stored.name, 'Sombra');
+});
+
+test('seedDefaults siembra una sola vez respetando lo ya guardado', async () => {
+  const db = createLocalDatabase();
+  await db.ref(`${sections.CONFIG_ROOT}/sombra`).set({ name: 'Sombra norte', createdAt: '2026-01-01T00:00:00.000Z' });
+  await sections.seedDefaults(db);
+
+  const stored = (await db.ref(sections.CONFIG_ROOT).once('value')).val();
+  assert.deepStrictEqual(Object.keys(stored).sort(), ['semisombra', 'sol', 'sombra']);
+  assert.strictEqual(stored.sombra.name, 'Sombra norte');
+  assert.strictEqual(stored.sombra.createdAt, '2026-01-01T00:00:00.000Z');
+  assert.ok(stored.sol.createdAt);
+
+  await db.ref(`${sections.CONFIG_ROOT}/sol`).remove();
+  await sections.seedDefaults(db);
+  assert.strictEqual((await db.ref(`${sections.CONFIG_ROOT}/sol`).once('value')).val(), null, 'una sección borrada no vuelve');
+});
+
+test('publicState expone solo los campos públicos del estado y del comando', () => {
+  const state = {
+    temp: 21, valvula: 'on', reason: 'auto', schedule_run: 'riego-am', fault: null, source: 'ui:a@b.cl', api_key: 'x',
+    comando: { id: 'c1', action: 'on', status: 'pending', issuedAt: 1, attempts: 1, source: 'auto' }
+  };
+  assert.deepStrictEqual(sections.publicState(state), {
+    temp: 21, valvula: 'on', reason: 'auto', schedule_run: 'riego-am',
+    comando: { id: 'c1', action: 'on', status: 'pending', issuedAt: 1, attempts: 1 }
+  });
+  assert.deepStrictEqual(sections.publicState(null), {});
+});
+
+test('publicSection combina el registro con el estado filtrado', () => {
+  const section = Object.assign(sections.normalizeSection('sol'), { enabled: false });
+  assert.deepStrictEqual(sections.publicSection(section, { luminosidad: 900, manual_origen: 'x' }), {
+    id: 'sol', name: 'Sol', description: '', enabled: false, archived: false, state: { luminosidad: 900 }
+  });
+});
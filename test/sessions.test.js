@@ -0,0 +1,65 @@
+// Rotación de refresh tokens (src/sessions.js) sobre la base local en memoria
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const { createSessionStore, ROTATE_GRACE_MS, ACCESS_TOKEN_TTL } = require('../src/sessions');
+
+function newStore(options = {}) {
+  const sessions = createSessionStore(Object.assign({ db: createLocalDatabase() }, options));
+  sessions.start();
+  return sessions;
+}
+
+test('rotate entrega un refresh token nuevo y el anterior deja de servir', async t => {
+  const sessions = newStore();
+  t.after(() => sessions.stop());
+  const { sid, refreshToken } = await sessions.create('a@b.cl');
+  const rotated = await sessions.rotate(refreshToken);
+  assert.strictEqual(rotated.sid, sid);
+  assert.notStrictEqual(rotated.refreshToken, refreshToken);
+  assert.ok(await sessions.rotate(rotated.refreshToken));
+});
+
+test('dos renovaciones simultáneas con el mismo token reciben el mismo par y no revocan la sesión', async t => {
+  const sessions = newStore();
+  t.after(() => sessions.stop());
+  const { sid, refreshToken } = await sessions.create('a@b.cl');
+  const [a, b] = await Promise.all([sessions.rotate(refreshToken), sessions.rotate(refreshToken)]);
+  assert.ok(a && b);
+  assert.strictEqual(a.refreshToken, b.refreshToken);
+  assert.ok(sessions.isActive(sid));
+  assert.ok(await sessions.rotate(a.refreshToken));
+});
+
+test('reusar un token rotado fuera de la ventana de gracia revoca la sesión', async t => {
+  const sessions = newStore();
+  t.after(() => sessions.stop());
+  const { sid, refreshToken } = await sessions.create('a@b.cl');
+  const now = Date.now();
+  const rotated = await sessions.rotate(refreshToken, now);
+  assert.strictEqual(await sessions.rotate(refreshToken, now + ROTATE_GRACE_MS + 1), null);
+  assert.strictEqual(sessions.isActive(sid), false);
+  assert.strictEqual(sessions.get(sid).revokeReason, 'refresh_reuse');
+  assert.strictEqual(await sessions.rotate(rotated.refreshToken), null);
+});
+
+test('rotate rechaza tokens mal formados o de sesiones inexistentes', async t => {
+  const sessions = newStore();
+  t.after(() => sessions.stop());
+  assert.strictEqual(await sessions.rotate('sin-punto'), null);
+  assert.strictEqual(await sessions.rotate('no-existe.secreto'), null);
+  assert.strictEqual(await sessions.rotate(undefined), null);
+});
+
+test('la duración de los tokens se configura al crear el store', async t => {
+  const defaults = newStore();
+  const custom = newStore({ accessTokenTtl: '5m', refreshTokenDays: 1 });
+  t.after(() => { defaults.stop(); custom.stop(); });
+  assert.strictEqual(defaults.accessTokenTtl, ACCESS_TOKEN_TTL);
+  assert.strictEqual(custom.accessTokenTtl, '5m');
+
+  const { session } = await custom.create('a@b.cl');
+  const days = (Date.parse(session.expiresAt) - Date.parse(session.createdAt)) / 86400000;
+  assert.strictEqual(days, 1);
+});
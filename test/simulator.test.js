@@ -0,0 +1,76 @@
+// Simulador de dispositivos (src/simulator.js): configuración, modelo día / noche y fallas por sección
+const test = require('node:test');
+const assert = require('node:assert');
+
+const simulator = require('../src/simulator');
+const { validateTelemetry } = require('../src/telemetry');
+
+const local = (hour, min = 0) => new Date(2026, 0, 15, hour, min).getTime();
+
+test('validateConfig completa con los defaults y revisa límites y fallas', () => {
+  assert.deepStrictEqual(simulator.validateConfig({}, { enabled: true }).config, Object.assign({}, simulator.DEFAULT_CONFIG, { enabled: true }));
+  assert.deepStrictEqual(simulator.validateConfig({}, { intervalSec: 1, speed: 500, faults: { sol: 'incendio' } }).errors, [
+    'intervalSec must be a number between 2 and 3600',
+    'speed must be a number between 1 and 120',
+    'faults.sol must be one of none, stuck_sensor, dropout, valve_stuck'
+  ]);
+  assert.deepStrictEqual(simulator.validateConfig({}, { faults: [] }).errors, ['faults must be an object { <section>: fault }']);
+});
+
+test('sunFactor: de noche 0, máximo a mediodía', () => {
+  assert.strictEqual(simulator.sunFactor(new Date(local(3))), 0);
+  assert.strictEqual(simulator.sunFactor(new Date(local(20))), 0);
+  assert.strictEqual(simulator.sunFactor(new Date(local(12))), 1);
+  assert.ok(simulator.sunFactor(new Date(local(9))) < 1);
+});
+
+test('step: el suelo se seca más de día y sube con la válvula abierta', () => {
+  const sim = () => ({ soil: 50, temp: 20, water: 0 });
+  const night = simulator.step(sim(), new Date(local(2)), 1, false, 6);
+  const noon = simulator.step(sim(), new Date(local(12)), 1, false, 6);
+  const watering = simulator.step(sim(), new Date(local(12)), 1, true, 6);
+  assert.ok(noon.soil < night.soil && night.soil < 50);
+  assert.ok(watering.soil > 50);
+  assert.strictEqual(watering.water, 360, '6 L/min durante 1 h');
+  assert.strictEqual(noon.water, 0);
+});
+
+function harness(states, config) {
+  const sent = [];
+  const sim = simulator.createSimulator({
+    getSections: () => [{ id: 'sombra', flowRateLpm: 10 }, { id: 'sol' }],
+    getState: async section => states[section] || {},
+    ingest: async body => { sent.push(body); return {}; }
+  });
+  sim.configure(Object.assign({ enabled: false, noise: 0 }, config));
+  return { sim, sent };
+}
+
+test('tick envía una lectura válida por sección y confirma el comando pendiente', async () => {
+  const states = { sombra: { valvula: 'on', comando: { id: 'c1', action: 'on', status: 'pending' } } };
+  const { sim, sent } = harness(states);
+  await sim.tick(local(12));
+
+  assert.deepStrictEqual(sent.map(b => [b.section, b.valvula_estado, b.ack]), [['sombra', 'on', 'c1'], ['sol', 'off', undefined]]);
+  sent.forEach(body => assert.ok(validateTelemetry(body).payload, 'pasa el esquema de /api/data'));
+
+  await sim.tick(local(13));
+  assert.strictEqual(Math.round(sent[2].agua_litros - sent[0].agua_litros), 600, 'caudalímetro con el caudal de la sección');
+});
+
+test('fallas: dropout no envía, valve_stuck no obedece y stuck_sensor congela el suelo', async () => {
+  const states = { sombra: { valvula: 'on', comando: { id: 'c1', action: 'on', status: 'pending' } }, sol: { valvula: 'on' } };
+  const { sim, sent } = harness(states, { faults: { sombra: 'valve_stuck', sol: 'stuck_sensor' } });
+  await sim.tick(local(12));
+  await sim.tick(local(14));
+
+  const sombra = sent.filter(b => b.section === 'sombra');
+  assert.deepStrictEqual(sombra.map(b => [b.valvula_estado, b.ack]), [['off', undefined], ['off', undefined]]);
+  const sol = sent.filter(b => b.section === 'sol');
+  assert.strictEqual(sol[1].humedad_suelo, sol[0].humedad_suelo);
+  assert.ok(sol[1].agua_litros > 0, 'la válvula sí riega aunque el sensor no lo vea');
+
+  sim.configure({ enabled: false, faults: { sombra: 'dropout', sol: 'dropout' } });
+  await sim.tick(local(15));
+  assert.strictEqual(sent.length, 4);
+});
@@ -0,0 +1,82 @@
+// Telemetría (src/telemetry.js): esquema de /api/data, lotes, heartbeats y calibración del sensor de suelo
+const test = require('node:test');
+const assert = require('node:assert');
+
+const telemetry = require('../src/telemetry');
+
+const T0 = Date.UTC(2026, 3, 1, 12);
+const MIN = 60000;
+
+test('validateTelemetry deja solo los campos del esquema', () => {
+  const { payload } = telemetry.validateTelemetry({ section: 'sombra', temp: 21.5, humedad_suelo: 512, valvula_estado: 'off', rssi: null });
+  assert.deepStrictEqual(payload, { section: 'sombra', temp: 21.5, humedad_suelo: 512, valvula_estado: 'off' });
+});
+
+test('validateTelemetry rechaza la lectura completa con el detalle de cada error', () => {
+  const { errors, payload } = telemetry.validateTelemetry({ temp: 200, humedad_amb: '50', valvula: 'abierta', api_key: 'x' });
+  assert.strictEqual(payload, undefined);
+  assert.deepStrictEqual(errors, [
+    'temp must be between -40 and 85 °C',
+    'humedad_amb must be a number',
+    'valvula must be one of on, off',
+    'unknown field: api_key',
+    'section is required'
+  ]);
+  assert.deepStrictEqual(telemetry.validateTelemetry([]).errors, ['payload must be a JSON object']);
+  assert.deepStrictEqual(telemetry.validateTelemetry({ section: 'sombra', device_id: 'pico-1' }).errors, [
+    `at least one reading is required (${telemetry.READING_FIELDS.join(', ')})`
+  ]);
+});
+
+test('las lecturas de un lote exigen ts y seq dentro de la ventana permitida', () => {
+  const item = (ts, seq = 1) => telemetry.validateTelemetry({ section: 'sombra', temp: 20, ts, seq }, telemetry.BATCH_ITEM_SCHEMA, T0);
+  assert.strictEqual(item(new Date(T0 - MIN).toISOString()).payload.ts, T0 - MIN, 'ISO se normaliza a epoch ms');
+  assert.strictEqual(item(T0 + 4 * MIN).payload.ts, T0 + 4 * MIN);
+  assert.deepStrictEqual(item(T0 + 6 * MIN).errors, ['ts is in the future (check the device clock)']);
+  assert.deepStrictEqual(item(T0 - 8 * 24 * 60 * MIN).errors, ['ts is older than 7 days']);
+  assert.deepStrictEqual(item('ayer').errors, ['ts must be epoch ms or an ISO date']);
+  assert.deepStrictEqual(item(T0, 1.5).errors, ['seq must be an integer']);
+  assert.deepStrictEqual(telemetry.validateTelemetry({ section: 'sombra', temp: 20 }, telemetry.BATCH_ITEM_SCHEMA, T0).errors, [
+    'ts is required', 'seq is required'
+  ]);
+});
+
+test('validateHeartbeat acepta solo device_id, config_version y diagnósticos', () => {
+  assert.deepStrictEqual(telemetry.validateHeartbeat({ device_id: 'pico-1', uptime_s: 120, firmware: '1.2.0' }).payload, {
+    device_id: 'pico-1', uptime_s: 120, firmware: '1.2.0'
+  });
+  assert.deepStrictEqual(telemetry.validateHeartbeat({}).payload, {});
+  assert.deepStrictEqual(telemetry.validateHeartbeat({ temp: 20, rssi: 5 }).errors, [
+    'unknown field: temp', 'rssi must be between -120 and 0 dBm'
+  ]);
+});
+
+test('splitDiagnostics separa los diagnósticos de la lectura', () => {
+  const payload = { section: 'sombra', temp: 20, rssi: -60, vcc: 5.1 };
+  assert.deepStrictEqual(telemetry.splitDiagnostics(payload), { rssi: -60, vcc: 5.1 });
+  assert.deepStrictEqual(payload, { section: 'sombra', temp: 20 });
+  assert.strictEqual(telemetry.splitDiagnostics(payload), null);
+});
+
+test('calibrateSoil convierte a % con sensores que suben o bajan con la humedad', () => {
+  const falling = { soilDry: 800, soilWet: 300 };
+  assert.strictEqual(telemetry.calibrateSoil(800, falling), 0);
+  assert.strictEqual(telemetry.calibrateSoil(550, falling), 50);
+  assert.strictEqual(telemetry.calibrateSoil(200, falling), 100, 'se limita a 100');
+  assert.strictEqual(telemetry.calibrateSoil(400, { soilDry: 200, soilWet: 700, soilOffset: 5 }), 45);
+  assert.strictEqual(telemetry.calibrateSoil(333, { soilDry: 0, soilWet: 1000 }), 33.3, 'redondea a un decimal');
+});
+
+test('sin calibración no hay porcentaje', () => {
+  assert.strictEqual(telemetry.isCalibrated({ soilDry: 500, soilWet: 500 }), false);
+  assert.strictEqual(telemetry.isCalibrated({ soilDry: 800 }), false);
+  assert.strictEqual(telemetry.calibrateSoil(400, {}), null);
+  assert.strictEqual(telemetry.calibrateSoil(undefined, { soilDry: 800, soilWet: 300 }), null);
+});
+
+test('soilValue lee la humedad en la unidad de los umbrales', () => {
+  const state = { humedad_suelo: 512, humedad_suelo_pct: 42 };
+  assert.strictEqual(telemetry.soilValue({ soilUnit: 'raw' }, state), 512);
+  assert.strictEqual(telemetry.soilValue({ soilUnit: 'pct' }, state), 42);
+  assert.strictEqual(telemetry.soilValue({ soilUnit: 'pct' }, { humedad_suelo: 512 }), null);
+});
@@ -0,0 +1,77 @@
+// Cuentas de usuario (src/users.js): roles acumulativos, validación y credenciales
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const users = require('../src/users');
+
+// bcrypt falso: basta con que hash y compare sean consistentes
+const bcrypt = {
+  hash: async password => `hash:${password}`,
+  compare: async (password, hash) => hash === `hash:${password}`
+};
+
+test('hasRole: cada rol incluye los anteriores', () => {
+  assert.ok(users.hasRole('admin', 'operator'));
+  assert.ok(users.hasRole('operator', 'operator'));
+  assert.ok(users.hasRole('operator', 'viewer'));
+  assert.ok(!users.hasRole('viewer', 'operator'));
+  assert.ok(!users.hasRole('operator', 'admin'));
+  assert.ok(!users.hasRole('root', 'viewer'), 'roles desconocidos no tienen permisos');
+  assert.ok(!users.hasRole(undefined, 'viewer'));
+});
+
+test('userKey normaliza el email para usarlo como key de Firebase', () => {
+  assert.strictEqual(users.normalizeEmail('  Ana.Perez@Vivero.CL '), 'ana.perez@vivero.cl');
+  assert.strictEqual(users.userKey('Ana.Perez@Vivero.CL'), 'ana,perez@vivero,cl');
+});
+
+test('validateUser', () => {
+  assert.deepStrictEqual(users.validateUser({ email: 'a@b.cl', role: 'viewer', password: 'secreto123' }), []);
+  assert.deepStrictEqual(users.validateUser({ email: 'a@b', role: 'jefe', disabled: 'no', password: 'corta' }), [
+    'email must be a valid address',
+    'role must be one of viewer, operator, admin',
+    'disabled must be boolean',
+    'password must have at least 8 characters'
+  ]);
+});
+
+async function harness() {
+  const db = createLocalDatabase();
+  const store = users.createUserStore({ db, bcrypt });
+  store.start();
+  return { db, store };
+}
+
+test('seedAdmin crea el admin de .env solo si no hay usuarios', async () => {
+  const { store } = await harness();
+  await store.seedAdmin({ ADMIN_EMAIL: 'Admin@B.cl', ADMIN_PLAIN_PASSWORD: 'secreto123' });
+  assert.deepStrictEqual(store.list().map(u => [u.email, u.role]), [['admin@b.cl', 'admin']]);
+  assert.strictEqual(store.get('admin@b.cl').passwordHash, undefined, 'la vista pública no trae el hash');
+
+  await store.seedAdmin({ ADMIN_EMAIL: 'otro@b.cl', ADMIN_PLAIN_PASSWORD: 'secreto123' });
+  assert.strictEqual(store.list().length, 1);
+});
+
+test('verifyCredentials rechaza contraseñas incorrectas y cuentas desactivadas', async () => {
+  const { store } = await harness();
+  await store.create('op@b.cl', 'Operador', 'operator', 'secreto123');
+
+  assert.strictEqual(await store.verifyCredentials('op@b.cl', 'otra-clave'), null);
+  const user = await store.verifyCredentials('OP@b.cl', 'secreto123');
+  assert.strictEqual(user.role, 'operator');
+  assert.ok(user.lastLogin);
+
+  await store.save('op@b.cl', { disabled: true });
+  assert.strictEqual(await store.verifyCredentials('op@b.cl', 'secreto123'), null);
+});
+
+test('keepsAnAdmin evita quedar sin administradores activos', async () => {
+  const { store } = await harness();
+  await store.create('admin@b.cl', '', 'admin', 'secreto123');
+  await store.create('op@b.cl', '', 'operator', 'secreto123');
+
+  assert.strictEqual(store.keepsAnAdmin('admin@b.cl', { role: 'operator' }), false);
+  assert.strictEqual(store.keepsAnAdmin('admin@b.cl', { disabled: true }), false);
+  assert.strictEqual(store.keepsAnAdmin('op@b.cl', { role: 'admin' }), true);
+});
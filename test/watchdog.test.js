@@ -0,0 +1,90 @@
+// Watchdog de válvulas (src/watchdog.js): tiempo máximo abierta y sensor sin datos
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const { createWatchdog, detectFault } = require('../src/watchdog');
+
+const T0 = Date.UTC(2026, 3, 1, 12);
+const MIN = 60000;
+const CFG = { id: 'sombra', maxOpenMin: 60, staleSensorMin: 15, createdAt: new Date(T0 - 24 * 60 * MIN).toISOString() };
+const iso = ts => new Date(ts).toISOString();
+
+test('detectFault: válvula abierta más de maxOpenMin', () => {
+  const state = { valvula: 'on', valve_opened_at: T0 - 61 * MIN, ultima_lectura: iso(T0 - MIN) };
+  assert.strictEqual(detectFault(state, CFG, T0), 'watchdog_timeout');
+  assert.strictEqual(detectFault(Object.assign({}, state, { valve_opened_at: T0 - 59 * MIN }), CFG, T0), null);
+});
+
+test('detectFault: lecturas atrasadas más de staleSensorMin', () => {
+  assert.strictEqual(detectFault({ ultima_lectura: iso(T0 - 16 * MIN) }, CFG, T0), 'stale_sensor');
+  assert.strictEqual(detectFault({ ultima_lectura: iso(T0 - 14 * MIN) }, CFG, T0), null);
+});
+
+test('detectFault: una sección recién creada sin lecturas no está en falla hasta staleSensorMin', () => {
+  const fresh = Object.assign({}, CFG, { createdAt: iso(T0 - 5 * MIN) });
+  assert.strictEqual(detectFault({}, fresh, T0), null);
+  assert.strictEqual(detectFault({}, fresh, T0 + 11 * MIN), 'stale_sensor');
+  // sección antigua que nunca reportó
+  assert.strictEqual(detectFault({}, CFG, T0), 'stale_sensor');
+});
+
+test('detectFault: sin lecturas, la válvula recién abierta tiene staleSensorMin de margen', () => {
+  const state = { valvula: 'on', valve_opened_at: T0 - 2 * MIN };
+  assert.strictEqual(detectFault(state, CFG, T0), null);
+  assert.strictEqual(detectFault(state, CFG, T0 + 14 * MIN), 'stale_sensor');
+  // secciones sin createdAt (anteriores al campo) también
+  assert.strictEqual(detectFault(state, Object.assign({}, CFG, { createdAt: null }), T0), null);
+  assert.strictEqual(detectFault({ valvula: 'off', valve_opened_at: null }, Object.assign({}, CFG, { createdAt: null }), T0), 'stale_sensor');
+});
+
+// Watchdog con la DB en memoria y setValve falso
+function harness(t, sections) {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const db = createLocalDatabase();
+  const calls = [];
+  const events = [];
+  const watchdog = createWatchdog({
+    db,
+    getSections: () => sections,
+    setValve: async (section, action, extra, source) => {
+      calls.push({ section, action, extra, source });
+      await db.ref(`/vivero/secciones/${section}`).update(Object.assign({ valvula: action }, extra));
+    },
+    notify: (event, data) => events.push({ event, data })
+  });
+  const read = async id => (await db.ref(`/vivero/secciones/${id}`).once('value')).val() || {};
+  return { db, calls, events, watchdog, read };
+}
+
+test('tick cierra la válvula en falla y marca el sensor caído', async (t) => {
+  const h = harness(t, [CFG, Object.assign({}, CFG, { id: 'sol' })]);
+  await h.db.ref('/vivero/secciones').set({
+    sombra: { valvula: 'on', valve_opened_at: T0 - 90 * MIN, ultima_lectura: iso(T0 - MIN) },
+    sol: { valvula: 'off', ultima_lectura: iso(T0 - 30 * MIN) }
+  });
+  await h.watchdog.tick();
+
+  assert.deepStrictEqual(h.calls.map(c => [c.section, c.action, c.extra.reason, c.source]), [['sombra', 'off', 'watchdog_timeout', 'watchdog']]);
+  assert.strictEqual((await h.read('sol')).fault, 'stale_sensor');
+  assert.deepStrictEqual(h.events, [{ event: 'section-fault', data: { section: 'sol', fault: 'stale_sensor' } }]);
+
+  // llega una lectura: se limpia la falla
+  await h.db.ref('/vivero/secciones/sol').update({ ultima_lectura: iso(T0) });
+  await h.watchdog.tick();
+  assert.strictEqual((await h.read('sol')).fault, undefined);
+  assert.deepStrictEqual(h.events.at(-1), { event: 'section-fault', data: { section: 'sol', fault: null } });
+});
+
+test('tick no cierra ni marca una sección nueva que abrió su válvula antes de reportar', async (t) => {
+  const fresh = Object.assign({}, CFG, { id: 'nueva', createdAt: iso(T0 - MIN) });
+  const h = harness(t, [fresh]);
+  await h.db.ref('/vivero/secciones/nueva').set({ valvula: 'on', valve_opened_at: T0 - 30000 });
+  await h.watchdog.tick();
+  assert.strictEqual(h.calls.length, 0);
+  assert.strictEqual(h.events.length, 0);
+
+  t.mock.timers.setTime(T0 + 15 * MIN);
+  await h.watchdog.tick();
+  assert.deepStrictEqual(h.calls.map(c => c.extra.reason), ['stale_sensor']);
+});
@@ -0,0 +1,72 @@
+// Consumo de agua (src/water.js): caudalímetro, caudal configurado, riegos guardados y totales por periodo
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLocalDatabase } = require('../src/localdb');
+const water = require('../src/water');
+
+// Horas locales (los periodos se cortan en la hora local del servidor)
+const local = (day, hour = 0, min = 0) => new Date(2026, 5, day, hour, min).getTime(); // junio 2026, el 8 es lunes
+const MIN = 60000;
+
+test('meterDelta y meterFields toleran el reinicio del contador', () => {
+  assert.strictEqual(water.meterDelta(undefined, 120), 0, 'la primera lectura no suma');
+  assert.strictEqual(water.meterDelta(100, 112.5), 12.5);
+  assert.strictEqual(water.meterDelta(100, 3), 3, 'si el contador bajó, el dispositivo se reinició');
+  assert.deepStrictEqual(water.meterFields({ agua_litros: 100, agua_total: 40 }, 3), { agua_litros: 3, agua_total: 43 });
+});
+
+test('intervalLiters usa el caudalímetro, si no el caudal configurado', () => {
+  assert.deepStrictEqual(water.intervalLiters({ agua_total_open: 40, agua_total: 52.34 }, { flowRateLpm: 10 }, 600), { liters: 12.3, method: 'meter' });
+  assert.deepStrictEqual(water.intervalLiters({}, { flowRateLpm: 10 }, 90), { liters: 15, method: 'flow_rate' });
+  assert.deepStrictEqual(water.intervalLiters({}, { flowRateLpm: null }, 90), { liters: null, method: null });
+});
+
+test('recordInterval guarda el riego al cerrar la válvula', async () => {
+  const db = createLocalDatabase();
+  const cfg = { id: 'sombra', flowRateLpm: 6 };
+  const start = local(9, 6);
+  const entry = await water.recordInterval(db, 'sombra', cfg, { valve_opened_at: start }, start + 10 * MIN, { reason: 'programa', source: 'schedule:am' });
+  assert.deepStrictEqual(entry, {
+    start, end: start + 10 * MIN, durationSec: 600, liters: 60, method: 'flow_rate', flowRateLpm: 6, reason: 'programa', source: 'schedule:am'
+  });
+  assert.deepStrictEqual(Object.values((await db.ref(`${water.WATER_ROOT}/sombra`).once('value')).val()), [entry]);
+
+  assert.strictEqual(await water.recordInterval(db, 'sombra', cfg, {}, start), null, 'sin hora de apertura no hay riego');
+});
+
+test('periodStart en hora local: día, semana desde el lunes y mes', () => {
+  const ts = local(11, 15, 30);
+  assert.strictEqual(water.periodStart(ts, 'day'), local(11));
+  assert.strictEqual(water.periodStart(ts, 'week'), local(8));
+  assert.strictEqual(water.periodStart(ts, 'month'), local(1));
+});
+
+test('consumption reparte un riego entre los días que toca y suma el que está en curso', async () => {
+  const db = createLocalDatabase();
+  const sombra = { id: 'sombra', flowRateLpm: 10 };
+  const sol = { id: 'sol', flowRateLpm: null };
+  await water.recordInterval(db, 'sombra', sombra, { valve_opened_at: local(9, 23, 30) }, local(10, 0, 30));
+  await water.recordInterval(db, 'sol', sol, { valve_opened_at: local(10, 8) }, local(10, 8, 20));
+
+  const now = local(10, 12, 15);
+  const result = await water.consumption(db, [
+    { cfg: sombra, state: { valvula: 'on', valve_opened_at: local(10, 12) } },
+    { cfg: sol, state: { valvula: 'off' } }
+  ], 'day', local(9), local(11), now);
+
+  assert.deepStrictEqual(result.sections.sombra, {
+    flowRateLpm: 10,
+    liters: 750,
+    minutes: 75,
+    buckets: [
+      { start: local(9), liters: 300, minutes: 30, unmetered: 0 },
+      { start: local(10), liters: 450, minutes: 45, unmetered: 0 }
+    ]
+  });
+  assert.deepStrictEqual(result.sections.sol.buckets, [{ start: local(10), liters: 0, minutes: 20, unmetered: 1 }]);
+  assert.deepStrictEqual(result.totals, [
+    { start: local(9), liters: 300, minutes: 30, unmetered: 0 },
+    { start: local(10), liters: 450, minutes: 65, unmetered: 1 }
+  ]);
+});